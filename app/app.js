@@ -1,12 +1,30 @@
 import { authHelpers } from '../auth/firebase.js';
 import cloudStore from './cloud-store.js';
+import localStore from './local-store.js';
 import { isPlus } from './lib/plan.js';
 import { bootstrapUser } from './lib/bucket-store.js';
+import { normalizeTransaction, transactionsForBucket, sumTransactionsCents, spentByBucket, todayIso } from './lib/ledger.js';
+import { getPeriodForDate, periodStartAt, isDateInPeriod, elapsedPeriods, closePeriod, nextOccurrence, occurrencesBetween } from './lib/periods.js';
+import { ITEM_FREQUENCIES, convertFrequency, itemAmountPerPeriod, incomePerPeriod, frequencyUnit } from './lib/frequency.js';
+import { assessBillCoverage, buildIcsCalendar } from './lib/bills.js';
+import { BUDGET_SECTIONS, buildExport, readExport, diffBudgets, mergeBudgets } from './lib/budget-file.js';
+import { guessAccountType, planAccountMigration } from './lib/accounts.js';
+import { forecastBalances } from './lib/cash-flow.js';
+import { groupTransfers, transfersCsv } from './lib/transfers.js';
+import { cellRef, sheetsToCsv, sheetsToXlsx } from './lib/spreadsheet.js';
+import { netWorthSummary, netWorthHistory, netWorthChange } from './lib/net-worth.js';
+import { bucketSpendingSeries, periodTotals, persistentOverspenders } from './lib/reports.js';
+import { periodsToGoal, contributionForGoal, savedFromLog, balanceHistory, recordMilestones } from './lib/savings-goal.js';
+import { orderDebts, compareStrategies, recordDebtPeriod, amortisationSchedule, scheduleVariance } from './lib/debt-planner.js';
+import { sortRules, isValidPattern, findMatchingRule, previewRules, suggestRule } from './lib/rules.js';
+import { describeSyncStatus, retryDelayMs, withTimeout, withLocalChanges, withLedgerWrites } from './lib/offline-sync.js';
+import { budgetChanges, hasChanges, applyRemoteChanges, budgetVersion, mergeBudgetVersions, replaceInPlace } from './lib/live-sync.js';
+import { BUILTIN_PRESETS, detectStatementFormat, parseCsv, applyCsvMapping, parseOfx, parseQif, markDuplicates } from './lib/statement-import.js';
 import { showAccountView, hideAccountView } from './account.js';
 
 // Import new libraries for enhanced features
 import Sortable from "https://cdn.jsdelivr.net/npm/sortablejs@1.15.2/modular/sortable.esm.js";
-import { differenceInMonths, addMonths, format } from "https://cdn.jsdelivr.net/npm/date-fns@3.6.0/+esm";
+import { differenceInMonths, addMonths, addDays, subDays, format } from "https://cdn.jsdelivr.net/npm/date-fns@3.6.0/+esm";
 import debounce from "https://cdn.jsdelivr.net/npm/lodash.debounce@4.0.8/+esm";
 
 // Default bucket color palette - cycles through these colors for new buckets
@@ -25,6 +43,9 @@ const DEFAULT_BUCKET_COLORS = [
     '#84cc16',  // Lime
 ];
 
+// Recorded in exported budget files; keep in step with the latest release in docs/changelog.md
+const APP_VERSION = '2.1.0';
+
 (function() {
     'use strict';
 
@@ -32,18 +53,46 @@ const DEFAULT_BUCKET_COLORS = [
     let currentUser = null;
     let currentBudget = null;
     let currentBudgetId = null;
+    let budgets = []; // Every budget the user owns, for the header switcher
     let hasMigratedFromLocalStorage = false;
     let allocChart = null; // Chart.js instance
+    const savingsCharts = new Map(); // Savings bucket id -> Chart.js instance
+    let reportCharts = []; // Chart.js instances in the reports view
+    let netWorthChart = null;
+    let transactions = []; // Ledger for the current budget (transactions subcollection)
+    let ledgerComplete = false; // False until the ledger is loaded, or offline without a device copy of it
+    let currentPeriod = null; // { start, end } of the pay period being budgeted
+    let inboxItems = []; // Imported statement lines (inbox subcollection), all statuses
+    let importPresets = []; // Saved column mappings for statement imports
+    let pendingStatement = null; // Statement being mapped in the import dialog
+    let rules = []; // Categorisation rules for the signed-in user
+    let ruleSuggestion = null; // Draft rule learned from the last manual assignment
+    let editingRuleId = null;
+    let bankAccounts = []; // Bank account registry, shared by every budget
+    let editingAccountId = null;
+    let workingOffline = false; // Opened from the copy on this device; the ledger isn't loaded
+    let syncError = null; // Last outbox failure, cleared once a write gets through
+    let syncAttempts = 0;
+    let outboxFlush = null; // Promise while queued writes are being sent
+    let outboxRetryTimer = null;
+    let stopBudgetWatch = null; // Unsubscribes the snapshot listener on the open budget
+    let latestSnapshot = null; // Newest { budget, pending } from that listener
+    let syncedBudget = null; // { revision, data }: the saved version this tab's edits are made against
+    const tabId = generateId(); // Saved as updatedBy, to tell this tab's saves from other devices'
     
     let state = {
         settings: {
-            incomeAmount: 500,
-            incomeFrequency: 'Fortnightly',
-            currency: 'AUD'
+            incomeAmount: 500, // Cached total of incomeSources per period
+            incomeFrequency: 'Fortnightly', // The budget's base period
+            currency: 'AUD',
+            incomeSources: [
+                { id: 'income_default', name: 'Pay', amount: 500, frequency: 'Fortnightly', nextPayDate: null, isGross: false }
+            ]
         },
         expenses: [],
         savings: [],
-        debt: []
+        debt: [],
+        netWorth: { assets: [], liabilities: [] } // Held outside the budget
     };
 
     let saveTimeout;
@@ -92,6 +141,11 @@ const DEFAULT_BUCKET_COLORS = [
                 bucket.spentThisPeriodCents = 0;
                 needsSave = true;
             }
+            if (!bucket.rolloverPolicy) {
+                bucket.rolloverPolicy = 'reset';
+                bucket.carryOverCents = 0;
+                needsSave = true;
+            }
             if (!bucket.type) {
                 bucket.type = state.expenses.includes(bucket) ? 'expense' : 'saving';
                 needsSave = true;
@@ -151,31 +205,76 @@ const DEFAULT_BUCKET_COLORS = [
             }
         }
 
+        // Creating registry accounts needs Firestore; offline they're linked next time
+        if (!workingOffline && await linkBankAccounts(buckets)) {
+            needsSave = true;
+        }
+
         if (needsSave) {
             await saveToCloud();
         }
     }
 
-    function convertFrequency(amount, fromFreq, toFreq) {
-        if (fromFreq === toFreq) return amount;
+    // Free-text bank accounts become references into the account registry.
+    // Spellings of the same account are merged, and balances entered for the
+    // cash-flow forecast move onto the new records.
+    async function linkBankAccounts(buckets) {
+        const unlinked = buckets.filter(bucket => !bucket.accountId && (bucket.bankAccount || '').trim());
+        const legacyBalances = (state.settings.accountBalances || []).filter(entry => entry.account);
+        if (unlinked.length === 0 && legacyBalances.length === 0) return false;
+        
+        const { matched, toCreate } = planAccountMigration(
+            [...unlinked.map(bucket => bucket.bankAccount), ...legacyBalances.map(entry => entry.account)],
+            bankAccounts
+        );
         
-        const weeklyAmount = (() => {
-            switch (fromFreq) {
-                case 'Weekly': return amount;
-                case 'Fortnightly': return amount / 2;
-                case 'Monthly': return amount * 12 / 52;
-                case 'Yearly': return amount / 52;
-                default: return 0;
+        try {
+            for (const draft of toCreate) {
+                const balance = legacyBalances.find(entry => draft.aliases.includes(entry.account));
+                const saved = await cloudStore.saveAccount(currentUser.uid, {
+                    name: draft.name,
+                    type: guessAccountType(draft.name),
+                    color: DEFAULT_BUCKET_COLORS[bankAccounts.length % DEFAULT_BUCKET_COLORS.length],
+                    balanceCents: balance?.balanceCents || 0
+                });
+                bankAccounts.push(saved);
+                draft.aliases.forEach(alias => { matched[alias] = saved.id; });
             }
-        })();
-        
-        switch (toFreq) {
-            case 'Weekly': return weeklyAmount;
-            case 'Fortnightly': return weeklyAmount * 2;
-            case 'Monthly': return weeklyAmount * 52 / 12;
-            case 'Yearly': return weeklyAmount * 52;
-            default: return 0;
+        } catch (error) {
+            // Buckets keep their text until the next time the budget opens
+            console.error('Failed to migrate bank accounts:', error);
+            return false;
         }
+        
+        unlinked.forEach(bucket => {
+            bucket.accountId = matched[bucket.bankAccount] || null;
+            bucket.bankAccount = findBankAccount(bucket.accountId)?.name || '';
+        });
+        state.settings.accountBalances = (state.settings.accountBalances || []).filter(entry => !entry.account);
+        return true;
+    }
+
+    function createIncomeSource(fields = {}) {
+        return {
+            id: generateId(),
+            name: '',
+            amount: 0,
+            frequency: state.settings.incomeFrequency,
+            nextPayDate: null,
+            isGross: false,
+            ...fields
+        };
+    }
+
+    // Budgets from before income sources had a single income amount in the base frequency
+    function migrateIncomeSources() {
+        const { incomeSources, incomeAmount, incomeFrequency } = state.settings;
+        if (Array.isArray(incomeSources) && incomeSources.length > 0) return;
+        
+        const amount = parseFloat(incomeAmount) || 0;
+        state.settings.incomeSources = amount > 0
+            ? [createIncomeSource({ name: 'Pay', amount, frequency: incomeFrequency })]
+            : [];
     }
 
     function formatCurrency(amount, currency = state.settings.currency) {
@@ -191,6 +290,19 @@ const DEFAULT_BUCKET_COLORS = [
         }
     }
 
+    function formatCurrencyPrecise(amount, currency = state.settings.currency) {
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency,
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }).format(amount);
+        } catch (e) {
+            return `${currency} ${amount.toFixed(2)}`;
+        }
+    }
+
     function formatPercent(value) {
         return `${value.toFixed(1)}%`;
     }
@@ -206,9 +318,15 @@ const DEFAULT_BUCKET_COLORS = [
             return 0;
         }
         
+        // Items can recur yearly, quarterly etc. - set aside their pay period share
         return bucket.items
             .filter(item => item.include)
-            .reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+            .reduce((sum, item) => sum + itemAmountPerPeriod(item, state.settings.incomeFrequency), 0);
+    }
+
+    // Every income source, normalised to the budget's base period
+    function getTotalIncome() {
+        return incomePerPeriod(state.settings.incomeSources, state.settings.incomeFrequency).total;
     }
 
     function getTotalExpenses() {
@@ -235,6 +353,89 @@ const DEFAULT_BUCKET_COLORS = [
             .reduce((sum, bucket) => sum + sumIncludedItems(bucket), 0);
     }
 
+    // Amount owed on a debt bucket. Once an opening balance is entered it is
+    // tracked through the ledger; until then it is the included items at face value.
+    function getDebtBalance(bucket) {
+        if (isDebtTracked(bucket)) {
+            return Math.max(0, debtPeriodStartBalanceCents(bucket.debt) - getBucketSpentCents(bucket)) / 100;
+        }
+        return (bucket.items || [])
+            .filter(item => item.include)
+            .reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+    }
+
+    function isDebtTracked(bucket) {
+        return Number.isFinite(bucket.debt?.openingBalanceCents) && Boolean(bucket.debt.openingDate);
+    }
+
+    // Closed periods since the opening balance was entered
+    function debtHistorySinceOpening(debt) {
+        return (debt.history || []).filter(entry => entry.periodStart >= debt.openingDate);
+    }
+
+    // Owing at the start of the current period, before this period's payments
+    function debtPeriodStartBalanceCents(debt) {
+        const history = debtHistorySinceOpening(debt);
+        return history.length ? history[history.length - 1].balanceCents : debt.openingBalanceCents;
+    }
+
+    // Close a pay period on a tracked debt: charge interest, take off the payments in the ledger
+    function recordDebtHistory(bucket, period) {
+        if (!isDebtTracked(bucket)) return;
+        const debt = bucket.debt;
+        if (period.start < debt.openingDate || debtHistorySinceOpening(debt).some(entry => entry.periodStart === period.start)) return;
+        
+        const paymentCents = sumTransactionsCents(transactions.filter(tx => isDateInPeriod(tx.date, period)), bucket.id);
+        const entry = recordDebtPeriod(debtPeriodStartBalanceCents(debt), debt.aprPct || 0, state.settings.incomeFrequency, paymentCents);
+        debt.history = [...(debt.history || []), { periodStart: period.start, ...entry }].slice(-520);
+    }
+
+    // Pay period currently being budgeted, anchored on settings.periodStartDate
+    function refreshCurrentPeriod() {
+        if (!state.settings.periodStartDate) {
+            state.settings.periodStartDate = todayIso();
+        }
+        currentPeriod = getPeriodForDate(state.settings.periodStartDate, state.settings.incomeFrequency, todayIso());
+        if (!state.settings.currentPeriodStart) {
+            state.settings.currentPeriodStart = currentPeriod.start;
+        }
+        return currentPeriod;
+    }
+
+    function currentPeriodTransactions() {
+        const period = currentPeriod || refreshCurrentPeriod();
+        return transactions.filter(tx => isDateInPeriod(tx.date, period));
+    }
+
+    // Spent figures are derived from the transaction ledger, never typed in.
+    // Without the ledger, transactions holds only entries added since, on top
+    // of the figure last cached on the bucket.
+    function getBucketSpentCents(bucket) {
+        const spentCents = sumTransactionsCents(currentPeriodTransactions(), bucket.id);
+        return ledgerComplete ? spentCents : (bucket.spentThisPeriodCents || 0) + spentCents;
+    }
+
+    function getBucketPlannedCents(bucket) {
+        return Math.round(sumIncludedItems(bucket) * 100);
+    }
+
+    // Planned amount plus any surplus (or minus any deficit) carried in from last period
+    function getBucketAvailableCents(bucket) {
+        return getBucketPlannedCents(bucket) + (bucket.carryOverCents || 0);
+    }
+
+    // Keep the persisted spentThisPeriodCents as a cache of the ledger total
+    function syncSpentFromLedger() {
+        if (!ledgerComplete) return;
+        const totals = spentByBucket(currentPeriodTransactions());
+        [...state.expenses, ...state.savings, ...(state.debt || [])].forEach(bucket => {
+            bucket.spentThisPeriodCents = totals[bucket.id] || 0;
+        });
+        state.savings.forEach(bucket => {
+            if (bucket.goal) syncSavedFromLedger(bucket);
+        });
+    }
+
     // New helper functions for sinking funds
     function monthsUntil(targetIso) {
         if (!targetIso) return Infinity;
@@ -265,12 +466,12 @@ const DEFAULT_BUCKET_COLORS = [
     }
 
     // Allocation donut chart
-    function drawAllocRing({ incM, expM, savM, debtM }) {
-        const remaining = Math.max(0, incM - expM - savM - debtM);
+    function drawAllocRing({ income, expenses, savings, debt }) {
+        const remaining = Math.max(0, income - expenses - savings - debt);
         const ctx = document.getElementById('allocRing')?.getContext('2d');
         if (!ctx) return;
         
-        const data = [expM, savM, debtM, remaining];
+        const data = [expenses, savings, debt, remaining];
         const labels = ["Expenses", "Savings", "Debt", "Remaining"];
         const colors = ["#5ea8ff", "#5eead4", "#ff6b6b", "#a7b1c2"];
         
@@ -302,12 +503,12 @@ const DEFAULT_BUCKET_COLORS = [
         const pct = (v, t) => (t > 0 ? Math.round(v / t * 100) : 0) + "%";
         const legendEl = document.getElementById('allocLegend');
         if (legendEl) {
-            legendEl.textContent = `Expenses ${pct(expM, incM)} • Savings ${pct(savM, incM)} • Debt ${pct(debtM, incM)} • Remaining ${pct(remaining, incM)}`;
+            legendEl.textContent = `Expenses ${pct(expenses, income)} • Savings ${pct(savings, income)} • Debt ${pct(debt, income)} • Remaining ${pct(remaining, income)}`;
         }
     }
 
     function updateDerivedValues() {
-        const income = parseFloat(state.settings.incomeAmount) || 0;
+        const income = getTotalIncome();
         const freq = state.settings.incomeFrequency;
         
         const monthlyIncome = convertFrequency(income, freq, 'Monthly');
@@ -324,6 +525,13 @@ const DEFAULT_BUCKET_COLORS = [
         document.getElementById('leftoverAfterSavings').textContent = formatCurrency(leftover);
         document.getElementById('savingsRate').textContent = formatPercent(savingsRate);
         
+        const { gross } = incomePerPeriod(state.settings.incomeSources, freq);
+        const grossNote = document.getElementById('grossIncomeNote');
+        if (grossNote) {
+            grossNote.hidden = gross <= 0;
+            grossNote.textContent = `Includes ${formatCurrency(gross)} gross (before tax) income each ${frequencyUnit(freq)}`;
+        }
+        
         // Update bucket counter whenever derived values update
         if (window.updateBucketCounter) {
             window.updateBucketCounter();
@@ -331,17 +539,13 @@ const DEFAULT_BUCKET_COLORS = [
         
         updateTotals();
         
-        // Update allocation ring
-        const totalDebt = getTotalDebt();
-        const expM = convertFrequency(totalExpenses, freq, 'Monthly');
-        const savM = convertFrequency(totalSavings, freq, 'Monthly');
-        const debtM = convertFrequency(totalDebt, freq, 'Monthly');
-        drawAllocRing({ incM: monthlyIncome, expM, savM, debtM });
+        // Update allocation ring (everything is already per budget period)
+        drawAllocRing({ income, expenses: totalExpenses, savings: totalSavings, debt: getTotalDebt() });
     }
 
     function updateTotals() {
         const freq = state.settings.incomeFrequency;
-        const income = parseFloat(state.settings.incomeAmount) || 0;
+        const income = getTotalIncome();
         const expenses = getTotalExpenses();
         const savings = getTotalSavings();
         const debt = getTotalDebt();
@@ -381,6 +585,8 @@ const DEFAULT_BUCKET_COLORS = [
         
         // Update remaining card styling and icon
         updateRemainingBalanceCard(remaining);
+        updateForecastSummary();
+        renderPaydayTransfers();
         
         // Add animation classes to totals
         addTotalsAnimations();
@@ -498,16 +704,16 @@ const DEFAULT_BUCKET_COLORS = [
         // Check expenses for over-budget items
         state.expenses?.forEach(bucket => {
             if (!bucket.include) return;
-            const planned = sumIncludedItems(bucket);
-            const spent = (bucket.spentThisPeriodCents || 0) / 100;
+            const planned = getBucketAvailableCents(bucket) / 100;
+            const spent = getBucketSpentCents(bucket) / 100;
             if (spent > planned) overBudgetCount++;
         });
         
         // Check debt for over-budget items
         state.debt?.forEach(bucket => {
             if (!bucket.include) return;
-            const planned = sumIncludedItems(bucket);
-            const spent = (bucket.spentThisPeriodCents || 0) / 100;
+            const planned = getBucketAvailableCents(bucket) / 100;
+            const spent = getBucketSpentCents(bucket) / 100;
             if (spent > planned) overBudgetCount++;
         });
         
@@ -687,14 +893,30 @@ const DEFAULT_BUCKET_COLORS = [
 
     function updateBucketUI(bucket, bucketEl) {
         const bucketTotal = sumIncludedItems(bucket);
-        const income = parseFloat(state.settings.incomeAmount) || 0;
+        const income = getTotalIncome();
         const freq = state.settings.incomeFrequency;
         const monthlyIncome = convertFrequency(income, freq, 'Monthly');
         const bucketMonthly = convertFrequency(bucketTotal, freq, 'Monthly');
         
         // Define progress variables early for warning system
-        const spentCents = bucket.spentThisPeriodCents || 0;
-        const plannedCents = bucketTotal * 100;
+        const spentCents = getBucketSpentCents(bucket);
+        const carryOverCents = bucket.carryOverCents || 0;
+        const plannedCents = getBucketAvailableCents(bucket);
+        
+        const spentEl = bucketEl.querySelector('.spent-this-period');
+        if (spentEl) spentEl.textContent = formatCurrencyPrecise(spentCents / 100);
+        
+        // Carry-over from the previous period
+        const carryEl = bucketEl.querySelector('.carry-over');
+        if (carryEl) {
+            carryEl.style.display = carryOverCents !== 0 ? '' : 'none';
+            carryEl.textContent = carryOverCents > 0
+                ? `Includes ${formatCurrencyPrecise(carryOverCents / 100)} surplus carried from last period`
+                : `Includes ${formatCurrencyPrecise(-carryOverCents / 100)} deficit carried from last period`;
+            carryEl.classList.toggle('negative', carryOverCents < 0);
+        }
+        const rolloverSelect = bucketEl.querySelector('.rollover-policy');
+        if (rolloverSelect) rolloverSelect.value = bucket.rolloverPolicy || 'reset';
         
         // Update percentage of income
         const pctOfIncome = monthlyIncome > 0 ? Math.round(bucketMonthly / monthlyIncome * 100) : 0;
@@ -704,8 +926,11 @@ const DEFAULT_BUCKET_COLORS = [
         
         // Update bank badge
         const bankBadge = bucketEl.querySelector('.bank-badge');
-        if (bucket.bankAccount) {
-            bankBadge.textContent = bucket.bankAccount;
+        const bankAccount = findBankAccount(bucket.accountId);
+        if (bankAccount) {
+            bankBadge.textContent = bankAccount.name;
+            bankBadge.title = describeBankAccount(bankAccount);
+            bankBadge.style.borderLeft = bankAccount.color ? `3px solid ${bankAccount.color}` : '';
             bankBadge.style.display = '';
         } else {
             bankBadge.style.display = 'none';
@@ -730,8 +955,8 @@ const DEFAULT_BUCKET_COLORS = [
         const remainingEl = bucketEl.querySelector('.remaining-amount');
         
         if (bucket.type === 'saving') {
-            // For savings buckets, use contribution amount instead of items
-            const contributionAmount = bucket.goal?.contributionPerPeriodCents / 100 || 0;
+            // For savings buckets, use contribution amount (plus carry-over) instead of items
+            const contributionAmount = plannedCents / 100;
             const remaining = Math.max(0, contributionAmount - (spentCents / 100));
             spentLabel.textContent = `Contributed so far (this ${period}):`;
             remainingEl.textContent = `Still to contribute this ${period}: ${formatCurrency(remaining)}`;
@@ -824,11 +1049,54 @@ const DEFAULT_BUCKET_COLORS = [
         }
     }
 
+    // Pay periods left to contribute before a target date, counting this one
+    function periodsUntilDate(targetIso) {
+        const { incomeFrequency } = state.settings;
+        const anchor = state.settings.periodStartDate || todayIso();
+        const currentIndex = getPeriodForDate(anchor, incomeFrequency, todayIso()).index;
+        return Math.max(1, getPeriodForDate(anchor, incomeFrequency, targetIso).index - currentIndex);
+    }
+
+    // Contribution per pay period that reaches a goal by its target date, with interest
+    function goalContributionNeeded(goal) {
+        const goalAmount = goal.amountCents / 100 || 0;
+        const savedAmount = goal.savedSoFarCents / 100 || 0;
+        if (!goal.targetDate || goalAmount <= savedAmount) return 0;
+        return contributionForGoal(savedAmount, goalAmount, goal.ratePct || 0, periodsUntilDate(goal.targetDate), state.settings.incomeFrequency);
+    }
+
+    // A savings bucket's contributions are its ledger entries; withdrawals are negative
+    function goalEntries(bucket) {
+        return transactions.filter(tx => tx.bucketId === bucket.id);
+    }
+
+    // Saved so far comes from the bucket's ledger; savedSoFarCents is its cached total.
+    // Goals from before the ledger keep their saved amount as the opening balance.
+    // Without the whole ledger, or until an old contribution log has moved into it,
+    // the cached total stands.
+    function syncSavedFromLedger(bucket) {
+        const goal = bucket.goal;
+        if (!Number.isFinite(goal.openingSavedCents)) goal.openingSavedCents = goal.savedSoFarCents || 0;
+        if (!ledgerComplete || goal.contributions?.length) return;
+        const entries = goalEntries(bucket);
+        goal.savedSoFarCents = savedFromLog(goal.openingSavedCents, entries);
+        goal.milestones = recordMilestones(goal.amountCents, goal.openingSavedCents, entries, goal.milestones, todayIso());
+    }
+
+    // After a contribution or withdrawal: auto-calc follows the new balance
+    function followGoalBalance(bucket, bucketEl) {
+        if (bucket.type !== 'saving' || !bucket.goal?.autoCalc || !bucket.goal.targetDate) return;
+        bucket.goal.contributionPerPeriodCents = Math.round(goalContributionNeeded(bucket.goal) * 100);
+        updateBucketTotal(bucket, bucketEl);
+    }
+
     function updateSavingsSection(bucket, bucketEl) {
+        if (bucket.goal) syncSavedFromLedger(bucket);
         const goal = bucket.goal || {};
         const goalAmountEl = bucketEl.querySelector('.goal-amount');
         const goalDateEl = bucketEl.querySelector('.goal-date');
         const savedSoFarEl = bucketEl.querySelector('.saved-so-far');
+        const goalRateEl = bucketEl.querySelector('.goal-rate');
         const contributionEl = bucketEl.querySelector('.contribution-amount');
         const autoCalcEl = bucketEl.querySelector('.auto-calc-checkbox');
         const contribFreqEls = bucketEl.querySelectorAll('.contrib-freq');
@@ -840,13 +1108,16 @@ const DEFAULT_BUCKET_COLORS = [
         // Update field values
         goalAmountEl.value = goal.amountCents ? Math.round(goal.amountCents / 100) : '';
         goalDateEl.value = goal.targetDate || '';
-        savedSoFarEl.value = goal.savedSoFarCents ? Math.round(goal.savedSoFarCents / 100) : '';
+        savedSoFarEl.value = goal.openingSavedCents ? Math.round(goal.openingSavedCents / 100) : '';
+        if (document.activeElement !== goalRateEl) goalRateEl.value = goal.ratePct || '';
         contributionEl.value = goal.contributionPerPeriodCents ? Math.round(goal.contributionPerPeriodCents / 100) : '';
         
         // Update frequency labels throughout
-        const freq = state.settings.incomeFrequency.toLowerCase();
-        contribFreqEls.forEach(el => el.textContent = freq);
-        if (trackFreqEl) trackFreqEl.textContent = freq;
+        const frequency = state.settings.incomeFrequency;
+        const unit = frequencyUnit(frequency);
+        const plural = count => count === 1 ? unit : `${unit}s`;
+        contribFreqEls.forEach(el => el.textContent = unit);
+        if (trackFreqEl) trackFreqEl.textContent = unit;
         
         // Handle auto-calc functionality
         const isAutoCalc = goal.autoCalc || false;
@@ -861,35 +1132,16 @@ const DEFAULT_BUCKET_COLORS = [
         const goalAmount = goal.amountCents / 100 || 0;
         const savedAmount = goal.savedSoFarCents / 100 || 0;
         const remaining = Math.max(0, goalAmount - savedAmount);
+        const ratePct = goal.ratePct || 0;
         
-        let neededPerPeriod = 0;
-        let showStayOnTrack = false;
-        
-        if (goal.targetDate && goalAmount > 0 && remaining > 0) {
-            const targetDate = new Date(goal.targetDate);
-            const now = new Date();
-            const msPerDay = 24 * 60 * 60 * 1000;
-            const daysRemaining = Math.max(1, Math.ceil((targetDate - now) / msPerDay));
-            
-            // Calculate periods remaining based on frequency
-            let periodsRemaining;
-            switch (freq) {
-                case 'weekly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 7)); break;
-                case 'fortnightly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 14)); break;
-                case 'monthly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 30)); break;
-                case 'yearly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 365)); break;
-                default: periodsRemaining = 1;
-            }
-            
-            neededPerPeriod = remaining / periodsRemaining;
-            showStayOnTrack = true;
-        }
+        const showStayOnTrack = Boolean(goal.targetDate && goalAmount > 0 && remaining > 0);
+        const neededPerPeriod = showStayOnTrack ? goalContributionNeeded(goal) : 0;
         
         if (stayOnTrackEl) {
             stayOnTrackEl.style.display = showStayOnTrack ? 'block' : 'none';
             if (showStayOnTrack && trackAmountEl) {
                 const currency = state.settings.currency;
-                trackAmountEl.innerHTML = `${currency}$${Math.round(neededPerPeriod)} / <span class="track-freq">${freq}</span>`;
+                trackAmountEl.innerHTML = `${currency}$${Math.round(neededPerPeriod)} / <span class="track-freq">${unit}</span>`;
             }
         }
         
@@ -906,6 +1158,18 @@ const DEFAULT_BUCKET_COLORS = [
         if (progressTarget) progressTarget.textContent = `of ${formatCurrency(goalAmount)}`;
         if (progressBarFill) progressBarFill.style.width = `${percentage}%`;
         
+        bucketEl.querySelectorAll('.milestone').forEach(markerEl => {
+            const pct = Number(markerEl.dataset.percent);
+            const milestone = (goal.milestones || []).find(m => m.pct === pct);
+            markerEl.classList.toggle('reached', Boolean(milestone));
+            markerEl.querySelector('.milestone-label').textContent = milestone
+                ? format(new Date(`${milestone.reachedOn}T00:00:00`), 'd MMM')
+                : `${pct}%`;
+        });
+        
+        renderContributionLog(bucket, bucketEl);
+        drawSavingsChart(bucket, bucketEl);
+        
         // Enhanced savings calculations and display updates
         const contribution = goal.contributionPerPeriodCents / 100;
         
@@ -921,50 +1185,43 @@ const DEFAULT_BUCKET_COLORS = [
             if (timeEstimateEl) timeEstimateEl.innerHTML = `<span style="color: #5eead4">Goal achieved! <i class="fas fa-trophy"></i></span>`;
             if (periodsCountdownEl) periodsCountdownEl.textContent = 'Goal completed!';
             if (projectedDateEl) projectedDateEl.textContent = 'Achieved!';
-        } else if (contribution > 0) {
-            const periodsNeeded = Math.ceil(remaining / contribution);
-            let freqText = freq.toLowerCase();
-            if (periodsNeeded === 1) freqText = freqText.slice(0, -1); // Remove 's' for singular
+        } else if (contribution > 0 || ratePct > 0) {
+            const periodsNeeded = periodsToGoal(savedAmount, contribution, ratePct, goalAmount, frequency);
+            
+            if (periodsNeeded === Infinity) {
+                if (periodsCountdownEl) periodsCountdownEl.textContent = 'Set contribution to see timeline';
+                if (projectedDateEl) projectedDateEl.textContent = 'TBD';
+                if (timeEstimateEl) timeEstimateEl.textContent = 'Time to goal: Set contribution amount';
+                return;
+            }
             
             // Update countdown message
             if (periodsCountdownEl) {
-                periodsCountdownEl.textContent = `${periodsNeeded} ${freqText} to goal!`;
+                periodsCountdownEl.textContent = `${periodsNeeded} ${plural(periodsNeeded)} to goal!`;
             }
             
-            // Calculate projected completion date
-            const daysPerPeriod = {
-                'Weekly': 7,
-                'Fortnightly': 14,
-                'Monthly': 30,
-                'Quarterly': 90,
-                'Annually': 365
-            }[state.settings.incomeFrequency] || 14;
-            
-            const completionDate = new Date();
-            completionDate.setDate(completionDate.getDate() + (periodsNeeded * daysPerPeriod));
+            // The goal is reached when the last contribution goes in, at the end of that pay period
+            const completionDate = new Date(`${periodStartFrom(todayIso(), periodsNeeded)}T00:00:00`);
             
             if (projectedDateEl) {
                 projectedDateEl.textContent = format(completionDate, 'MMM yyyy');
             }
             
             // Calculate optimization suggestion (20% faster goal)
-            const targetPeriods = Math.ceil(periodsNeeded * 0.8); // 20% faster
-            const suggestedContribution = remaining / targetPeriods;
+            const targetPeriods = Math.max(1, Math.ceil(periodsNeeded * 0.8)); // 20% faster
+            const suggestedContribution = contributionForGoal(savedAmount, goalAmount, ratePct, targetPeriods, frequency);
             const timeSaved = periodsNeeded - targetPeriods;
             const currency = state.settings.currency || 'AUD';
             
             if (suggestedAmountEl && suggestedContribution > contribution) {
-                suggestedAmountEl.textContent = `${currency === 'AUD' ? 'A' : ''}$${Math.ceil(suggestedContribution)}/${freqText.slice(0, -1)}`;
+                suggestedAmountEl.textContent = `${currency === 'AUD' ? 'A' : ''}$${Math.ceil(suggestedContribution)}/${unit}`;
             }
             
             if (timeSavedEl && timeSaved > 0) {
-                let timeSavedText = timeSaved === 1 ? `1 ${freqText.slice(0, -1)}` : `${timeSaved} ${freqText}`;
+                let timeSavedText = `${timeSaved} ${plural(timeSaved)}`;
                 // Convert to months if it's a large number of periods
-                if (state.settings.incomeFrequency === 'Fortnightly' && timeSaved >= 4) {
-                    const months = Math.round(timeSaved / 2.17); // Approximate fortnights to months
-                    timeSavedText = months === 1 ? '1 month' : `${months} months`;
-                } else if (state.settings.incomeFrequency === 'Weekly' && timeSaved >= 8) {
-                    const months = Math.round(timeSaved / 4.33); // Approximate weeks to months
+                if ((frequency === 'Fortnightly' && timeSaved >= 4) || (frequency === 'Weekly' && timeSaved >= 8)) {
+                    const months = Math.round(convertFrequency(timeSaved, 'Monthly', frequency));
                     timeSavedText = months === 1 ? '1 month' : `${months} months`;
                 }
                 timeSavedEl.textContent = timeSavedText;
@@ -973,14 +1230,14 @@ const DEFAULT_BUCKET_COLORS = [
             // Update time estimate
             if (timeEstimateEl) {
                 if (goal.targetDate) {
-                    const targetDate = new Date(goal.targetDate);
-                    const onTrack = contribution >= (remaining / Math.ceil((targetDate - new Date()) / (daysPerPeriod * 24 * 60 * 60 * 1000)));
+                    const targetDate = new Date(`${goal.targetDate}T00:00:00`);
+                    const onTrack = contribution >= neededPerPeriod;
                     const estDateText = format(targetDate, 'MMM dd, yyyy');
                     let displayText = `Target: ${estDateText}`;
                     displayText += ` <span style="color: ${onTrack ? '#5eead4' : '#ff6b6b'}">(${onTrack ? 'on track' : 'behind'})</span>`;
                     timeEstimateEl.innerHTML = displayText;
                 } else {
-                    timeEstimateEl.textContent = `Time to goal: ${periodsNeeded} ${freqText}`;
+                    timeEstimateEl.textContent = `Time to goal: ${periodsNeeded} ${plural(periodsNeeded)}`;
                 }
             }
         } else {
@@ -991,17 +1248,125 @@ const DEFAULT_BUCKET_COLORS = [
         }
     }
 
+    function renderContributionLog(bucket, bucketEl) {
+        const goal = bucket.goal || {};
+        const list = bucketEl.querySelector('.contribution-list');
+        const dateInput = bucketEl.querySelector('.contribution-date');
+        if (!list) return;
+        if (!dateInput.value) dateInput.value = todayIso();
+        
+        const milestoneList = bucketEl.querySelector('.milestone-list');
+        milestoneList.innerHTML = '';
+        (goal.milestones || []).forEach(milestone => {
+            const li = document.createElement('li');
+            li.textContent = `${milestone.pct}% · ${format(new Date(`${milestone.reachedOn}T00:00:00`), 'd MMM yyyy')}`;
+            milestoneList.appendChild(li);
+        });
+        
+        const entries = goalEntries(bucket).sort((a, b) => b.date.localeCompare(a.date));
+        const template = document.getElementById('transactionTemplate');
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const row = template.content.cloneNode(true).querySelector('.tx-row');
+            row.dataset.transactionId = entry.id;
+            row.querySelector('.tx-row-date').textContent = format(new Date(`${entry.date}T00:00:00`), 'dd MMM yyyy');
+            row.querySelector('.tx-row-payee').textContent = entry.payee || (entry.amountCents < 0 ? 'Withdrawal' : 'Contribution');
+            row.querySelector('.tx-row-note').textContent = entry.note || '';
+            row.querySelector('.tx-row-amount').textContent = formatCurrencyPrecise(entry.amountCents / 100);
+            row.querySelector('.delete-btn').setAttribute('aria-label', 'Delete entry');
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                if (confirm('Delete this entry?')) deleteLedgerTransaction(entry.id, bucket, bucketEl);
+            });
+            list.appendChild(row);
+        });
+        
+        bucketEl.querySelector('.contribution-count').textContent = entries.length;
+        bucketEl.querySelector('.contribution-empty').style.display = entries.length ? 'none' : '';
+    }
+
+    // Saved over time, next to the progress bar
+    function drawSavingsChart(bucket, bucketEl) {
+        const goal = bucket.goal || {};
+        const wrap = bucketEl.querySelector('.savings-chart-wrap');
+        const canvas = bucketEl.querySelector('.savings-chart');
+        const points = balanceHistory(goal.openingSavedCents, goalEntries(bucket));
+        let chart = savingsCharts.get(bucket.id);
+        
+        // The card was re-rendered, so the old chart's canvas is gone
+        if (chart && chart.canvas !== canvas) {
+            chart.destroy();
+            savingsCharts.delete(bucket.id);
+            chart = null;
+        }
+        
+        wrap.hidden = points.length === 0 || !window.Chart;
+        if (wrap.hidden) return;
+        
+        const labels = points.map(point => format(new Date(`${point.date}T00:00:00`), 'd MMM yy'));
+        const data = points.map(point => point.balanceCents / 100);
+        const goalAmount = goal.amountCents / 100 || undefined;
+        
+        if (chart) {
+            chart.data.labels = labels;
+            chart.data.datasets[0].data = data;
+            chart.options.scales.y.suggestedMax = goalAmount;
+            chart.update();
+            return;
+        }
+        
+        savingsCharts.set(bucket.id, new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    data,
+                    borderColor: '#5eead4',
+                    backgroundColor: 'rgba(94, 234, 212, 0.15)',
+                    fill: true,
+                    tension: 0.25,
+                    pointRadius: 2
+                }]
+            },
+            options: {
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: ctx => formatCurrencyPrecise(ctx.parsed.y) } }
+                },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 4, color: '#a7b1c2' }, grid: { display: false } },
+                    y: { beginAtZero: true, suggestedMax: goalAmount, ticks: { maxTicksLimit: 3, color: '#a7b1c2' } }
+                }
+            }
+        }));
+    }
+
     function updateDebtSection(bucket, bucketEl) {
         const debt = bucket.debt || {};
         const aprEl = bucketEl.querySelector('.apr-pct');
         const minPaymentEl = bucketEl.querySelector('.min-payment');
         const payoffTextEl = bucketEl.querySelector('.payoff-text');
+        const balanceEl = bucketEl.querySelector('.debt-balance');
+        const statusEl = bucketEl.querySelector('.schedule-status');
         
         aprEl.value = debt.aprPct || '';
         minPaymentEl.value = debt.minPaymentCents ? Math.round(debt.minPaymentCents / 100) : '';
         
         // Calculate payoff
-        const balance = sumIncludedItems(bucket);
+        const balance = getDebtBalance(bucket);
+        const tracked = isDebtTracked(bucket);
+        if (document.activeElement !== balanceEl) {
+            balanceEl.value = tracked ? balance.toFixed(2) : '';
+            balanceEl.placeholder = balance.toFixed(2);
+        }
+        
+        statusEl.hidden = !tracked;
+        if (tracked) {
+            const variance = debtScheduleVariance(bucket);
+            statusEl.className = `schedule-status schedule-status--${variance?.status || 'on-schedule'}`;
+            statusEl.textContent = describeScheduleVariance(variance);
+        }
+        
         const minPaymentMonthly = convertFrequency(debt.minPaymentCents / 100 || 0, state.settings.incomeFrequency, 'Monthly');
         const months = monthsToPayoff(balance, debt.aprPct || 0, minPaymentMonthly);
         
@@ -1013,6 +1378,242 @@ const DEFAULT_BUCKET_COLORS = [
         }
     }
 
+    // Minimum payments against the opening balance, one row per pay period
+    function debtOpeningSchedule(bucket) {
+        const debt = bucket.debt;
+        return amortisationSchedule(debt.openingBalanceCents, debt.aprPct || 0, debt.minPaymentCents || 0, state.settings.incomeFrequency);
+    }
+
+    function debtScheduleVariance(bucket) {
+        return scheduleVariance(debtOpeningSchedule(bucket).rows, debtHistorySinceOpening(bucket.debt));
+    }
+
+    function describeScheduleVariance(variance) {
+        if (!variance) return 'On schedule so far – first check when this period closes';
+        if (variance.status === 'on-schedule') return 'On schedule';
+        
+        const unit = frequencyUnit(state.settings.incomeFrequency);
+        const periods = Math.abs(variance.periodsAhead);
+        const timing = periods ? ` (${periods} ${unit}${periods === 1 ? '' : 's'})` : '';
+        const amount = formatCurrencyPrecise(Math.abs(variance.differenceCents) / 100);
+        return variance.status === 'ahead'
+            ? `Ahead of schedule by ${amount}${timing}`
+            : `Behind schedule by ${amount}${timing}`;
+    }
+
+    // Pay period n places after the one containing a date
+    function periodStartFrom(dateIso, offset) {
+        const { incomeFrequency } = state.settings;
+        const anchor = state.settings.periodStartDate || todayIso();
+        return periodStartAt(anchor, incomeFrequency, getPeriodForDate(anchor, incomeFrequency, dateIso).index + offset);
+    }
+
+    // Amortisation table: closed periods as recorded, then the remaining
+    // minimum payments from the balance at the start of this period
+    function renderAmortisation(bucket) {
+        const debt = bucket.debt || {};
+        const tracked = isDebtTracked(bucket);
+        const frequency = state.settings.incomeFrequency;
+        const history = tracked ? debtHistorySinceOpening(debt) : [];
+        const startCents = tracked ? debtPeriodStartBalanceCents(debt) : Math.round(getDebtBalance(bucket) * 100);
+        const planned = tracked ? debtOpeningSchedule(bucket).rows : [];
+        const remaining = amortisationSchedule(startCents, debt.aprPct || 0, debt.minPaymentCents || 0, frequency);
+        
+        document.getElementById('amortisationTitle').textContent = `${bucket.name || 'Debt'} repayments`;
+        document.getElementById('amortisationSummary').textContent = [
+            `${formatCurrencyPrecise(getDebtBalance(bucket))} owing at ${debt.aprPct || 0}%`,
+            `${formatCurrencyPrecise((debt.minPaymentCents || 0) / 100)} per ${frequencyUnit(frequency)}`,
+            tracked ? describeScheduleVariance(debtScheduleVariance(bucket)) : 'Enter the balance owing to track payments against this schedule'
+        ].join(' · ');
+        
+        const empty = startCents <= 0 && history.length === 0;
+        document.getElementById('amortisationEmpty').hidden = !empty;
+        document.getElementById('amortisationTable').hidden = empty;
+        
+        const body = document.getElementById('amortisationRows');
+        body.innerHTML = '';
+        const addRow = (periodIndex, entry, label, isActual) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('actual', isActual);
+            const scheduled = planned[periodIndex];
+            [
+                label,
+                formatCurrencyPrecise(entry.paymentCents / 100),
+                formatCurrencyPrecise(entry.interestCents / 100),
+                formatCurrencyPrecise(entry.principalCents / 100),
+                formatCurrencyPrecise(entry.balanceCents / 100),
+                scheduled ? formatCurrencyPrecise(scheduled.balanceCents / 100) : (tracked ? formatCurrencyPrecise(0) : '—')
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        };
+        
+        history.forEach((entry, index) => {
+            addRow(index, entry, format(new Date(`${entry.periodStart}T00:00:00`), 'd MMM yyyy'), true);
+        });
+        // An unpayable debt runs forever; a few years is enough to see why
+        remaining.rows.slice(0, remaining.feasible ? undefined : 36).forEach((entry, index) => {
+            const label = index === 0 ? 'This period' : format(new Date(`${periodStartFrom(todayIso(), index)}T00:00:00`), 'd MMM yyyy');
+            addRow(history.length + index, entry, label, false);
+        });
+        
+        document.getElementById('amortisationUnpayable').hidden = remaining.feasible || empty;
+    }
+
+    function openAmortisation(bucket) {
+        const modal = document.getElementById('amortisationModal');
+        if (!modal) return;
+        renderAmortisation(bucket);
+        modal.showModal();
+    }
+
+
+    // Debt payoff planner: every included debt bucket with something owing
+    function plannerDebts() {
+        return (state.debt || [])
+            .filter(bucket => bucket.include)
+            .map(bucket => ({
+                id: bucket.id,
+                name: bucket.name || 'Unnamed debt',
+                balanceCents: Math.round(getDebtBalance(bucket) * 100),
+                aprPct: bucket.debt?.aprPct || 0,
+                // Minimum payments are entered per budget period
+                minPaymentCents: Math.round(convertFrequency(bucket.debt?.minPaymentCents || 0, state.settings.incomeFrequency, 'Monthly'))
+            }))
+            .filter(debt => debt.balanceCents > 0);
+    }
+
+    function getDebtPlan() {
+        state.settings.debtPlan = {
+            strategy: 'avalanche',
+            extraMonthlyCents: 0,
+            customOrder: [],
+            ...(state.settings.debtPlan || {})
+        };
+        return state.settings.debtPlan;
+    }
+
+    function describeDebtFreeMonth(months) {
+        return isFinite(months) ? format(addMonths(new Date(), months), 'MMM yyyy') : 'Never';
+    }
+
+    function renderDebtPlanner() {
+        const plan = getDebtPlan();
+        const debts = plannerDebts();
+        document.getElementById('plannerEmpty').hidden = debts.length > 0;
+        document.getElementById('plannerResults').hidden = debts.length === 0;
+        if (debts.length === 0) return;
+        
+        // New debts join the end of the custom order
+        const customOrder = orderDebts(debts, 'custom', plan.customOrder).map(debt => debt.id);
+        const results = compareStrategies(debts, { extraMonthlyCents: plan.extraMonthlyCents, customOrder });
+        const result = results[plan.strategy];
+        const labels = { avalanche: 'Avalanche', snowball: 'Snowball', custom: 'Custom order' };
+        
+        const comparison = document.getElementById('plannerComparison');
+        comparison.innerHTML = '';
+        Object.entries(results).forEach(([strategy, outcome]) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', strategy === plan.strategy);
+            [
+                labels[strategy],
+                outcome.feasible
+                    ? `${describeDebtFreeMonth(outcome.months)} (${outcome.months} months)`
+                    : 'Never – payments don\'t cover the interest',
+                outcome.feasible ? formatCurrencyPrecise(outcome.totalInterestCents / 100) : '—'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            comparison.appendChild(row);
+        });
+        
+        const orderList = document.getElementById('plannerOrder');
+        const template = document.getElementById('plannerDebtTemplate');
+        const ordered = orderDebts(debts, plan.strategy, customOrder);
+        orderList.innerHTML = '';
+        ordered.forEach((debt, index) => {
+            const row = template.content.cloneNode(true).querySelector('.planner-debt');
+            const payoff = result.payoffs.find(p => p.id === debt.id);
+            row.querySelector('.planner-debt-name').textContent = debt.name;
+            row.querySelector('.planner-debt-terms').textContent =
+                `${formatCurrencyPrecise(debt.balanceCents / 100)} at ${debt.aprPct}% · ${formatCurrencyPrecise(debt.minPaymentCents / 100)}/month minimum`;
+            row.querySelector('.planner-debt-payoff').textContent = payoff ? describeDebtFreeMonth(payoff.month) : 'Never';
+            
+            row.querySelector('.planner-debt-move').hidden = plan.strategy !== 'custom';
+            row.querySelector('.planner-up').disabled = index === 0;
+            row.querySelector('.planner-down').disabled = index === ordered.length - 1;
+            row.querySelector('.planner-up').addEventListener('click', () => moveDebtInPlan(customOrder, index, -1));
+            row.querySelector('.planner-down').addEventListener('click', () => moveDebtInPlan(customOrder, index, 1));
+            orderList.appendChild(row);
+        });
+        
+        const names = Object.fromEntries(debts.map(debt => [debt.id, debt.name]));
+        const scheduleBody = document.getElementById('plannerSchedule');
+        scheduleBody.innerHTML = '';
+        // An unpayable plan runs for fifty years; a few years is enough to see why
+        result.schedule.slice(0, result.feasible ? undefined : 36).forEach(entry => {
+            const row = document.createElement('tr');
+            const focus = entry.paidOff.length
+                ? `${names[entry.targetId]} · paid off ${entry.paidOff.map(id => names[id]).join(', ')}`
+                : names[entry.targetId];
+            [
+                format(addMonths(new Date(), entry.month), 'MMM yyyy'),
+                focus,
+                formatCurrencyPrecise(entry.freedCents / 100),
+                formatCurrencyPrecise(entry.interestCents / 100),
+                formatCurrencyPrecise(entry.paidCents / 100),
+                formatCurrencyPrecise(entry.balanceCents / 100)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            scheduleBody.appendChild(row);
+        });
+    }
+
+    function moveDebtInPlan(customOrder, index, direction) {
+        const order = [...customOrder];
+        [order[index], order[index + direction]] = [order[index + direction], order[index]];
+        getDebtPlan().customOrder = order;
+        renderDebtPlanner();
+        saveToCloud();
+    }
+
+    function setupDebtPlanner() {
+        const modal = document.getElementById('debtPlannerModal');
+        if (!modal) return;
+        
+        document.getElementById('openDebtPlannerBtn')?.addEventListener('click', () => {
+            const plan = getDebtPlan();
+            modal.querySelector('#plannerExtra').value = plan.extraMonthlyCents / 100;
+            modal.querySelector('#plannerStrategy').value = plan.strategy;
+            renderDebtPlanner();
+            modal.showModal();
+        });
+        
+        modal.querySelector('#plannerExtra').addEventListener('input', debounce((e) => {
+            getDebtPlan().extraMonthlyCents = Math.max(0, Math.round((parseFloat(e.target.value) || 0) * 100));
+            renderDebtPlanner();
+            saveToCloud();
+        }, 300));
+        
+        modal.querySelector('#plannerStrategy').addEventListener('change', (e) => {
+            getDebtPlan().strategy = e.target.value;
+            renderDebtPlanner();
+            saveToCloud();
+        });
+        
+        modal.querySelector('.close-modal').addEventListener('click', () => modal.close());
+        
+        const amortisationModal = document.getElementById('amortisationModal');
+        amortisationModal?.querySelector('.close-modal').addEventListener('click', () => amortisationModal.close());
+    }
 
     // Drag and drop functionality
     function wireSortable(listEl) {
@@ -1053,14 +1654,12 @@ const DEFAULT_BUCKET_COLORS = [
         const includeInput = card.querySelector('.bucket-include');
         const colorInput = card.querySelector('.bucket-color');
         const notesTextarea = card.querySelector('.bucket-notes');
-        const spentInput = card.querySelector('.spent-this-period');
         
         nameInput.value = bucket.name || '';
-        bankInput.value = bucket.bankAccount || '';
+        fillBankAccountOptions(bankInput, bucket.accountId);
         includeInput.checked = bucket.include !== false;
         colorInput.value = bucket.color || getNextBucketColor();
         notesTextarea.value = bucket.notes || '';
-        spentInput.value = bucket.spentThisPeriodCents ? Math.round(bucket.spentThisPeriodCents / 100) : '0';
         
         // Auto-resize notes textarea
         if (window.autosize) {
@@ -1101,7 +1700,7 @@ const DEFAULT_BUCKET_COLORS = [
         updateBucketUI(bucket, card);
         updateBucketTotal(bucket, card);
         updateBucketColor(bucket, card);
-        
+        renderBucketLedger(bucket, card);
         
         return card;
     }
@@ -1112,7 +1711,9 @@ const DEFAULT_BUCKET_COLORS = [
         const includeInput = card.querySelector('.bucket-include');
         const colorInput = card.querySelector('.bucket-color');
         const notesTextarea = card.querySelector('.bucket-notes');
-        const spentInput = card.querySelector('.spent-this-period');
+        const ledgerForm = card.querySelector('.ledger-form');
+        const ledgerDetails = card.querySelector('.ledger');
+        const rolloverSelect = card.querySelector('.rollover-policy');
         const deleteBtn = card.querySelector('.delete-btn');
         const addItemBtn = card.querySelector('.add-item-btn');
         const toggleBtn = card.querySelector('.bucket-toggle');
@@ -1128,13 +1729,24 @@ const DEFAULT_BUCKET_COLORS = [
         nameInput.addEventListener('input', () => {
             bucket.name = nameInput.value;
             card.dataset.bucketName = bucket.name;
+            renderPaydayTransfers();
             debouncedSave();
         });
         
-        bankInput.addEventListener('input', () => {
-            bucket.bankAccount = bankInput.value;
+        bankInput.addEventListener('change', async () => {
+            if (bankInput.value === NEW_ACCOUNT_OPTION) {
+                const created = await promptNewBankAccount();
+                fillBankAccountOptions(bankInput, created ? created.id : bucket.accountId);
+                if (!created) return;
+            }
+            
+            const bankAccount = findBankAccount(bankInput.value);
+            bucket.accountId = bankAccount?.id || null;
+            bucket.bankAccount = bankAccount?.name || '';
             card.dataset.bankAccount = bucket.bankAccount;
             updateBucketUI(bucket, card);
+            updateForecastSummary();
+            renderPaydayTransfers();
             debouncedSave();
         });
         
@@ -1178,12 +1790,33 @@ const DEFAULT_BUCKET_COLORS = [
         
         notesTextarea.addEventListener('input', debouncedUpdateNotes);
         
-        spentInput.addEventListener('input', () => {
-            bucket.spentThisPeriodCents = Math.round((parseFloat(spentInput.value) || 0) * 100);
-            updateBucketUI(bucket, card);
+        ledgerForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const added = await addLedgerTransaction(bucket, card, {
+                bucketId: bucket.id,
+                date: ledgerForm.querySelector('.tx-date').value,
+                payee: ledgerForm.querySelector('.tx-payee').value,
+                amount: ledgerForm.querySelector('.tx-amount').value,
+                itemId: ledgerForm.querySelector('.tx-item').value,
+                note: ledgerForm.querySelector('.tx-note').value
+            });
+            if (added) {
+                ledgerForm.querySelector('.tx-payee').value = '';
+                ledgerForm.querySelector('.tx-amount').value = '';
+                ledgerForm.querySelector('.tx-note').value = '';
+            }
+        });
+        
+        rolloverSelect.addEventListener('change', () => {
+            bucket.rolloverPolicy = rolloverSelect.value;
             debouncedSave();
         });
         
+        // Item names may have changed since the card rendered
+        ledgerDetails.addEventListener('toggle', () => {
+            if (ledgerDetails.open) renderBucketLedger(bucket, card);
+        });
+        
         deleteBtn.addEventListener('click', () => {
             if (confirm('Delete this bucket and all its items?')) {
                 deleteBucket(bucket.id, section);
@@ -1227,19 +1860,27 @@ const DEFAULT_BUCKET_COLORS = [
         const goalAmountEl = card.querySelector('.goal-amount');
         const goalDateEl = card.querySelector('.goal-date');
         const savedSoFarEl = card.querySelector('.saved-so-far');
+        const goalRateEl = card.querySelector('.goal-rate');
         const contributionEl = card.querySelector('.contribution-amount');
         const autoCalcEl = card.querySelector('.auto-calc-checkbox');
         const useAmountBtn = card.querySelector('.use-amount-btn');
         
         const debouncedSavingsUpdate = debounce(() => {
             if (!bucket.goal) bucket.goal = {};
-            bucket.goal.amountCents = Math.round((parseFloat(goalAmountEl.value) || 0) * 100);
+            const amountCents = Math.round((parseFloat(goalAmountEl.value) || 0) * 100);
+            // Milestones are shares of the goal, so a new goal starts them again
+            if (amountCents !== bucket.goal.amountCents) bucket.goal.milestones = [];
+            bucket.goal.amountCents = amountCents;
             bucket.goal.targetDate = goalDateEl.value || null;
-            bucket.goal.savedSoFarCents = Math.round((parseFloat(savedSoFarEl.value) || 0) * 100);
+            bucket.goal.openingSavedCents = Math.round((parseFloat(savedSoFarEl.value) || 0) * 100);
+            syncSavedFromLedger(bucket);
+            bucket.goal.ratePct = Math.max(0, parseFloat(goalRateEl.value) || 0);
             
             // Only update contribution if not in auto-calc mode
             if (!bucket.goal.autoCalc) {
                 bucket.goal.contributionPerPeriodCents = Math.round((parseFloat(contributionEl.value) || 0) * 100);
+            } else if (bucket.goal.targetDate) {
+                bucket.goal.contributionPerPeriodCents = Math.round(goalContributionNeeded(bucket.goal) * 100);
             }
             
             updateSavingsSection(bucket, card);
@@ -1251,6 +1892,28 @@ const DEFAULT_BUCKET_COLORS = [
         if (goalAmountEl) goalAmountEl.addEventListener('input', debouncedSavingsUpdate);
         if (goalDateEl) goalDateEl.addEventListener('change', debouncedSavingsUpdate);
         if (savedSoFarEl) savedSoFarEl.addEventListener('input', debouncedSavingsUpdate);
+        if (goalRateEl) goalRateEl.addEventListener('input', debouncedSavingsUpdate);
+        
+        const contributionForm = card.querySelector('.contribution-form');
+        contributionForm?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const amountCents = Math.round((parseFloat(contributionForm.querySelector('.contribution-log-amount').value) || 0) * 100);
+            if (amountCents <= 0) return;
+            
+            if (!bucket.goal) bucket.goal = {};
+            const withdrawal = contributionForm.querySelector('.contribution-kind').value === 'out';
+            const added = await addLedgerTransaction(bucket, card, {
+                bucketId: bucket.id,
+                date: contributionForm.querySelector('.contribution-date').value,
+                payee: withdrawal ? 'Withdrawal' : 'Contribution',
+                amountCents: withdrawal ? -amountCents : amountCents,
+                note: contributionForm.querySelector('.contribution-note').value
+            });
+            if (added) {
+                contributionForm.querySelector('.contribution-log-amount').value = '';
+                contributionForm.querySelector('.contribution-note').value = '';
+            }
+        });
         if (contributionEl) contributionEl.addEventListener('input', debouncedSavingsUpdate);
         
         // Date chips functionality
@@ -1273,28 +1936,9 @@ const DEFAULT_BUCKET_COLORS = [
                 
                 if (bucket.goal.autoCalc) {
                     // Calculate the needed amount based on goal date
-                    const goalAmount = bucket.goal.amountCents / 100 || 0;
-                    const savedAmount = bucket.goal.savedSoFarCents / 100 || 0;
-                    const remaining = Math.max(0, goalAmount - savedAmount);
-                    
+                    const remaining = (bucket.goal.amountCents || 0) - (bucket.goal.savedSoFarCents || 0);
                     if (bucket.goal.targetDate && remaining > 0) {
-                        const targetDate = new Date(bucket.goal.targetDate);
-                        const now = new Date();
-                        const msPerDay = 24 * 60 * 60 * 1000;
-                        const daysRemaining = Math.max(1, Math.ceil((targetDate - now) / msPerDay));
-                        
-                        const freq = state.settings.incomeFrequency.toLowerCase();
-                        let periodsRemaining;
-                        switch (freq) {
-                            case 'weekly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 7)); break;
-                            case 'fortnightly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 14)); break;
-                            case 'monthly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 30)); break;
-                            case 'yearly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 365)); break;
-                            default: periodsRemaining = 1;
-                        }
-                        
-                        const neededPerPeriod = remaining / periodsRemaining;
-                        bucket.goal.contributionPerPeriodCents = Math.round(neededPerPeriod * 100);
+                        bucket.goal.contributionPerPeriodCents = Math.round(goalContributionNeeded(bucket.goal) * 100);
                     }
                 }
                 
@@ -1310,27 +1954,10 @@ const DEFAULT_BUCKET_COLORS = [
             useAmountBtn.addEventListener('click', () => {
                 if (!bucket.goal) bucket.goal = {};
                 
-                const goalAmount = bucket.goal.amountCents / 100 || 0;
-                const savedAmount = bucket.goal.savedSoFarCents / 100 || 0;
-                const remaining = Math.max(0, goalAmount - savedAmount);
+                const remaining = (bucket.goal.amountCents || 0) - (bucket.goal.savedSoFarCents || 0);
                 
                 if (bucket.goal.targetDate && remaining > 0) {
-                    const targetDate = new Date(bucket.goal.targetDate);
-                    const now = new Date();
-                    const msPerDay = 24 * 60 * 60 * 1000;
-                    const daysRemaining = Math.max(1, Math.ceil((targetDate - now) / msPerDay));
-                    
-                    const freq = state.settings.incomeFrequency.toLowerCase();
-                    let periodsRemaining;
-                    switch (freq) {
-                        case 'weekly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 7)); break;
-                        case 'fortnightly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 14)); break;
-                        case 'monthly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 30)); break;
-                        case 'yearly': periodsRemaining = Math.max(1, Math.ceil(daysRemaining / 365)); break;
-                        default: periodsRemaining = 1;
-                    }
-                    
-                    const neededPerPeriod = remaining / periodsRemaining;
+                    const neededPerPeriod = goalContributionNeeded(bucket.goal);
                     bucket.goal.contributionPerPeriodCents = Math.round(neededPerPeriod * 100);
                     contributionEl.value = Math.round(neededPerPeriod);
                     
@@ -1357,6 +1984,25 @@ const DEFAULT_BUCKET_COLORS = [
         
         aprEl.addEventListener('input', debouncedDebtUpdate);
         minPaymentEl.addEventListener('input', debouncedDebtUpdate);
+        
+        // Entering the balance owing (re)starts the repayment schedule from this period.
+        // Payments already made this period are added back so they are not counted twice.
+        card.querySelector('.debt-balance').addEventListener('change', (e) => {
+            if (!bucket.debt) bucket.debt = {};
+            const value = parseFloat(e.target.value);
+            if (Number.isFinite(value)) {
+                bucket.debt.openingBalanceCents = Math.max(0, Math.round(value * 100)) + getBucketSpentCents(bucket);
+                bucket.debt.openingDate = (currentPeriod || refreshCurrentPeriod()).start;
+            } else {
+                bucket.debt.openingBalanceCents = null;
+                bucket.debt.openingDate = null;
+            }
+            
+            updateDebtSection(bucket, card);
+            saveToCloud();
+        });
+        
+        card.querySelector('.amortisation-btn').addEventListener('click', () => openAmortisation(bucket));
     }
 
     function addNewItem(bucket, bucketEl, section) {
@@ -1364,7 +2010,9 @@ const DEFAULT_BUCKET_COLORS = [
             id: generateId(),
             name: '',
             amount: 0,
-            include: true
+            include: true,
+            frequency: null,
+            nextDueDate: null
         };
         
         bucket.items = bucket.items || [];
@@ -1392,12 +2040,19 @@ const DEFAULT_BUCKET_COLORS = [
         
         const nameInput = row.querySelector('.item-name');
         const amountInput = row.querySelector('.item-amount');
+        const frequencySelect = row.querySelector('.item-frequency');
+        const dueInput = row.querySelector('.item-due');
         const includeInput = row.querySelector('.item-include');
         const deleteBtn = row.querySelector('.delete-btn');
         
         nameInput.value = item.name || '';
         amountInput.value = item.amount || 0;
+        frequencySelect.value = item.frequency || '';
+        dueInput.value = item.nextDueDate
+            ? nextOccurrence(item.nextDueDate, item.frequency || state.settings.incomeFrequency, todayIso())
+            : '';
         includeInput.checked = item.include !== false;
+        updateItemSetAside(item, row);
         
         // Event listeners
         nameInput.addEventListener('input', debounce(() => {
@@ -1407,12 +2062,27 @@ const DEFAULT_BUCKET_COLORS = [
         
         amountInput.addEventListener('input', debounce(() => {
             item.amount = parseFloat(amountInput.value) || 0;
+            updateItemSetAside(item, row);
             updateBucketTotal(bucket, bucketEl);
             updateBucketUI(bucket, bucketEl);
             updateDerivedValues();
             saveToCloud();
         }, 300));
         
+        frequencySelect.addEventListener('change', () => {
+            item.frequency = frequencySelect.value || null;
+            updateItemSetAside(item, row);
+            updateBucketTotal(bucket, bucketEl);
+            updateBucketUI(bucket, bucketEl);
+            updateDerivedValues();
+            saveToCloud();
+        });
+        
+        dueInput.addEventListener('change', () => {
+            item.nextDueDate = dueInput.value || null;
+            saveToCloud();
+        });
+        
         includeInput.addEventListener('change', () => {
             item.include = includeInput.checked;
             updateBucketTotal(bucket, bucketEl);
@@ -1437,6 +2107,20 @@ const DEFAULT_BUCKET_COLORS = [
         tbody.appendChild(itemEl);
     }
 
+    // Show what a yearly/quarterly/etc. item costs each pay period
+    function updateItemSetAside(item, row) {
+        const setAsideEl = row.querySelector('.item-set-aside');
+        const freq = state.settings.incomeFrequency;
+        
+        if (!item.frequency || item.frequency === freq) {
+            setAsideEl.hidden = true;
+            return;
+        }
+        
+        setAsideEl.textContent = `${formatCurrency(itemAmountPerPeriod(item, freq))} / ${frequencyUnit(freq)}`;
+        setAsideEl.hidden = false;
+    }
+
     function updateBucketTotal(bucket, bucketEl) {
         let total;
         
@@ -1464,41 +2148,2464 @@ const DEFAULT_BUCKET_COLORS = [
         }
     }
 
-    function deleteBucket(bucketId, section) {
-        if (section === 'expenses') {
-            state.expenses = state.expenses.filter(b => b.id !== bucketId);
-        } else if (section === 'savings') {
-            state.savings = state.savings.filter(b => b.id !== bucketId);
-        } else if (section === 'debt') {
-            state.debt = state.debt.filter(b => b.id !== bucketId);
-        }
-        
-        // Update bucket counter
-        if (window.updateBucketCounter) {
-            window.updateBucketCounter();
-        }
+    // Transaction ledger
+    function renderBucketLedger(bucket, bucketEl) {
+        const list = bucketEl.querySelector('.ledger-list');
+        const emptyEl = bucketEl.querySelector('.ledger-empty');
+        const countEl = bucketEl.querySelector('.ledger-count');
+        const itemSelect = bucketEl.querySelector('.tx-item');
+        const dateInput = bucketEl.querySelector('.tx-date');
+        if (!list) return;
+        
+        const bucketTransactions = transactionsForBucket(currentPeriodTransactions(), bucket.id);
+        const itemNames = {};
+        (bucket.items || []).forEach(item => { itemNames[item.id] = item.name || 'Unnamed item'; });
+        
+        // Item link options
+        const selectedItem = itemSelect.value;
+        itemSelect.innerHTML = '<option value="">No item</option>';
+        (bucket.items || []).forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = itemNames[item.id];
+            itemSelect.appendChild(option);
+        });
+        itemSelect.value = itemNames[selectedItem] ? selectedItem : '';
+        itemSelect.style.display = bucket.items?.length ? '' : 'none';
+        if (!dateInput.value) dateInput.value = todayIso();
+        
+        list.innerHTML = '';
+        const template = document.getElementById('transactionTemplate');
+        bucketTransactions.forEach(tx => {
+            const row = template.content.cloneNode(true).querySelector('.tx-row');
+            row.dataset.transactionId = tx.id;
+            row.querySelector('.tx-row-date').textContent = format(new Date(`${tx.date}T00:00:00`), 'dd MMM yyyy');
+            row.querySelector('.tx-row-payee').textContent = tx.payee || '—';
+            row.querySelector('.tx-row-item').textContent = tx.itemId ? (itemNames[tx.itemId] || 'Removed item') : '';
+            row.querySelector('.tx-row-amount').textContent = formatCurrencyPrecise(tx.amountCents / 100);
+            row.querySelector('.tx-row-amount').classList.toggle('refund', tx.amountCents < 0);
+            row.querySelector('.tx-row-note').textContent = tx.note || '';
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                if (confirm('Delete this transaction?')) {
+                    deleteLedgerTransaction(tx.id, bucket, bucketEl);
+                }
+            });
+            list.appendChild(row);
+        });
         
-        renderBuckets();
+        countEl.textContent = bucketTransactions.length;
+        emptyEl.style.display = bucketTransactions.length ? 'none' : '';
+    }
+
+    function refreshAfterLedgerChange(bucket, bucketEl) {
+        cacheTransactions();
+        syncSpentFromLedger();
+        renderBucketLedger(bucket, bucketEl);
+        followGoalBalance(bucket, bucketEl);
+        updateBucketUI(bucket, bucketEl);
+        // Payments bring a tracked debt's balance down straight away
+        if (bucket.type === 'debt') updateDebtSection(bucket, bucketEl);
         updateDerivedValues();
         saveToCloud();
     }
 
-    // Expose bucket count for UI
-    window.getBucketCountForUI = function() {
-        return (state.expenses?.length || 0) + (state.savings?.length || 0) + (state.debt?.length || 0);
-    };
-    
-    // Get next color for new bucket based on existing bucket count
-    function getNextBucketColor() {
-        const currentCount = window.getBucketCountForUI();
-        return DEFAULT_BUCKET_COLORS[currentCount % DEFAULT_BUCKET_COLORS.length];
-    }
-    
-    function showUpgradePrompt() {
-        if (confirm('Free plan allows up to 5 buckets. Upgrade to Plus for unlimited buckets?')) {
-            // Navigate to account page for upgrade
-            const event = new Event('click');
-            document.getElementById('navAccount')?.dispatchEvent(event);
+    // Resolves true once the transaction is recorded, so the form can be cleared
+    async function addLedgerTransaction(bucket, bucketEl, input) {
+        const tx = normalizeTransaction(input);
+        if (!tx.amountCents) {
+            alert('Enter an amount for the transaction');
+            return false;
+        }
+        
+        try {
+            const saved = {
+                id: generateId(),
+                ...cloudStore.validateTransaction(tx),
+                createdAt: new Date(),
+                createdAtMs: Date.now()
+            };
+            await recordLedgerWrite('addTransaction', saved);
+            transactions.push(saved);
+            refreshAfterLedgerChange(bucket, bucketEl);
+            return true;
+        } catch (error) {
+            console.error('Failed to add transaction:', error);
+            alert(cloudStore.getErrorMessage(error));
+            return false;
+        }
+    }
+
+    async function deleteLedgerTransaction(transactionId, bucket, bucketEl) {
+        try {
+            await recordLedgerWrite('deleteTransaction', { id: transactionId });
+            transactions = transactions.filter(tx => tx.id !== transactionId);
+            refreshAfterLedgerChange(bucket, bucketEl);
+        } catch (error) {
+            console.error('Failed to delete transaction:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function deleteTransactionsFromCloud(toDelete) {
+        if (!currentUser || !currentBudgetId) return;
+        
+        for (const tx of toDelete) {
+            try {
+                await recordLedgerWrite('deleteTransaction', { id: tx.id });
+            } catch (error) {
+                console.error('Failed to delete transaction:', error);
+            }
+        }
+    }
+
+    async function deleteBucketTransactions(bucketId) {
+        const bucketTransactions = transactions.filter(tx => tx.bucketId === bucketId);
+        transactions = transactions.filter(tx => tx.bucketId !== bucketId);
+        cacheTransactions();
+        await deleteTransactionsFromCloud(bucketTransactions);
+    }
+
+    // Ledger entries go through the outbox like budget saves, so they're kept
+    // offline; the budget save that follows each one sends them
+    async function recordLedgerWrite(type, tx) {
+        try {
+            await localStore.queueTransactionWrite(currentUser.uid, currentBudgetId, type, tx);
+        } catch (error) {
+            // No IndexedDB: straight to Firestore
+            console.error('Failed to save transaction on this device:', error);
+            await sendLedgerWrite({ type, budgetId: currentBudgetId, data: tx });
+        }
+    }
+
+    function sendLedgerWrite(write) {
+        const uid = currentUser.uid;
+        const request = write.type === 'addTransaction'
+            ? cloudStore.addTransaction(uid, write.budgetId, write.data)
+            : cloudStore.deleteTransaction(uid, write.budgetId, write.data.id);
+        return withTimeout(request, SYNC_TIMEOUT_MS, 'Firestore did not respond');
+    }
+
+    async function loadTransactions() {
+        try {
+            const cloudTransactions = await cloudStore.listTransactions(currentUser.uid, currentBudgetId);
+            transactions = withLedgerWrites(cloudTransactions, await pendingLedgerWrites());
+            ledgerComplete = true;
+        } catch (error) {
+            console.error('Failed to load transactions:', error);
+            await loadTransactionsFromDevice();
+        }
+    }
+
+    async function loadTransactionsFromDevice() {
+        let copy = null;
+        try {
+            copy = await localStore.readUserCopy(currentUser.uid, `ledger/${currentBudgetId}`);
+        } catch (error) {
+            console.error('Failed to read transactions saved on this device:', error);
+        }
+        transactions = copy || [];
+        ledgerComplete = Boolean(copy);
+    }
+
+    // Whole-budget saves still waiting, as opposed to ledger entries
+    async function pendingBudgetWrites() {
+        return (await localStore.listPendingWrites(currentUser.uid)).filter(write => write.type === 'updateBudget');
+    }
+
+    async function pendingLedgerWrites() {
+        try {
+            return (await localStore.listPendingWrites(currentUser.uid))
+                .filter(write => write.budgetId === currentBudgetId && write.type !== 'updateBudget');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Kept with the device copy of the budget, so spent figures can be worked out offline
+    function cacheTransactions() {
+        if (!ledgerComplete || !currentUser || !currentBudgetId) return;
+        localStore.saveUserCopy(currentUser.uid, `ledger/${currentBudgetId}`, transactions)
+            .catch(error => console.error('Failed to save transactions on this device:', error));
+    }
+
+    // Buckets saved before the ledger existed carry a hand-typed spent figure.
+    // Record it as an opening transaction so the total is preserved and auditable.
+    async function migrateLegacySpentToLedger() {
+        // Only a loaded ledger shows which buckets have no transactions yet
+        if (!currentUser || !currentBudgetId || !ledgerComplete) return;
+        
+        const buckets = [...state.expenses, ...state.savings, ...(state.debt || [])];
+        for (const bucket of buckets) {
+            const legacyCents = bucket.spentThisPeriodCents || 0;
+            if (legacyCents <= 0 || transactions.some(tx => tx.bucketId === bucket.id)) continue;
+            
+            try {
+                const saved = await cloudStore.addTransaction(currentUser.uid, currentBudgetId, normalizeTransaction({
+                    bucketId: bucket.id,
+                    payee: 'Opening balance',
+                    amountCents: legacyCents,
+                    note: 'Carried over from the manual spent figure'
+                }));
+                transactions.push(saved);
+            } catch (error) {
+                console.error('Failed to migrate spent figure to ledger:', error);
+            }
+        }
+        
+        await migrateContributionLogs();
+        syncSpentFromLedger();
+    }
+
+    // Savings goals saved before contributions were ledger entries carry their own log.
+    // Each entry keeps its id as a transaction, so a retry can't record it twice.
+    async function migrateContributionLogs() {
+        let moved = false;
+        for (const bucket of state.savings) {
+            const log = bucket.goal?.contributions;
+            if (!Array.isArray(log) || log.length === 0) continue;
+            
+            try {
+                for (const entry of log) {
+                    if (transactions.some(tx => tx.id === entry.id)) continue;
+                    const saved = {
+                        id: entry.id || generateId(),
+                        ...cloudStore.validateTransaction(normalizeTransaction({
+                            bucketId: bucket.id,
+                            date: entry.date,
+                            payee: entry.amountCents < 0 ? 'Withdrawal' : 'Contribution',
+                            amountCents: entry.amountCents,
+                            note: entry.note
+                        })),
+                        createdAt: new Date(),
+                        createdAtMs: Date.now()
+                    };
+                    await recordLedgerWrite('addTransaction', saved);
+                    transactions.push(saved);
+                }
+                delete bucket.goal.contributions;
+                moved = true;
+            } catch (error) {
+                // The log stays on the goal and is tried again next time
+                console.error('Failed to move contribution log to ledger:', error);
+            }
+        }
+        
+        if (moved) {
+            cacheTransactions();
+            saveToCloud();
+        }
+    }
+
+    // Replacing the whole budget (import, demo data, reset) discards the old ledger;
+    // any spent figures in the incoming data become opening transactions.
+    async function resetLedgerFromState() {
+        refreshCurrentPeriod();
+        const oldTransactions = transactions;
+        transactions = [];
+        ledgerComplete = true;
+        await deleteTransactionsFromCloud(oldTransactions);
+        
+        await migrateLegacySpentToLedger();
+        syncSpentFromLedger();
+    }
+
+    // Close every pay period that ended since the budget was last open:
+    // snapshot planned vs spent, then apply each bucket's rollover policy.
+    async function runPeriodRollover() {
+        if (!currentUser || !currentBudgetId) return false;
+        
+        refreshCurrentPeriod();
+        const { periodStartDate, incomeFrequency, currentPeriodStart } = state.settings;
+        const periods = elapsedPeriods(periodStartDate, incomeFrequency, currentPeriodStart, todayIso());
+        if (periods.length === 0) return false;
+        
+        console.log(`📅 Closing ${periods.length} pay period(s)`);
+        const buckets = [...state.expenses, ...state.savings, ...(state.debt || [])];
+        
+        for (const period of periods) {
+            const summaries = buckets.map(bucket => ({ ...bucket, plannedCents: getBucketPlannedCents(bucket) }));
+            const { snapshot, carryOver } = closePeriod(period, summaries, transactions, {
+                frequency: incomeFrequency,
+                incomeCents: Math.round(getTotalIncome() * 100),
+                netWorth: currentNetWorth()
+            });
+            
+            try {
+                await cloudStore.savePeriodSnapshot(currentUser.uid, currentBudgetId, snapshot);
+            } catch (error) {
+                // Leave the remaining periods open so they are retried next time
+                console.error('Failed to close pay period:', error);
+                break;
+            }
+            
+            buckets.forEach(bucket => {
+                bucket.carryOverCents = carryOver[bucket.id] || 0;
+            });
+            (state.debt || []).forEach(bucket => recordDebtHistory(bucket, period));
+            state.settings.currentPeriodStart = period.end;
+        }
+        
+        syncSpentFromLedger();
+        await saveToCloud();
+        return true;
+    }
+
+    // Frequency or anchor changed: move to the matching period without closing anything
+    function realignCurrentPeriod() {
+        currentPeriod = getPeriodForDate(state.settings.periodStartDate || todayIso(), state.settings.incomeFrequency, todayIso());
+        state.settings.currentPeriodStart = currentPeriod.start;
+        syncSpentFromLedger();
+        updatePeriodLabel();
+        renderBuckets();
+    }
+
+    function periodRangeLabel(period) {
+        const start = new Date(`${period.start}T00:00:00`);
+        const lastDay = subDays(new Date(`${period.end}T00:00:00`), 1);
+        return `${format(start, 'd MMM')} – ${format(lastDay, 'd MMM yyyy')}`;
+    }
+
+    function updatePeriodLabel() {
+        const labelEl = document.getElementById('currentPeriodLabel');
+        if (!labelEl || !currentPeriod) return;
+        
+        labelEl.textContent = periodRangeLabel(currentPeriod);
+    }
+
+    // Bills agenda: items with a next due date in expense and debt buckets
+    function collectBills(fromIso, untilIso) {
+        const { incomeFrequency } = state.settings;
+        const anchor = state.settings.periodStartDate || todayIso();
+        const currentIndex = getPeriodForDate(anchor, incomeFrequency, todayIso()).index;
+        const bills = [];
+        
+        [...state.expenses, ...(state.debt || [])]
+            .filter(bucket => bucket.include)
+            .forEach(bucket => {
+                (bucket.items || [])
+                    .filter(item => item.include && item.nextDueDate)
+                    .forEach(item => {
+                        const frequency = item.frequency || incomeFrequency;
+                        occurrencesBetween(item.nextDueDate, frequency, fromIso, untilIso).forEach(date => {
+                            const period = getPeriodForDate(anchor, incomeFrequency, date);
+                            bills.push({
+                                bucketId: bucket.id,
+                                bucketName: bucket.name,
+                                itemId: item.id,
+                                name: item.name || 'Unnamed item',
+                                amountCents: Math.round((parseFloat(item.amount) || 0) * 100),
+                                date,
+                                period,
+                                periodOffset: period.index - currentIndex
+                            });
+                        });
+                    });
+            });
+        
+        return bills;
+    }
+
+    function billAllocations() {
+        const allocations = {};
+        [...state.expenses, ...(state.debt || [])].forEach(bucket => {
+            allocations[bucket.id] = {
+                plannedCents: getBucketPlannedCents(bucket),
+                carryOverCents: bucket.carryOverCents || 0,
+                rolloverPolicy: bucket.rolloverPolicy
+            };
+        });
+        return allocations;
+    }
+
+    function renderBillsView() {
+        const agenda = document.getElementById('billsAgenda');
+        if (!agenda) return;
+        
+        const days = parseInt(document.getElementById('billsRange').value, 10) || 90;
+        const fromIso = todayIso();
+        const untilIso = format(addDays(new Date(`${fromIso}T00:00:00`), days), 'yyyy-MM-dd');
+        const bills = assessBillCoverage(collectBills(fromIso, untilIso), billAllocations());
+        
+        agenda.innerHTML = '';
+        document.getElementById('billsEmpty').hidden = bills.length > 0;
+        document.getElementById('exportBillsBtn').disabled = bills.length === 0;
+        
+        const periodTemplate = document.getElementById('billPeriodTemplate');
+        const billTemplate = document.getElementById('billTemplate');
+        let group = null;
+        let groupStart = null;
+        let groupTotalCents = 0;
+        
+        bills.forEach(bill => {
+            if (bill.period.start !== groupStart) {
+                group = periodTemplate.content.cloneNode(true).querySelector('.bill-period');
+                const start = new Date(`${bill.period.start}T00:00:00`);
+                const lastDay = subDays(new Date(`${bill.period.end}T00:00:00`), 1);
+                group.querySelector('.bill-period-dates').textContent = `${format(start, 'd MMM')} – ${format(lastDay, 'd MMM yyyy')}`;
+                group.classList.toggle('current', bill.periodOffset === 0);
+                agenda.appendChild(group);
+                groupStart = bill.period.start;
+                groupTotalCents = 0;
+            }
+            
+            groupTotalCents += bill.amountCents;
+            group.querySelector('.bill-period-total').textContent = `${formatCurrencyPrecise(groupTotalCents / 100)} due`;
+            
+            const row = billTemplate.content.cloneNode(true).querySelector('.bill-row');
+            row.querySelector('.bill-date').textContent = format(new Date(`${bill.date}T00:00:00`), 'EEE d MMM');
+            row.querySelector('.bill-name').textContent = bill.name;
+            row.querySelector('.bill-bucket').textContent = bill.bucketName;
+            row.querySelector('.bill-amount').textContent = formatCurrencyPrecise(bill.amountCents / 100);
+            
+            const statusEl = row.querySelector('.bill-status');
+            statusEl.textContent = bill.covered
+                ? 'Covered'
+                : `Short ${formatCurrencyPrecise(bill.shortfallCents / 100)}`;
+            statusEl.classList.toggle('short', !bill.covered);
+            statusEl.title = `${formatCurrencyPrecise(bill.availableCents / 100)} available in ${bill.bucketName} this period`;
+            
+            group.querySelector('.bill-list').appendChild(row);
+        });
+    }
+
+    function exportBillsCalendar() {
+        const { incomeFrequency } = state.settings;
+        const today = todayIso();
+        const events = [];
+        
+        [...state.expenses, ...(state.debt || [])]
+            .filter(bucket => bucket.include)
+            .forEach(bucket => {
+                (bucket.items || [])
+                    .filter(item => item.include && item.nextDueDate)
+                    .forEach(item => {
+                        const frequency = item.frequency || incomeFrequency;
+                        events.push({
+                            uid: `${item.id}@budgetbuckets`,
+                            date: nextOccurrence(item.nextDueDate, frequency, today),
+                            frequency,
+                            summary: `${item.name || 'Bill'} (${formatCurrencyPrecise(parseFloat(item.amount) || 0)})`,
+                            description: `${bucket.name} bucket`
+                        });
+                    });
+            });
+        
+        if (events.length === 0) {
+            alert('No bills to export. Give a bucket item a next due date first.');
+            return;
+        }
+        
+        const name = currentBudget?.name || 'Budget';
+        const blob = new Blob([buildIcsCalendar(events, { name: `${name} bills` })], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name.replace(/[^\w-]+/g, '-').toLowerCase()}-bills.ics`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Hash routes that replace the budget with a full-page view
+    const FULL_PAGE_VIEWS = ['#account', '#bills', '#forecast', '#reports', '#networth'];
+
+    function showBillsView() {
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'none';
+        hideAccountView();
+        document.getElementById('billsView').hidden = false;
+        renderBillsView();
+    }
+
+    function hideBillsView() {
+        const billsView = document.getElementById('billsView');
+        if (!billsView || billsView.hidden) return;
+        billsView.hidden = true;
+        // Leaving for another full-page view, which manages the main content itself
+        if (FULL_PAGE_VIEWS.includes(location.hash)) return;
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'block';
+    }
+
+    function setupBillsView() {
+        document.getElementById('billsRange')?.addEventListener('change', renderBillsView);
+        document.getElementById('exportBillsBtn')?.addEventListener('click', exportBillsCalendar);
+        document.getElementById('billsBackBtn')?.addEventListener('click', () => {
+            location.hash = '';
+        });
+        
+        window.addEventListener('hashchange', () => {
+            if (location.hash === '#bills') {
+                showBillsView();
+            } else {
+                hideBillsView();
+            }
+        });
+        
+        if (location.hash === '#bills') {
+            showBillsView();
+        }
+    }
+
+    // Reports: trends across closed pay periods
+    async function renderReportsView() {
+        if (!currentUser || !currentBudgetId) return;
+        
+        const count = parseInt(document.getElementById('reportsRange').value, 10) || 12;
+        const emptyEl = document.getElementById('reportsEmpty');
+        const errorEl = document.getElementById('reportsError');
+        const contentEl = document.getElementById('reportsContent');
+        
+        let snapshots;
+        try {
+            snapshots = await cloudStore.listPeriodSnapshots(currentUser.uid, currentBudgetId, count);
+        } catch (error) {
+            console.error('Failed to load period snapshots:', error);
+            errorEl.hidden = false;
+            emptyEl.hidden = true;
+            contentEl.hidden = true;
+            return;
+        }
+        
+        errorEl.hidden = true;
+        emptyEl.hidden = snapshots.length > 0;
+        contentEl.hidden = snapshots.length === 0;
+        if (snapshots.length === 0) return;
+        
+        renderOverspenders(snapshots);
+        drawReportCharts(snapshots);
+        renderSpendingTable(snapshots);
+    }
+
+    function periodLabel(startIso) {
+        return format(new Date(`${startIso}T00:00:00`), 'd MMM');
+    }
+
+    function renderOverspenders(snapshots) {
+        const list = document.getElementById('reportsOverspendList');
+        const results = persistentOverspenders(snapshots);
+        list.innerHTML = '';
+        results.forEach(result => {
+            const li = document.createElement('li');
+            const average = result.averageUsedPct === null ? '' : `, ${Math.round(result.averageUsedPct)}% used on average`;
+            li.textContent = `${result.name || 'Unnamed bucket'}: over its warning threshold in ${result.overCount} of ${result.periodCount} periods${average}`;
+            list.appendChild(li);
+        });
+        document.getElementById('reportsOverspendNone').hidden = results.length > 0;
+    }
+
+    function drawReportCharts(snapshots) {
+        reportCharts.forEach(chart => chart.destroy());
+        reportCharts = [];
+        if (!window.Chart) return;
+        
+        const totals = periodTotals(snapshots);
+        const labels = totals.map(period => periodLabel(period.start));
+        const dollars = key => totals.map(period => period[key] / 100);
+        const tooltipMoney = { callbacks: { label: ctx => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}` } };
+        
+        reportCharts.push(new Chart(document.getElementById('reportsAllocationChart'), {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    { label: 'Expenses', data: dollars('expensesCents'), backgroundColor: '#5ea8ff', stack: 'allocated' },
+                    { label: 'Savings', data: dollars('savingsCents'), backgroundColor: '#5eead4', stack: 'allocated' },
+                    { label: 'Debt', data: dollars('debtCents'), backgroundColor: '#ff6b6b', stack: 'allocated' },
+                    { type: 'line', label: 'Income', data: dollars('incomeCents'), borderColor: '#a7b1c2', backgroundColor: '#a7b1c2', stack: 'income', tension: 0.2 }
+                ]
+            },
+            options: {
+                maintainAspectRatio: false,
+                plugins: { tooltip: tooltipMoney },
+                scales: {
+                    x: { stacked: true },
+                    y: { stacked: true, beginAtZero: true }
+                }
+            }
+        }));
+        
+        reportCharts.push(new Chart(document.getElementById('reportsSavingsChart'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Savings rate',
+                    data: totals.map(period => period.savingsRatePct === null ? null : Math.round(period.savingsRatePct * 10) / 10),
+                    borderColor: '#5eead4',
+                    backgroundColor: 'rgba(94, 234, 212, 0.15)',
+                    fill: true,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: ctx => `${ctx.parsed.y}% of income` } }
+                },
+                scales: {
+                    y: { beginAtZero: true, ticks: { callback: value => `${value}%` } }
+                }
+            }
+        }));
+    }
+
+    function renderSpendingTable(snapshots) {
+        const { periods, buckets } = bucketSpendingSeries(snapshots);
+        const head = document.getElementById('reportsSpendingHead');
+        const body = document.getElementById('reportsSpendingBody');
+        
+        const headRow = document.createElement('tr');
+        ['Bucket', ...periods.map(periodLabel)].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        head.innerHTML = '';
+        head.appendChild(headRow);
+        
+        // Expenses first, the same order as the budget
+        const typeOrder = { expense: 0, saving: 1, debt: 2 };
+        body.innerHTML = '';
+        [...buckets]
+            .sort((a, b) => (typeOrder[a.type] ?? 0) - (typeOrder[b.type] ?? 0))
+            .forEach(series => {
+                const row = document.createElement('tr');
+                const nameCell = document.createElement('td');
+                nameCell.textContent = series.name || 'Unnamed bucket';
+                row.appendChild(nameCell);
+                
+                series.values.forEach(value => {
+                    const cell = document.createElement('td');
+                    if (!value) {
+                        cell.textContent = '—';
+                        cell.classList.add('missing');
+                    } else {
+                        cell.textContent = formatCurrency(value.spentCents / 100);
+                        cell.title = value.usedPct === null
+                            ? 'Nothing planned'
+                            : `${Math.round(value.usedPct)}% of ${formatCurrency(value.availableCents / 100)}`;
+                        cell.classList.toggle('over', value.over && series.type === 'expense');
+                    }
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+    }
+
+    function showReportsView() {
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'none';
+        hideAccountView();
+        document.getElementById('reportsView').hidden = false;
+        renderReportsView();
+    }
+
+    function hideReportsView() {
+        const reportsView = document.getElementById('reportsView');
+        if (!reportsView || reportsView.hidden) return;
+        reportsView.hidden = true;
+        if (FULL_PAGE_VIEWS.includes(location.hash)) return;
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'block';
+    }
+
+    function setupReportsView() {
+        document.getElementById('reportsRange')?.addEventListener('change', renderReportsView);
+        document.getElementById('reportsBackBtn')?.addEventListener('click', () => {
+            location.hash = '';
+        });
+        
+        window.addEventListener('hashchange', () => {
+            if (location.hash === '#reports') {
+                showReportsView();
+            } else {
+                hideReportsView();
+            }
+        });
+        
+        if (location.hash === '#reports') {
+            showReportsView();
+        }
+    }
+
+    // Net worth: savings and debt balances plus holdings outside the budget
+    function currentNetWorth() {
+        const holdings = state.netWorth || {};
+        return netWorthSummary({
+            savings: state.savings
+                .filter(bucket => bucket.goal)
+                .map(bucket => ({ valueCents: bucket.goal.savedSoFarCents || 0 })),
+            debts: (state.debt || []).map(bucket => ({ valueCents: Math.round(getDebtBalance(bucket) * 100) })),
+            assets: holdings.assets || [],
+            liabilities: holdings.liabilities || []
+        });
+    }
+
+    function updateNetWorthTotals() {
+        const summary = currentNetWorth();
+        const totalEl = document.getElementById('netWorthTotal');
+        totalEl.textContent = formatCurrency(summary.netWorthCents / 100);
+        totalEl.classList.toggle('negative', summary.netWorthCents < 0);
+        document.getElementById('netWorthAssetsTotal').textContent = formatCurrency(summary.assetsCents / 100);
+        document.getElementById('netWorthLiabilitiesTotal').textContent = formatCurrency(summary.liabilitiesCents / 100);
+        return summary;
+    }
+
+    function renderBudgetBalances(listId, buckets, balanceCents) {
+        const list = document.getElementById(listId);
+        list.innerHTML = '';
+        buckets.forEach(bucket => {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = bucket.name || 'Unnamed bucket';
+            const value = document.createElement('span');
+            value.textContent = formatCurrency(balanceCents(bucket) / 100);
+            li.append(name, value);
+            list.appendChild(li);
+        });
+    }
+
+    function addHoldingToUI(kind, holding) {
+        const template = document.getElementById('holdingTemplate');
+        const row = template.content.cloneNode(true).querySelector('.holding-row');
+        row.dataset.holdingId = holding.id;
+        
+        const nameInput = row.querySelector('.holding-name');
+        const valueInput = row.querySelector('.holding-value');
+        nameInput.value = holding.name || '';
+        nameInput.placeholder = kind === 'assets' ? 'e.g. House' : 'e.g. Car loan';
+        valueInput.value = (holding.valueCents || 0) / 100;
+        
+        nameInput.addEventListener('input', debounce(() => {
+            holding.name = nameInput.value;
+            saveToCloud();
+        }, 300));
+        
+        valueInput.addEventListener('input', debounce(() => {
+            holding.valueCents = Math.round((parseFloat(valueInput.value) || 0) * 100);
+            updateNetWorthTotals();
+            saveToCloud();
+        }, 300));
+        
+        row.querySelector('.delete-btn').addEventListener('click', () => {
+            if (!confirm(`Remove "${holding.name || 'Unnamed'}" from your net worth?`)) return;
+            state.netWorth[kind] = state.netWorth[kind].filter(h => h.id !== holding.id);
+            row.remove();
+            updateNetWorthTotals();
+            saveToCloud();
+        });
+        
+        const listId = kind === 'assets' ? 'netWorthAssets' : 'netWorthLiabilities';
+        document.getElementById(listId).appendChild(row);
+        return row;
+    }
+
+    // Snapshots to chart: two years of weekly periods
+    const NET_WORTH_PERIODS = 104;
+
+    async function renderNetWorthView() {
+        if (!currentUser || !currentBudgetId) return;
+        
+        state.netWorth = state.netWorth || { assets: [], liabilities: [] };
+        const summary = updateNetWorthTotals();
+        
+        renderBudgetBalances('netWorthSavings', state.savings.filter(bucket => bucket.goal),
+            bucket => bucket.goal.savedSoFarCents || 0);
+        renderBudgetBalances('netWorthDebts', state.debt || [],
+            bucket => Math.round(getDebtBalance(bucket) * 100));
+        
+        document.getElementById('netWorthAssets').innerHTML = '';
+        document.getElementById('netWorthLiabilities').innerHTML = '';
+        state.netWorth.assets.forEach(holding => addHoldingToUI('assets', holding));
+        state.netWorth.liabilities.forEach(holding => addHoldingToUI('liabilities', holding));
+        
+        const noteEl = document.getElementById('netWorthHistoryNote');
+        const changeEl = document.getElementById('netWorthChange');
+        let history = [];
+        try {
+            history = netWorthHistory(await cloudStore.listPeriodSnapshots(currentUser.uid, currentBudgetId, NET_WORTH_PERIODS));
+            noteEl.hidden = history.length > 0;
+            noteEl.textContent = 'Your net worth is charted from here as each pay period closes.';
+        } catch (error) {
+            console.error('Failed to load period snapshots:', error);
+            noteEl.hidden = false;
+            noteEl.textContent = "Couldn't load your net worth history. Check your connection and try again.";
+        }
+        
+        const change = netWorthChange(history, summary.netWorthCents);
+        if (change) {
+            const signed = cents => `${cents < 0 ? '−' : '+'}${formatCurrency(Math.abs(cents) / 100)}`;
+            const since = format(new Date(`${change.firstDate}T00:00:00`), 'd MMM yyyy');
+            changeEl.textContent = `${signed(change.sincePreviousCents)} since last period, ${signed(change.sinceFirstCents)} since ${since}`;
+        } else {
+            changeEl.textContent = '';
+        }
+        
+        drawNetWorthChart(history, summary);
+    }
+
+    function drawNetWorthChart(history, summary) {
+        netWorthChart?.destroy();
+        netWorthChart = null;
+        if (!window.Chart) return;
+        
+        // The closed periods, then where things stand today
+        const points = [...history, { date: todayIso(), ...summary }];
+        const labels = points.map((point, index) => index === points.length - 1
+            ? 'Today'
+            : format(new Date(`${point.date}T00:00:00`), 'd MMM yy'));
+        const dollars = key => points.map(point => point[key] / 100);
+        
+        netWorthChart = new Chart(document.getElementById('netWorthChart'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    { label: 'Net worth', data: dollars('netWorthCents'), borderColor: '#5eead4', backgroundColor: 'rgba(94, 234, 212, 0.15)', fill: true, tension: 0.2 },
+                    { label: 'Assets', data: dollars('assetsCents'), borderColor: '#5ea8ff', borderDash: [4, 4], tension: 0.2 },
+                    { label: 'Liabilities', data: dollars('liabilitiesCents'), borderColor: '#ff6b6b', borderDash: [4, 4], tension: 0.2 }
+                ]
+            },
+            options: {
+                maintainAspectRatio: false,
+                plugins: {
+                    tooltip: { callbacks: { label: ctx => `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y)}` } }
+                },
+                scales: {
+                    y: { ticks: { callback: value => formatCurrency(value) } }
+                }
+            }
+        });
+    }
+
+    function showNetWorthView() {
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'none';
+        hideAccountView();
+        document.getElementById('netWorthView').hidden = false;
+        renderNetWorthView();
+    }
+
+    function hideNetWorthView() {
+        const netWorthView = document.getElementById('netWorthView');
+        if (!netWorthView || netWorthView.hidden) return;
+        netWorthView.hidden = true;
+        if (FULL_PAGE_VIEWS.includes(location.hash)) return;
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'block';
+    }
+
+    function setupNetWorthView() {
+        document.getElementById('netWorthBackBtn')?.addEventListener('click', () => {
+            location.hash = '';
+        });
+        
+        document.querySelectorAll('.add-holding-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const kind = button.dataset.holding;
+                const holding = { id: generateId(), name: '', valueCents: 0 };
+                state.netWorth[kind].push(holding);
+                addHoldingToUI(kind, holding).querySelector('.holding-name').focus();
+                saveToCloud();
+            });
+        });
+        
+        window.addEventListener('hashchange', () => {
+            if (location.hash === '#networth') {
+                showNetWorthView();
+            } else {
+                hideNetWorthView();
+            }
+        });
+        
+        if (location.hash === '#networth') {
+            showNetWorthView();
+        }
+    }
+
+    // Payday transfers: one transfer per bank account each pay period
+    // Buckets without a bank account (or whose account was deleted) are paid
+    // from the account pay lands in, keyed ''
+    function bucketAccount(bucket) {
+        return findBankAccount(bucket.accountId)?.id || '';
+    }
+
+    function accountLabel(accountId) {
+        return findBankAccount(accountId)?.name || 'Pay account';
+    }
+
+    // Debts with no items still need their minimum payment each period
+    function debtMinimumTopUpCents(bucket) {
+        const hasItems = (bucket.items || []).some(item => item.include);
+        return (state.debt || []).includes(bucket) && !hasItems ? bucket.debt?.minPaymentCents || 0 : 0;
+    }
+
+    // What a bucket needs from each pay
+    function bucketTransferCents(bucket) {
+        return getBucketPlannedCents(bucket) + debtMinimumTopUpCents(bucket);
+    }
+
+    function paydayTransferGroups() {
+        return groupTransfers([...state.expenses, ...state.savings, ...(state.debt || [])]
+            .filter(bucket => bucket.include)
+            .map(bucket => ({
+                id: bucket.id,
+                name: bucket.name || 'Unnamed bucket',
+                account: bucketAccount(bucket),
+                amountCents: bucketTransferCents(bucket)
+            })));
+    }
+
+    // Account ids ticked off this pay period; last period's ticks don't carry over
+    function transfersDone() {
+        const checklist = state.settings.transferChecklist;
+        const period = currentPeriod || refreshCurrentPeriod();
+        return checklist?.periodStart === period.start ? checklist.done || [] : [];
+    }
+
+    function setTransferDone(account, done) {
+        const period = currentPeriod || refreshCurrentPeriod();
+        const accounts = transfersDone().filter(a => a !== account);
+        if (done) accounts.push(account);
+        state.settings.transferChecklist = { periodStart: period.start, done: accounts };
+        renderPaydayTransfers();
+        saveToCloud();
+    }
+
+    function renderPaydayTransfers() {
+        const list = document.getElementById('transfersList');
+        if (!list) return;
+        
+        const groups = paydayTransferGroups();
+        const moving = groups.filter(group => group.account);
+        const done = transfersDone();
+        const template = document.getElementById('transferTemplate');
+        
+        list.innerHTML = '';
+        groups.forEach(group => {
+            const row = template.content.cloneNode(true).querySelector('.transfer-row');
+            const checkbox = row.querySelector('.transfer-done');
+            row.querySelector('.transfer-amount').textContent = formatCurrencyPrecise(group.totalCents / 100);
+            
+            if (group.account) {
+                row.querySelector('.transfer-account').textContent = `Move to ${accountLabel(group.account)}`;
+                checkbox.checked = done.includes(group.account);
+                row.classList.toggle('done', checkbox.checked);
+                checkbox.addEventListener('change', () => setTransferDone(group.account, checkbox.checked));
+            } else {
+                row.querySelector('.transfer-account').textContent = 'Leave in your pay account';
+                row.classList.add('stays');
+                checkbox.hidden = true;
+            }
+            
+            const bucketList = row.querySelector('.transfer-buckets');
+            group.buckets.forEach(bucket => {
+                const li = document.createElement('li');
+                const name = document.createElement('span');
+                name.textContent = bucket.name;
+                const amount = document.createElement('span');
+                amount.textContent = formatCurrencyPrecise(bucket.amountCents / 100);
+                li.append(name, amount);
+                bucketList.appendChild(li);
+            });
+            
+            list.appendChild(row);
+        });
+        
+        const incomeCents = Math.round(getTotalIncome() * 100);
+        const movingCents = moving.reduce((sum, group) => sum + group.totalCents, 0);
+        const completed = moving.filter(group => done.includes(group.account)).length;
+        const accounts = moving.length === 1 ? '1 account' : `${moving.length} accounts`;
+        document.getElementById('transfersSummary').textContent = moving.length
+            ? `Each payday, move ${formatCurrencyPrecise(movingCents / 100)} into ${accounts} and leave ${formatCurrencyPrecise((incomeCents - movingCents) / 100)} in your pay account. ${completed} of ${moving.length} done this pay period.`
+            : '';
+        document.getElementById('transfersEmpty').hidden = moving.length > 0;
+    }
+
+    function printPaydayTransfers() {
+        document.body.classList.add('printing-transfers');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-transfers');
+        }, { once: true });
+        window.print();
+    }
+
+    function exportPaydayTransfers() {
+        const groups = paydayTransferGroups();
+        if (groups.length === 0) {
+            alert('Nothing to transfer yet. Add amounts to your buckets first.');
+            return;
+        }
+        
+        const name = currentBudget?.name || 'Budget';
+        const labelled = groups.map(group => ({ ...group, account: group.account && accountLabel(group.account) }));
+        const csv = transfersCsv(labelled, { payAccountLabel: 'Pay account (stays)' });
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name.replace(/[^\w-]+/g, '-').toLowerCase()}-payday-transfers.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function setupPaydayTransfers() {
+        document.getElementById('printTransfersBtn')?.addEventListener('click', printPaydayTransfers);
+        document.getElementById('exportTransfersBtn')?.addEventListener('click', exportPaydayTransfers);
+    }
+
+    // Printable budget report: the whole budget on plain A4 pages, saved as a
+    // PDF from the browser's print dialog
+    function reportElement(tag, text, className) {
+        const el = document.createElement(tag);
+        if (text !== undefined) el.textContent = text;
+        if (className) el.className = className;
+        return el;
+    }
+
+    function reportTable(headers, rows, className = '') {
+        const table = reportElement('table', undefined, `report-table ${className}`.trim());
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => headRow.appendChild(reportElement('th', header)));
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(cell => row.appendChild(reportElement('td', cell)));
+        });
+        return table;
+    }
+
+    function reportSection(report, title) {
+        const section = reportElement('section', undefined, 'report-section');
+        section.appendChild(reportElement('h2', title));
+        report.appendChild(section);
+        return section;
+    }
+
+    // When a savings goal is reached at its current contribution, as on the bucket card
+    function describeGoalProjection(goal) {
+        const goalAmount = goal.amountCents / 100 || 0;
+        const savedAmount = goal.savedSoFarCents / 100 || 0;
+        const contribution = goal.contributionPerPeriodCents / 100 || 0;
+        if (savedAmount >= goalAmount) return 'Achieved';
+        if (contribution <= 0 && !(goal.ratePct > 0)) return 'No contribution set';
+        
+        const periodsNeeded = periodsToGoal(savedAmount, contribution, goal.ratePct || 0, goalAmount, state.settings.incomeFrequency);
+        if (periodsNeeded === Infinity) return 'Not at this contribution';
+        return format(new Date(`${periodStartFrom(todayIso(), periodsNeeded)}T00:00:00`), 'MMM yyyy');
+    }
+
+    function renderReportSummary(report) {
+        const freq = state.settings.incomeFrequency;
+        const income = getTotalIncome();
+        const totals = [
+            ['Income', income],
+            ['Expenses', getTotalExpenses()],
+            ['Savings', getTotalSavings()],
+            ['Debt', getTotalDebt()]
+        ];
+        totals.push(['Remaining', income - totals.slice(1).reduce((sum, [, amount]) => sum + amount, 0)]);
+        
+        const section = reportSection(report, 'Summary');
+        const layout = reportElement('div', undefined, 'report-summary');
+        
+        if (allocChart) {
+            const ring = reportElement('figure', undefined, 'report-ring');
+            const image = document.createElement('img');
+            image.src = allocChart.toBase64Image();
+            image.alt = 'Allocation of income';
+            ring.appendChild(image);
+            
+            const legend = reportElement('figcaption');
+            const colors = allocChart.data.datasets[0].backgroundColor;
+            allocChart.data.labels.forEach((label, i) => {
+                const entry = reportElement('span', label, 'report-legend-item');
+                const swatch = reportElement('span', undefined, 'report-swatch');
+                swatch.style.background = colors[i];
+                entry.prepend(swatch);
+                legend.appendChild(entry);
+            });
+            ring.appendChild(legend);
+            layout.appendChild(ring);
+        }
+        
+        layout.appendChild(reportTable(
+            ['', `Per ${frequencyUnit(freq)}`, 'Monthly', 'Share of income'],
+            totals.map(([label, amount]) => [
+                label,
+                formatCurrencyPrecise(amount),
+                formatCurrencyPrecise(convertFrequency(amount, freq, 'Monthly')),
+                income > 0 ? formatPercent(amount / income * 100) : '—'
+            ]),
+            'report-totals'
+        ));
+        section.appendChild(layout);
+    }
+
+    function renderReportBuckets(report, title, buckets) {
+        if (buckets.length === 0) return;
+        
+        const freq = state.settings.incomeFrequency;
+        const section = reportSection(report, title);
+        buckets.forEach(bucket => {
+            const block = reportElement('div', undefined, 'report-bucket');
+            const heading = reportElement('h3', bucket.name || 'Unnamed bucket');
+            heading.appendChild(reportElement('span', formatCurrencyPrecise(sumIncludedItems(bucket)), 'report-amount'));
+            block.appendChild(heading);
+            
+            const details = [findBankAccount(bucket.accountId)?.name, !bucket.include && 'Not included in totals']
+                .filter(Boolean);
+            if (details.length) block.appendChild(reportElement('p', details.join(' · '), 'report-note'));
+            
+            const items = (bucket.type === 'saving' && bucket.goal) ? [] : bucket.items || [];
+            if (items.length) {
+                block.appendChild(reportTable(
+                    ['Item', 'Amount', 'Frequency', `Per ${frequencyUnit(freq)}`],
+                    items.map(item => [
+                        item.include ? item.name || 'Unnamed item' : `${item.name || 'Unnamed item'} (not included)`,
+                        formatCurrencyPrecise(parseFloat(item.amount) || 0),
+                        ITEM_FREQUENCIES.includes(item.frequency) ? item.frequency : freq,
+                        formatCurrencyPrecise(item.include ? itemAmountPerPeriod(item, freq) : 0)
+                    ])
+                ));
+            }
+            section.appendChild(block);
+        });
+    }
+
+    function renderReportGoals(report) {
+        const goals = state.savings.filter(bucket => bucket.type === 'saving' && bucket.goal?.amountCents > 0);
+        if (goals.length === 0) return;
+        
+        const section = reportSection(report, 'Savings goals');
+        section.appendChild(reportTable(
+            ['Goal', 'Target', 'Saved', `Per ${frequencyUnit(state.settings.incomeFrequency)}`, 'Target date', 'Projected'],
+            goals.map(bucket => [
+                bucket.name || 'Unnamed goal',
+                formatCurrencyPrecise(bucket.goal.amountCents / 100),
+                formatCurrencyPrecise((bucket.goal.savedSoFarCents || 0) / 100),
+                formatCurrencyPrecise((bucket.goal.contributionPerPeriodCents || 0) / 100),
+                bucket.goal.targetDate ? format(new Date(`${bucket.goal.targetDate}T00:00:00`), 'd MMM yyyy') : '—',
+                describeGoalProjection(bucket.goal)
+            ])
+        ));
+    }
+
+    function renderReportDebt(report) {
+        const debts = plannerDebts();
+        if (debts.length === 0) return;
+        
+        const plan = getDebtPlan();
+        const customOrder = orderDebts(debts, 'custom', plan.customOrder).map(debt => debt.id);
+        const result = compareStrategies(debts, { extraMonthlyCents: plan.extraMonthlyCents, customOrder })[plan.strategy];
+        const labels = { avalanche: 'Avalanche (highest interest first)', snowball: 'Snowball (smallest balance first)', custom: 'Custom order' };
+        
+        const section = reportSection(report, 'Debt payoff');
+        const summary = [
+            `Strategy: ${labels[plan.strategy]}`,
+            `Extra each month: ${formatCurrencyPrecise((plan.extraMonthlyCents || 0) / 100)}`,
+            result.feasible
+                ? `Debt-free ${describeDebtFreeMonth(result.months)}, paying ${formatCurrencyPrecise(result.totalInterestCents / 100)} in interest`
+                : 'Payments don\'t cover the interest, so the debt is never paid off'
+        ];
+        summary.forEach(line => section.appendChild(reportElement('p', line, 'report-note')));
+        
+        section.appendChild(reportTable(
+            ['Debt', 'Balance', 'Interest', 'Minimum / month', 'Paid off'],
+            orderDebts(debts, plan.strategy, customOrder).map(debt => {
+                const payoff = result.payoffs.find(p => p.id === debt.id);
+                return [
+                    debt.name,
+                    formatCurrencyPrecise(debt.balanceCents / 100),
+                    `${debt.aprPct}%`,
+                    formatCurrencyPrecise(debt.minPaymentCents / 100),
+                    payoff ? describeDebtFreeMonth(payoff.month) : 'Never'
+                ];
+            })
+        ));
+    }
+
+    function renderReportTransfers(report) {
+        const groups = paydayTransferGroups();
+        if (groups.length === 0) return;
+        
+        const section = reportSection(report, 'Payday transfers');
+        section.appendChild(reportTable(
+            ['Account', 'Amount', 'Buckets'],
+            groups.map(group => [
+                group.account ? `Move to ${accountLabel(group.account)}` : 'Stays in pay account',
+                formatCurrencyPrecise(group.totalCents / 100),
+                group.buckets.map(bucket => bucket.name).join(', ')
+            ])
+        ));
+    }
+
+    function renderBudgetReport() {
+        const report = document.getElementById('budgetReport');
+        if (!report) return;
+        report.innerHTML = '';
+        
+        const period = currentPeriod || refreshCurrentPeriod();
+        report.appendChild(reportElement('h1', currentBudget?.name || 'Budget'));
+        report.appendChild(reportElement('p',
+            `${state.settings.incomeFrequency} budget · Pay period ${periodRangeLabel(period)} · Printed ${format(new Date(), 'd MMM yyyy')}`,
+            'report-note'));
+        
+        renderReportSummary(report);
+        renderReportBuckets(report, 'Expenses', state.expenses);
+        renderReportBuckets(report, 'Savings', state.savings);
+        renderReportBuckets(report, 'Debt', state.debt || []);
+        renderReportGoals(report);
+        renderReportDebt(report);
+        renderReportTransfers(report);
+    }
+
+    function printBudgetReport() {
+        renderBudgetReport();
+        
+        // Browsers suggest the page title as the PDF's file name
+        const previousTitle = document.title;
+        document.title = `${currentBudget?.name || 'Budget'} report ${todayIso()}`;
+        document.body.classList.add('printing-report');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-report');
+            document.title = previousTitle;
+        }, { once: true });
+        window.print();
+    }
+
+    // Cash-flow forecast: each bank account's balance over the coming year
+    const FORECAST_MONTHS = 12;
+
+    function forecastPeriods() {
+        const { incomeFrequency } = state.settings;
+        const anchor = state.settings.periodStartDate || todayIso();
+        const until = format(addMonths(new Date(`${todayIso()}T00:00:00`), FORECAST_MONTHS), 'yyyy-MM-dd');
+        const periods = [];
+        
+        let period = getPeriodForDate(anchor, incomeFrequency, todayIso());
+        while (period.start < until) {
+            periods.push({ start: period.start, end: period.end });
+            period = getPeriodForDate(anchor, incomeFrequency, period.end);
+        }
+        return periods;
+    }
+
+    // Registry balances for the accounts buckets use, plus the pay account's
+    function accountOpeningCents() {
+        const balances = {};
+        [...state.expenses, ...state.savings, ...(state.debt || [])].forEach(bucket => {
+            const account = findBankAccount(bucket.accountId);
+            if (account) balances[account.id] = account.balanceCents || 0;
+        });
+        const payAccount = (state.settings.accountBalances || []).find(entry => !entry.account);
+        balances[''] = payAccount?.balanceCents || 0;
+        return balances;
+    }
+
+    // Everything that moves money from today to the end of the forecast.
+    // The current period's pay and transfers have already happened.
+    function cashFlowEvents(periods) {
+        const { incomeFrequency } = state.settings;
+        const from = todayIso();
+        const until = periods[periods.length - 1].end;
+        const flows = [];
+        const add = (date, account, amountCents) => {
+            if (amountCents && date >= from && date < until) flows.push({ date, account, amountCents });
+        };
+        
+        (state.settings.incomeSources || []).forEach(source => {
+            if (source.nextPayDate) {
+                const amountCents = Math.round((parseFloat(source.amount) || 0) * 100);
+                occurrencesBetween(source.nextPayDate, source.frequency, from, until)
+                    .forEach(date => add(date, '', amountCents));
+            } else {
+                // No pay date: assume it arrives as each budget period starts
+                const perPeriodCents = Math.round(convertFrequency(parseFloat(source.amount) || 0, source.frequency, incomeFrequency) * 100);
+                periods.forEach(period => add(period.start, '', perPeriodCents));
+            }
+        });
+        
+        [...state.expenses, ...state.savings, ...(state.debt || [])]
+            .filter(bucket => bucket.include)
+            .forEach(bucket => {
+                const account = bucketAccount(bucket);
+                const items = (bucket.items || []).filter(item => item.include);
+                const minimumCents = debtMinimumTopUpCents(bucket);
+                const allocationCents = bucketTransferCents(bucket);
+                
+                if (account) {
+                    periods.forEach(period => {
+                        add(period.start, '', -allocationCents);
+                        add(period.start, account, allocationCents);
+                    });
+                }
+                
+                // Savings stay in their account
+                if (state.savings.includes(bucket)) return;
+                
+                items.filter(item => item.nextDueDate).forEach(item => {
+                    const amountCents = Math.round((parseFloat(item.amount) || 0) * 100);
+                    occurrencesBetween(item.nextDueDate, item.frequency || incomeFrequency, from, until)
+                        .forEach(date => add(date, account, -amountCents));
+                });
+                
+                const spendingCents = minimumCents + Math.round(items
+                    .filter(item => !item.nextDueDate)
+                    .reduce((sum, item) => sum + itemAmountPerPeriod(item, incomeFrequency), 0) * 100);
+                periods.forEach((period, index) => {
+                    if (index === 0) {
+                        // Whatever hasn't been spent yet this period
+                        add(from, account, -Math.max(0, spendingCents - getBucketSpentCents(bucket)));
+                    } else {
+                        add(period.start, account, -spendingCents);
+                    }
+                });
+            });
+        
+        return flows;
+    }
+
+    function buildForecast() {
+        const periods = forecastPeriods();
+        return forecastBalances(periods, cashFlowEvents(periods), accountOpeningCents())
+            .sort((a, b) => (a.account === '') - (b.account === '') || accountLabel(a.account).localeCompare(accountLabel(b.account)));
+    }
+
+    function describeShortfall(result) {
+        const date = format(new Date(`${result.lowestDate}T00:00:00`), 'd MMM yyyy');
+        const periods = result.negativePeriods === 1 ? '1 pay period' : `${result.negativePeriods} pay periods`;
+        return `${accountLabel(result.account)} goes below zero in ${periods}, lowest ${formatCurrency(result.lowestCents / 100)} on ${date}`;
+    }
+
+    // The forward-looking line under the remaining total
+    function updateForecastSummary() {
+        const link = document.getElementById('remainingForecast');
+        if (!link || !currentUser) return;
+        
+        const shortfalls = buildForecast().filter(result => result.negativePeriods > 0);
+        link.hidden = false;
+        link.classList.toggle('warning', shortfalls.length > 0);
+        if (shortfalls.length === 0) {
+            link.textContent = 'Forecast: every account stays above zero';
+        } else {
+            const first = shortfalls.reduce((a, b) => (b.lowestDate < a.lowestDate ? b : a));
+            link.textContent = `Forecast: ${accountLabel(first.account)} goes negative ${format(new Date(`${first.lowestDate}T00:00:00`), 'd MMM')}`;
+        }
+    }
+
+    function renderForecastView() {
+        const forecast = buildForecast();
+        const head = document.getElementById('forecastHead');
+        const body = document.getElementById('forecastBody');
+        
+        const warnings = document.getElementById('forecastWarnings');
+        const shortfalls = forecast.filter(result => result.negativePeriods > 0);
+        warnings.innerHTML = '';
+        shortfalls.forEach(result => {
+            const li = document.createElement('li');
+            li.textContent = describeShortfall(result);
+            warnings.appendChild(li);
+        });
+        document.getElementById('forecastAllClear').hidden = shortfalls.length > 0;
+        
+        const titles = document.createElement('tr');
+        const balances = document.createElement('tr');
+        const periodTh = document.createElement('th');
+        periodTh.textContent = 'Pay period';
+        titles.appendChild(periodTh);
+        const todayTh = document.createElement('th');
+        todayTh.textContent = 'Balance today';
+        balances.appendChild(todayTh);
+        
+        forecast.forEach(result => {
+            const th = document.createElement('th');
+            th.textContent = accountLabel(result.account);
+            if (!result.account) th.title = 'Where pay lands, and buckets without a bank account';
+            titles.appendChild(th);
+            
+            const cell = document.createElement('th');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.01';
+            input.className = 'forecast-balance-input';
+            input.value = (result.openingCents / 100).toFixed(2);
+            input.setAttribute('aria-label', `${accountLabel(result.account)} balance today`);
+            input.addEventListener('change', async () => {
+                const balanceCents = Math.round((parseFloat(input.value) || 0) * 100);
+                const bankAccount = findBankAccount(result.account);
+                if (bankAccount) {
+                    try {
+                        await persistBankAccount({ ...bankAccount, balanceCents });
+                    } catch (error) {
+                        console.error('Failed to update account balance:', error);
+                        alert(cloudStore.getErrorMessage(error));
+                        return;
+                    }
+                } else {
+                    state.settings.accountBalances = [{ account: '', balanceCents }];
+                    saveToCloud();
+                }
+                renderForecastView();
+                updateForecastSummary();
+            });
+            cell.appendChild(input);
+            balances.appendChild(cell);
+        });
+        
+        head.innerHTML = '';
+        head.append(titles, balances);
+        
+        body.innerHTML = '';
+        (forecast[0]?.periods || []).forEach((period, index) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = periodRangeLabel(period);
+            row.appendChild(label);
+            
+            forecast.forEach(result => {
+                const values = result.periods[index];
+                const cell = document.createElement('td');
+                cell.textContent = formatCurrency(values.closingCents / 100);
+                cell.title = `In ${formatCurrency(values.inCents / 100)}, out ${formatCurrency(values.outCents / 100)}`;
+                if (values.negative) {
+                    cell.classList.add('negative');
+                    const lowest = document.createElement('span');
+                    lowest.className = 'forecast-lowest';
+                    lowest.textContent = `${formatCurrency(values.lowestCents / 100)} on ${format(new Date(`${values.lowestDate}T00:00:00`), 'd MMM')}`;
+                    cell.appendChild(lowest);
+                }
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    function showForecastView() {
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'none';
+        hideAccountView();
+        document.getElementById('forecastView').hidden = false;
+        renderForecastView();
+    }
+
+    function hideForecastView() {
+        const forecastView = document.getElementById('forecastView');
+        if (!forecastView || forecastView.hidden) return;
+        forecastView.hidden = true;
+        if (FULL_PAGE_VIEWS.includes(location.hash)) return;
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) mainContent.style.display = 'block';
+    }
+
+    function setupForecastView() {
+        document.getElementById('forecastBackBtn')?.addEventListener('click', () => {
+            location.hash = '';
+        });
+        
+        window.addEventListener('hashchange', () => {
+            if (location.hash === '#forecast') {
+                showForecastView();
+            } else {
+                hideForecastView();
+            }
+        });
+        
+        if (location.hash === '#forecast') {
+            showForecastView();
+        }
+    }
+
+    // Statement import and review inbox
+    function findBucket(bucketId) {
+        return [...state.expenses, ...state.savings, ...(state.debt || [])].find(b => b.id === bucketId);
+    }
+
+    async function loadInbox() {
+        try {
+            inboxItems = await cloudStore.listInboxItems(currentUser.uid, currentBudgetId);
+        } catch (error) {
+            console.error('Failed to load import inbox:', error);
+            inboxItems = [];
+        }
+        renderInbox();
+    }
+
+    function fillBucketOptions(select, placeholder) {
+        select.innerHTML = `<option value="">${placeholder}</option>`;
+        [...state.expenses, ...state.savings, ...(state.debt || [])].forEach(bucket => {
+            const option = document.createElement('option');
+            option.value = bucket.id;
+            option.textContent = bucket.name || 'Unnamed bucket';
+            select.appendChild(option);
+        });
+    }
+
+    function fillBucketItemOptions(select, bucketId) {
+        const bucketItems = findBucket(bucketId)?.items || [];
+        select.innerHTML = '<option value="">No item</option>';
+        bucketItems.forEach(bucketItem => {
+            const option = document.createElement('option');
+            option.value = bucketItem.id;
+            option.textContent = bucketItem.name || 'Unnamed item';
+            select.appendChild(option);
+        });
+        select.style.display = bucketItems.length ? '' : 'none';
+    }
+
+    function renderInbox() {
+        const section = document.getElementById('importInbox');
+        const list = document.getElementById('inboxList');
+        if (!section || !list) return;
+        
+        const pending = pendingInboxItems();
+        // Stay visible after the last assignment so its rule suggestion can be answered
+        section.hidden = pending.length === 0 && !ruleSuggestion;
+        document.getElementById('inboxCount').textContent = pending.length;
+        document.getElementById('applyRulesBtn').disabled = pending.length === 0;
+        renderRuleSuggestion();
+        
+        const bucketIds = currentBucketIds();
+        const template = document.getElementById('inboxItemTemplate');
+        list.innerHTML = '';
+        
+        pending.forEach(item => {
+            const row = template.content.cloneNode(true).querySelector('.inbox-row');
+            row.dataset.inboxId = item.id;
+            row.querySelector('.inbox-date').textContent = format(new Date(`${item.date}T00:00:00`), 'dd MMM yyyy');
+            row.querySelector('.inbox-payee').textContent = item.payee || '—';
+            row.querySelector('.inbox-account').textContent = item.account || '';
+            row.querySelector('.inbox-amount').textContent = formatCurrencyPrecise(item.amountCents / 100);
+            row.querySelector('.inbox-amount').classList.toggle('refund', item.amountCents < 0);
+            // A hand-entered transaction may already cover this line
+            row.querySelector('.inbox-duplicate').hidden = !transactions.some(tx =>
+                tx.date === item.date && tx.amountCents === item.amountCents);
+            
+            const bucketSelect = row.querySelector('.inbox-bucket');
+            const itemSelect = row.querySelector('.inbox-item');
+            fillBucketOptions(bucketSelect, 'Choose bucket…');
+            
+            // Pre-select whatever the rules would pick; the user still confirms with Assign
+            const rule = findMatchingRule(rules, item, bucketIds);
+            const ruleEl = row.querySelector('.inbox-rule');
+            if (rule) {
+                bucketSelect.value = rule.bucketId;
+                ruleEl.textContent = `Rule: ${describeRule(rule)}`;
+            }
+            ruleEl.hidden = !rule;
+            
+            fillBucketItemOptions(itemSelect, bucketSelect.value);
+            if (rule?.itemId) itemSelect.value = rule.itemId;
+            bucketSelect.addEventListener('change', () => fillBucketItemOptions(itemSelect, bucketSelect.value));
+            
+            row.querySelector('.inbox-assign-btn').addEventListener('click', () => {
+                assignInboxItem(item, bucketSelect.value, itemSelect.value);
+            });
+            row.querySelector('.inbox-dismiss-btn').addEventListener('click', () => {
+                dismissInboxItem(item);
+            });
+            
+            list.appendChild(row);
+        });
+    }
+
+    // Assigning moves the line into the bucket's ledger, where it starts counting as spent
+    async function recordInboxAssignment(item, bucketId, itemId) {
+        requireConnection();
+        const saved = await cloudStore.addTransaction(currentUser.uid, currentBudgetId, normalizeTransaction({
+            bucketId,
+            itemId,
+            date: item.date,
+            payee: item.payee,
+            amountCents: item.amountCents,
+            note: item.account ? `Imported from ${item.account}` : 'Imported',
+            externalId: item.externalId
+        }));
+        transactions.push(saved);
+        
+        await cloudStore.updateInboxItem(currentUser.uid, currentBudgetId, item.id, {
+            status: 'assigned',
+            bucketId,
+            transactionId: saved.id
+        });
+        item.status = 'assigned';
+        item.bucketId = bucketId;
+        item.transactionId = saved.id;
+    }
+
+    function refreshAfterInboxAssignment(bucketIds) {
+        renderInbox();
+        cacheTransactions();
+        syncSpentFromLedger();
+        bucketIds.forEach(bucketId => {
+            const bucket = findBucket(bucketId);
+            const bucketEl = document.querySelector(`.bucket-card[data-bucket-id="${bucketId}"]`);
+            if (bucket && bucketEl) {
+                renderBucketLedger(bucket, bucketEl);
+                followGoalBalance(bucket, bucketEl);
+                updateBucketUI(bucket, bucketEl);
+            }
+        });
+        updateDerivedValues();
+        saveToCloud();
+    }
+
+    async function assignInboxItem(item, bucketId, itemId) {
+        const bucket = findBucket(bucketId);
+        if (!bucket) {
+            alert('Choose a bucket for this transaction');
+            return;
+        }
+        
+        try {
+            const draft = suggestRule(item, bucketId, itemId, rules.filter(rule => rule.enabled !== false));
+            await recordInboxAssignment(item, bucketId, itemId);
+            ruleSuggestion = draft;
+            refreshAfterInboxAssignment([bucketId]);
+        } catch (error) {
+            console.error('Failed to assign imported transaction:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    // Dismissed lines stay on record so importing an overlapping statement skips them
+    async function dismissInboxItem(item) {
+        try {
+            requireConnection();
+            await cloudStore.updateInboxItem(currentUser.uid, currentBudgetId, item.id, { status: 'dismissed' });
+            item.status = 'dismissed';
+            renderInbox();
+        } catch (error) {
+            console.error('Failed to dismiss imported transaction:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    // Categorisation rules
+    function pendingInboxItems() {
+        return inboxItems
+            .filter(item => item.status === 'pending')
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    function currentBucketIds() {
+        return new Set([...state.expenses, ...state.savings, ...(state.debt || [])].map(bucket => bucket.id));
+    }
+
+    async function loadRules() {
+        try {
+            rules = await cloudStore.listRules(currentUser.uid);
+        } catch (error) {
+            console.error('Failed to load rules:', error);
+            rules = [];
+        }
+    }
+
+    function describeRule(rule) {
+        const parts = [];
+        if (rule.payeeValue) {
+            parts.push(rule.payeeMatch === 'regex'
+                ? `payee matches /${rule.payeeValue}/`
+                : `payee contains "${rule.payeeValue}"`);
+        }
+        const hasMin = Number.isFinite(rule.minAmountCents);
+        const hasMax = Number.isFinite(rule.maxAmountCents);
+        if (hasMin && hasMax) {
+            parts.push(`${formatCurrencyPrecise(rule.minAmountCents / 100)}–${formatCurrencyPrecise(rule.maxAmountCents / 100)}`);
+        } else if (hasMin) {
+            parts.push(`at least ${formatCurrencyPrecise(rule.minAmountCents / 100)}`);
+        } else if (hasMax) {
+            parts.push(`at most ${formatCurrencyPrecise(rule.maxAmountCents / 100)}`);
+        }
+        if (rule.account) parts.push(`account "${rule.account}"`);
+        return parts.join(' · ');
+    }
+
+    function describeRuleTarget(rule) {
+        const bucket = findBucket(rule.bucketId);
+        if (!bucket) return 'Bucket not in this budget';
+        const item = (bucket.items || []).find(i => i.id === rule.itemId);
+        return item ? `${bucket.name} › ${item.name}` : bucket.name;
+    }
+
+    function renderRuleSuggestion() {
+        const suggestionEl = document.getElementById('ruleSuggestion');
+        if (!suggestionEl) return;
+        
+        suggestionEl.hidden = !ruleSuggestion;
+        if (ruleSuggestion) {
+            document.getElementById('ruleSuggestionText').textContent =
+                `Always assign payees containing "${ruleSuggestion.payeeValue}" to ${describeRuleTarget(ruleSuggestion)}?`;
+        }
+    }
+
+    async function persistRule(rule) {
+        requireConnection();
+        const saved = await cloudStore.saveRule(currentUser.uid, rule);
+        rules = [...rules.filter(r => r.id !== saved.id), saved];
+        return saved;
+    }
+
+    async function acceptRuleSuggestion() {
+        try {
+            await persistRule(ruleSuggestion);
+            ruleSuggestion = null;
+            renderInbox();
+        } catch (error) {
+            console.error('Failed to create rule:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    // Assign every inbox line a rule matches, leaving the rest for review
+    async function applyRulesToInbox() {
+        const matches = previewRules(rules, pendingInboxItems(), currentBucketIds()).filter(match => match.rule);
+        if (matches.length === 0) {
+            alert('No inbox transactions match your rules');
+            return;
+        }
+        if (!confirm(`Assign ${matches.length} transaction${matches.length === 1 ? '' : 's'} using your rules?`)) return;
+        
+        const touched = new Set();
+        try {
+            for (const { line, rule } of matches) {
+                await recordInboxAssignment(line, rule.bucketId, rule.itemId);
+                touched.add(rule.bucketId);
+            }
+        } catch (error) {
+            console.error('Failed to apply rules:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+        refreshAfterInboxAssignment([...touched]);
+        renderRulesPreview();
+    }
+
+    function renderRulesList() {
+        const list = document.getElementById('rulesList');
+        const template = document.getElementById('ruleTemplate');
+        const sorted = sortRules(rules);
+        list.innerHTML = '';
+        
+        sorted.forEach((rule, index) => {
+            const row = template.content.cloneNode(true).querySelector('.rule-row');
+            row.dataset.ruleId = rule.id;
+            row.classList.toggle('disabled', rule.enabled === false);
+            row.querySelector('.rule-summary').textContent = describeRule(rule);
+            row.querySelector('.rule-target').textContent = describeRuleTarget(rule);
+            
+            const enabledInput = row.querySelector('.rule-enabled');
+            enabledInput.checked = rule.enabled !== false;
+            enabledInput.addEventListener('change', async () => {
+                try {
+                    await persistRule({ ...rule, enabled: enabledInput.checked });
+                    renderRulesModal();
+                } catch (error) {
+                    console.error('Failed to update rule:', error);
+                    alert(cloudStore.getErrorMessage(error));
+                }
+            });
+            
+            row.querySelector('.rule-up').disabled = index === 0;
+            row.querySelector('.rule-down').disabled = index === sorted.length - 1;
+            row.querySelector('.rule-up').addEventListener('click', () => moveRule(index, -1));
+            row.querySelector('.rule-down').addEventListener('click', () => moveRule(index, 1));
+            row.querySelector('.rule-edit').addEventListener('click', () => editRule(rule));
+            row.querySelector('.delete-btn').addEventListener('click', async () => {
+                if (!confirm('Delete this rule?')) return;
+                try {
+                    requireConnection();
+                    await cloudStore.deleteRule(currentUser.uid, rule.id);
+                    rules = rules.filter(r => r.id !== rule.id);
+                    if (editingRuleId === rule.id) resetRuleForm();
+                    renderRulesModal();
+                } catch (error) {
+                    console.error('Failed to delete rule:', error);
+                    alert(cloudStore.getErrorMessage(error));
+                }
+            });
+            
+            list.appendChild(row);
+        });
+        
+        document.getElementById('rulesEmpty').style.display = sorted.length ? 'none' : '';
+    }
+
+    async function moveRule(index, direction) {
+        const ids = sortRules(rules).map(rule => rule.id);
+        [ids[index], ids[index + direction]] = [ids[index + direction], ids[index]];
+        
+        try {
+            requireConnection();
+            await cloudStore.saveRuleOrder(currentUser.uid, ids);
+            rules.forEach(rule => { rule.priority = ids.indexOf(rule.id); });
+            renderRulesModal();
+        } catch (error) {
+            console.error('Failed to reorder rules:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    function renderRulesPreview() {
+        const preview = document.getElementById('rulesPreview');
+        if (!preview) return;
+        
+        const matches = previewRules(rules, pendingInboxItems(), currentBucketIds());
+        const matched = matches.filter(match => match.rule).length;
+        document.getElementById('rulesPreviewSummary').textContent = matches.length
+            ? `${matched} of ${matches.length} inbox transaction${matches.length === 1 ? '' : 's'} match a rule`
+            : 'The import inbox is empty';
+        document.getElementById('applyRulesToInboxBtn').disabled = matched === 0;
+        
+        preview.innerHTML = '';
+        matches.forEach(({ line, rule }) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('duplicate', !rule);
+            [line.date, line.payee, formatCurrencyPrecise(line.amountCents / 100), rule ? describeRuleTarget(rule) : 'No match']
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            preview.appendChild(row);
+        });
+    }
+
+    function renderRulesModal() {
+        renderRulesList();
+        renderRulesPreview();
+        renderInbox();
+    }
+
+    function resetRuleForm(draft = null) {
+        const form = document.getElementById('ruleForm');
+        form.reset();
+        editingRuleId = draft?.id || null;
+        
+        fillBucketOptions(form.querySelector('#ruleBucket'), 'Choose bucket…');
+        if (draft) {
+            form.querySelector('#rulePayeeMatch').value = draft.payeeMatch || 'contains';
+            form.querySelector('#rulePayeeValue').value = draft.payeeValue || '';
+            form.querySelector('#ruleMinAmount').value = Number.isFinite(draft.minAmountCents) ? (draft.minAmountCents / 100).toFixed(2) : '';
+            form.querySelector('#ruleMaxAmount').value = Number.isFinite(draft.maxAmountCents) ? (draft.maxAmountCents / 100).toFixed(2) : '';
+            form.querySelector('#ruleAccount').value = draft.account || '';
+            form.querySelector('#ruleBucket').value = draft.bucketId || '';
+        }
+        fillBucketItemOptions(form.querySelector('#ruleItem'), form.querySelector('#ruleBucket').value);
+        form.querySelector('#ruleItem').value = draft?.itemId || '';
+        
+        document.getElementById('ruleFormTitle').textContent = editingRuleId ? 'Edit rule' : 'Add rule';
+        document.getElementById('saveRuleBtn').textContent = editingRuleId ? 'Save rule' : 'Add rule';
+        document.getElementById('cancelRuleEditBtn').hidden = !editingRuleId;
+    }
+
+    function editRule(rule) {
+        resetRuleForm(rule);
+        document.getElementById('rulePayeeValue').focus();
+    }
+
+    async function submitRuleForm(e) {
+        e.preventDefault();
+        const form = e.target;
+        const toCents = value => (value === '' ? null : Math.round(parseFloat(value) * 100));
+        const existing = rules.find(rule => rule.id === editingRuleId);
+        
+        const rule = {
+            id: editingRuleId || undefined,
+            payeeMatch: form.querySelector('#rulePayeeMatch').value,
+            payeeValue: form.querySelector('#rulePayeeValue').value.trim(),
+            minAmountCents: toCents(form.querySelector('#ruleMinAmount').value),
+            maxAmountCents: toCents(form.querySelector('#ruleMaxAmount').value),
+            account: form.querySelector('#ruleAccount').value.trim(),
+            bucketId: form.querySelector('#ruleBucket').value,
+            itemId: form.querySelector('#ruleItem').value || null,
+            priority: existing ? existing.priority : rules.reduce((max, r) => Math.max(max, r.priority + 1), 0),
+            enabled: existing ? existing.enabled !== false : true
+        };
+        
+        if (rule.payeeMatch === 'regex' && !isValidPattern(rule.payeeValue)) {
+            alert('The payee pattern is not a valid regular expression');
+            return;
+        }
+        
+        try {
+            await persistRule(rule);
+            resetRuleForm();
+            renderRulesModal();
+        } catch (error) {
+            console.error('Failed to save rule:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    function openRulesModal(draft = null) {
+        resetRuleForm(draft);
+        renderRulesList();
+        renderRulesPreview();
+        document.getElementById('rulesModal').showModal();
+    }
+
+    function setupRules() {
+        const modal = document.getElementById('rulesModal');
+        if (!modal) return;
+        
+        document.getElementById('manageRulesBtn')?.addEventListener('click', () => openRulesModal());
+        document.getElementById('applyRulesBtn')?.addEventListener('click', applyRulesToInbox);
+        
+        document.getElementById('acceptRuleSuggestionBtn')?.addEventListener('click', acceptRuleSuggestion);
+        document.getElementById('customiseRuleSuggestionBtn')?.addEventListener('click', () => {
+            const draft = ruleSuggestion;
+            ruleSuggestion = null;
+            renderInbox();
+            openRulesModal(draft);
+        });
+        document.getElementById('dismissRuleSuggestionBtn')?.addEventListener('click', () => {
+            ruleSuggestion = null;
+            renderInbox();
+        });
+        
+        modal.querySelector('#ruleBucket').addEventListener('change', (e) => {
+            fillBucketItemOptions(modal.querySelector('#ruleItem'), e.target.value);
+        });
+        modal.querySelector('#ruleForm').addEventListener('submit', submitRuleForm);
+        modal.querySelector('#cancelRuleEditBtn').addEventListener('click', () => resetRuleForm());
+        modal.querySelector('#applyRulesToInboxBtn').addEventListener('click', applyRulesToInbox);
+        modal.querySelector('.close-modal').addEventListener('click', () => modal.close());
+    }
+
+    // Bank account registry
+    const NEW_ACCOUNT_OPTION = '__new';
+    
+    // Kept on the device so a budget opened offline still shows its accounts
+    function cacheBankAccounts() {
+        localStore.saveUserCopy(currentUser.uid, 'accounts', bankAccounts)
+            .catch(error => console.error('Failed to save bank accounts on this device:', error));
+    }
+
+    async function loadBankAccounts() {
+        try {
+            bankAccounts = await cloudStore.listAccounts(currentUser.uid);
+            cacheBankAccounts();
+        } catch (error) {
+            console.error('Failed to load bank accounts:', error);
+            bankAccounts = [];
+        }
+    }
+
+    function findBankAccount(accountId) {
+        return accountId ? bankAccounts.find(account => account.id === accountId) || null : null;
+    }
+
+    function describeBankAccount(account) {
+        const typeLabels = {
+            everyday: 'Everyday', savings: 'Savings', credit: 'Credit card',
+            offset: 'Offset', loan: 'Loan', other: 'Other'
+        };
+        return [account.institution, typeLabels[account.type], account.last4 && `•••• ${account.last4}`]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    function fillBankAccountOptions(select, selectedId) {
+        select.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None (stays in pay account)';
+        select.appendChild(none);
+        
+        [...bankAccounts].sort((a, b) => a.name.localeCompare(b.name)).forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.last4 ? `${account.name} (${account.last4})` : account.name;
+            select.appendChild(option);
+        });
+        
+        const add = document.createElement('option');
+        add.value = NEW_ACCOUNT_OPTION;
+        add.textContent = 'Add account…';
+        select.appendChild(add);
+        
+        select.value = findBankAccount(selectedId) ? selectedId : '';
+    }
+
+    async function persistBankAccount(account) {
+        requireConnection();
+        const saved = await cloudStore.saveAccount(currentUser.uid, account);
+        bankAccounts = [...bankAccounts.filter(a => a.id !== saved.id), saved];
+        cacheBankAccounts();
+        return saved;
+    }
+
+    async function promptNewBankAccount() {
+        const name = prompt('Name for the new bank account (e.g. "ING Savings")');
+        if (!name?.trim()) return null;
+        
+        try {
+            return await persistBankAccount({
+                name: name.trim(),
+                type: guessAccountType(name),
+                color: DEFAULT_BUCKET_COLORS[bankAccounts.length % DEFAULT_BUCKET_COLORS.length]
+            });
+        } catch (error) {
+            console.error('Failed to create bank account:', error);
+            alert(cloudStore.getErrorMessage(error));
+            return null;
+        }
+    }
+
+    // Keep buckets' cached account names current and redraw everything that shows them
+    function refreshBankAccountViews() {
+        [...state.expenses, ...state.savings, ...(state.debt || [])].forEach(bucket => {
+            const account = findBankAccount(bucket.accountId);
+            if (!account && bucket.accountId) bucket.accountId = null;
+            bucket.bankAccount = account?.name || '';
+        });
+        renderBuckets();
+        updateTotals();
+        saveToCloud();
+    }
+
+    function renderBankAccountsList() {
+        const list = document.getElementById('bankAccountsList');
+        const template = document.getElementById('bankAccountTemplate');
+        const buckets = [...state.expenses, ...state.savings, ...(state.debt || [])];
+        list.innerHTML = '';
+        
+        [...bankAccounts].sort((a, b) => a.name.localeCompare(b.name)).forEach(account => {
+            const row = template.content.cloneNode(true).querySelector('.bank-account-row');
+            row.dataset.accountId = account.id;
+            row.querySelector('.bank-account-swatch').style.background = account.color || 'transparent';
+            row.querySelector('.bank-account-name').textContent = account.name;
+            
+            const used = buckets.filter(bucket => bucket.accountId === account.id).length;
+            const details = [describeBankAccount(account), formatCurrencyPrecise((account.balanceCents || 0) / 100)];
+            if (used) details.push(`${used} bucket${used === 1 ? '' : 's'} in this budget`);
+            row.querySelector('.bank-account-details').textContent = details.filter(Boolean).join(' · ');
+            
+            row.querySelector('.bank-account-edit').addEventListener('click', () => resetBankAccountForm(account));
+            row.querySelector('.delete-btn').addEventListener('click', async () => {
+                const warning = used ? ` ${used} bucket${used === 1 ? '' : 's'} in this budget will have no account.` : '';
+                if (!confirm(`Delete "${account.name}"? Buckets in your other budgets that use it will have no account.${warning}`)) return;
+                try {
+                    requireConnection();
+                    await cloudStore.deleteAccount(currentUser.uid, account.id);
+                    bankAccounts = bankAccounts.filter(a => a.id !== account.id);
+                    cacheBankAccounts();
+                    if (editingAccountId === account.id) resetBankAccountForm();
+                    renderBankAccountsList();
+                    refreshBankAccountViews();
+                } catch (error) {
+                    console.error('Failed to delete bank account:', error);
+                    alert(cloudStore.getErrorMessage(error));
+                }
+            });
+            
+            list.appendChild(row);
+        });
+        
+        document.getElementById('bankAccountsEmpty').style.display = bankAccounts.length ? 'none' : '';
+    }
+
+    function resetBankAccountForm(account = null) {
+        const form = document.getElementById('bankAccountForm');
+        form.reset();
+        editingAccountId = account?.id || null;
+        
+        if (account) {
+            form.querySelector('#bankAccountName').value = account.name;
+            form.querySelector('#bankAccountInstitution').value = account.institution || '';
+            form.querySelector('#bankAccountType').value = account.type || 'everyday';
+            form.querySelector('#bankAccountLast4').value = account.last4 || '';
+            form.querySelector('#bankAccountColor').value = account.color || DEFAULT_BUCKET_COLORS[0];
+            form.querySelector('#bankAccountBalance').value = ((account.balanceCents || 0) / 100).toFixed(2);
+        } else {
+            form.querySelector('#bankAccountColor').value = DEFAULT_BUCKET_COLORS[bankAccounts.length % DEFAULT_BUCKET_COLORS.length];
+        }
+        
+        document.getElementById('bankAccountFormTitle').textContent = editingAccountId ? 'Edit account' : 'Add account';
+        document.getElementById('saveBankAccountBtn').textContent = editingAccountId ? 'Save account' : 'Add account';
+        document.getElementById('cancelBankAccountEditBtn').hidden = !editingAccountId;
+    }
+
+    async function submitBankAccountForm(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        try {
+            await persistBankAccount({
+                id: editingAccountId || undefined,
+                name: form.querySelector('#bankAccountName').value.trim(),
+                institution: form.querySelector('#bankAccountInstitution').value.trim(),
+                type: form.querySelector('#bankAccountType').value,
+                last4: form.querySelector('#bankAccountLast4').value.trim(),
+                color: form.querySelector('#bankAccountColor').value,
+                balanceCents: Math.round((parseFloat(form.querySelector('#bankAccountBalance').value) || 0) * 100)
+            });
+            resetBankAccountForm();
+            renderBankAccountsList();
+            refreshBankAccountViews();
+        } catch (error) {
+            console.error('Failed to save bank account:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    function openBankAccountsModal() {
+        resetBankAccountForm();
+        renderBankAccountsList();
+        document.getElementById('bankAccountsModal').showModal();
+    }
+
+    function setupBankAccounts() {
+        const modal = document.getElementById('bankAccountsModal');
+        if (!modal) return;
+        
+        modal.querySelector('#bankAccountForm').addEventListener('submit', submitBankAccountForm);
+        modal.querySelector('#cancelBankAccountEditBtn').addEventListener('click', () => resetBankAccountForm());
+        modal.querySelector('.close-modal').addEventListener('click', () => modal.close());
+    }
+
+    function allImportPresets() {
+        return [...BUILTIN_PRESETS, ...importPresets];
+    }
+
+    async function loadImportPresets() {
+        if (importPresets.length > 0) return;
+        try {
+            importPresets = await cloudStore.listImportPresets(currentUser.uid);
+        } catch (error) {
+            console.error('Failed to load import presets:', error);
+        }
+    }
+
+    function renderImportPresetOptions(selectedId) {
+        const presetSelect = document.getElementById('importPreset');
+        presetSelect.innerHTML = '<option value="">Custom mapping</option>';
+        allImportPresets().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = allImportPresets().some(p => p.id === selectedId) ? selectedId : '';
+        document.getElementById('deleteImportPresetBtn').disabled = !importPresets.some(p => p.id === presetSelect.value);
+    }
+
+    function fillImportColumnOptions() {
+        const [firstRow] = pendingStatement.rows;
+        const hasHeader = document.getElementById('importHasHeader').checked;
+        
+        document.querySelectorAll('#statementImportModal .import-column').forEach(select => {
+            const selected = select.value;
+            select.innerHTML = '';
+            for (let index = 0; index < pendingStatement.columnCount; index++) {
+                const cell = firstRow[index] || '';
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = hasHeader && cell
+                    ? cell
+                    : `Column ${index + 1}${cell ? ` (${cell.slice(0, 20)})` : ''}`;
+                select.appendChild(option);
+            }
+            if (selected !== '') select.value = selected;
+        });
+    }
+
+    function getStatementMapping() {
+        const column = id => parseInt(document.getElementById(id).value, 10);
+        return {
+            hasHeader: document.getElementById('importHasHeader').checked,
+            dateFormat: document.getElementById('importDateFormat').value,
+            dateColumn: column('importDateColumn'),
+            descriptionColumn: column('importDescriptionColumn'),
+            amountMode: document.getElementById('importAmountMode').value,
+            amountColumn: column('importAmountColumn'),
+            debitColumn: column('importDebitColumn'),
+            creditColumn: column('importCreditColumn'),
+            invertAmounts: document.getElementById('importInvertAmounts').checked,
+            account: document.getElementById('importAccount').value.trim()
+        };
+    }
+
+    function setStatementMapping(mapping) {
+        const setColumn = (id, value) => {
+            if (Number.isInteger(value) && value < pendingStatement.columnCount) {
+                document.getElementById(id).value = value;
+            }
+        };
+        
+        document.getElementById('importHasHeader').checked = !!mapping.hasHeader;
+        fillImportColumnOptions();
+        document.getElementById('importDateFormat').value = mapping.dateFormat || 'DMY';
+        document.getElementById('importAmountMode').value = mapping.amountMode || 'single';
+        document.getElementById('importInvertAmounts').checked = !!mapping.invertAmounts;
+        if (mapping.account) document.getElementById('importAccount').value = mapping.account;
+        setColumn('importDateColumn', mapping.dateColumn);
+        setColumn('importDescriptionColumn', mapping.descriptionColumn);
+        setColumn('importAmountColumn', mapping.amountColumn);
+        setColumn('importDebitColumn', mapping.debitColumn);
+        setColumn('importCreditColumn', mapping.creditColumn);
+    }
+
+    function renderStatementPreview() {
+        if (!pendingStatement) return;
+        
+        const { format } = pendingStatement;
+        const mapping = getStatementMapping();
+        const isCsv = format === 'csv';
+        const split = mapping.amountMode === 'split';
+        const modal = document.getElementById('statementImportModal');
+        modal.querySelectorAll('.import-csv-only').forEach(el => { el.style.display = isCsv ? '' : 'none'; });
+        modal.querySelectorAll('.import-single').forEach(el => { el.style.display = isCsv && !split ? '' : 'none'; });
+        modal.querySelectorAll('.import-split').forEach(el => { el.style.display = isCsv && split ? '' : 'none'; });
+        // OFX dates are unambiguous; QIF dates depend on the exporting tool's locale
+        modal.querySelector('.import-date-format').style.display = format === 'ofx' ? 'none' : '';
+        
+        let result;
+        if (format === 'ofx') {
+            result = parseOfx(pendingStatement.text);
+        } else if (format === 'qif') {
+            result = parseQif(pendingStatement.text, mapping.dateFormat);
+        } else {
+            result = applyCsvMapping(pendingStatement.rows, mapping);
+        }
+        const { errors } = result;
+        const lines = result.lines.map(line => ({ ...line, account: mapping.account || line.account }));
+        pendingStatement.lines = markDuplicates(lines, new Set(inboxItems.map(item => item.fingerprint)));
+        const duplicates = pendingStatement.lines.filter(line => line.duplicate).length;
+        const newCount = pendingStatement.lines.length - duplicates;
+        
+        const summary = [`${newCount} new transaction${newCount === 1 ? '' : 's'}`];
+        if (duplicates) summary.push(`${duplicates} already imported`);
+        if (errors.length) summary.push(`${errors.length} row${errors.length === 1 ? '' : 's'} skipped`);
+        document.getElementById('importSummary').textContent = summary.join(' · ');
+        document.getElementById('confirmStatementImportBtn').disabled = newCount === 0;
+        
+        const preview = document.getElementById('importPreview');
+        preview.innerHTML = '';
+        pendingStatement.lines.slice(0, 8).forEach(line => {
+            const row = document.createElement('tr');
+            row.classList.toggle('duplicate', line.duplicate);
+            [line.date, line.duplicate ? `${line.payee} (already imported)` : line.payee, formatCurrencyPrecise(line.amountCents / 100)]
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            preview.appendChild(row);
+        });
+        errors.slice(0, 3).forEach(error => {
+            const row = document.createElement('tr');
+            row.className = 'error';
+            const cell = document.createElement('td');
+            cell.colSpan = 3;
+            cell.textContent = `Row ${error.row}: ${error.reason}`;
+            row.appendChild(cell);
+            preview.appendChild(row);
+        });
+    }
+
+    async function openStatementImport(fileName, text) {
+        const format = detectStatementFormat(fileName, text);
+        document.getElementById('importFileName').textContent = fileName;
+        document.getElementById('importAccount').value = '';
+        document.getElementById('importPresetName').value = '';
+        
+        if (format === 'csv') {
+            const rows = parseCsv(text);
+            if (rows.length === 0) {
+                alert('No rows found in this file');
+                return;
+            }
+            
+            await loadImportPresets();
+            // Some banks add trailing cells to later rows, so size the column list from a sample
+            const columnCount = Math.max(...rows.slice(0, 20).map(row => row.length));
+            pendingStatement = { fileName, format, text, rows, columnCount, lines: [] };
+            
+            // Start from the preset used last time on this device
+            const lastPresetId = localStorage.getItem('lastImportPreset');
+            const preset = allImportPresets().find(p => p.id === lastPresetId) || BUILTIN_PRESETS[0];
+            renderImportPresetOptions(preset.id);
+            setStatementMapping(preset.mapping);
+        } else {
+            pendingStatement = { fileName, format, text, lines: [] };
+            if (format === 'qif') {
+                document.getElementById('importDateFormat').value = parseQif(text).dateFormat;
+            }
+        }
+        
+        renderStatementPreview();
+        if (pendingStatement.lines.length === 0 && format !== 'csv') {
+            alert('No transactions found in this file');
+            pendingStatement = null;
+            return;
+        }
+        
+        document.getElementById('statementImportModal').showModal();
+    }
+
+    async function confirmStatementImport() {
+        renderStatementPreview(); // Pick up any account label typed since the last preview
+        const newLines = pendingStatement.lines.filter(line => !line.duplicate);
+        if (newLines.length === 0) return;
+        
+        const importBatchId = generateId();
+        try {
+            requireConnection();
+            const added = await cloudStore.addInboxItems(currentUser.uid, currentBudgetId, newLines.map(line => ({
+                ...line,
+                source: pendingStatement.format,
+                importBatchId,
+                status: 'pending'
+            })));
+            inboxItems = [...added, ...inboxItems];
+            
+            if (pendingStatement.format === 'csv') {
+                localStorage.setItem('lastImportPreset', document.getElementById('importPreset').value);
+            }
+            document.getElementById('statementImportModal').close();
+            pendingStatement = null;
+            renderInbox();
+        } catch (error) {
+            console.error('Failed to import statement:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function saveCurrentImportPreset() {
+        const nameInput = document.getElementById('importPresetName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            alert('Enter a name for the preset');
+            return;
+        }
+        
+        try {
+            requireConnection();
+            // Saving under an existing name updates that preset instead of adding another
+            const existing = importPresets.find(p => p.name.toLowerCase() === name.toLowerCase());
+            const saved = await cloudStore.saveImportPreset(currentUser.uid, {
+                id: existing?.id,
+                name,
+                mapping: getStatementMapping()
+            });
+            importPresets = [...importPresets.filter(p => p.id !== saved.id), saved];
+            nameInput.value = '';
+            renderImportPresetOptions(saved.id);
+        } catch (error) {
+            console.error('Failed to save import preset:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function deleteSelectedImportPreset() {
+        const presetId = document.getElementById('importPreset').value;
+        const preset = importPresets.find(p => p.id === presetId);
+        if (!preset || !confirm(`Delete the "${preset.name}" preset?`)) return;
+        
+        try {
+            requireConnection();
+            await cloudStore.deleteImportPreset(currentUser.uid, presetId);
+            importPresets = importPresets.filter(p => p.id !== presetId);
+            renderImportPresetOptions('');
+        } catch (error) {
+            console.error('Failed to delete import preset:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    function setupStatementImport() {
+        const importStatementBtn = document.getElementById('importStatementBtn');
+        const importStatementFile = document.getElementById('importStatementFile');
+        const modal = document.getElementById('statementImportModal');
+        if (!modal) return;
+        
+        importStatementBtn?.addEventListener('click', () => {
+            importStatementFile?.click();
+        });
+        
+        importStatementFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                openStatementImport(file.name, e.target.result).catch(error => {
+                    console.error('Failed to read statement:', error);
+                    alert('Could not read this statement file');
+                });
+            };
+            reader.readAsText(file);
+            e.target.value = '';
+        });
+        
+        modal.querySelector('#importPreset').addEventListener('change', (e) => {
+            const preset = allImportPresets().find(p => p.id === e.target.value);
+            if (preset) setStatementMapping(preset.mapping);
+            document.getElementById('deleteImportPresetBtn').disabled = !importPresets.some(p => p.id === e.target.value);
+            renderStatementPreview();
+        });
+        
+        modal.querySelector('#importHasHeader').addEventListener('change', () => {
+            fillImportColumnOptions();
+            renderStatementPreview();
+        });
+        
+        // Any manual change to the mapping leaves the chosen preset behind
+        modal.querySelectorAll('.import-column, #importDateFormat, #importAmountMode, #importInvertAmounts').forEach(input => {
+            input.addEventListener('change', () => {
+                document.getElementById('importPreset').value = '';
+                document.getElementById('deleteImportPresetBtn').disabled = true;
+                renderStatementPreview();
+            });
+        });
+        
+        modal.querySelector('#saveImportPresetBtn').addEventListener('click', saveCurrentImportPreset);
+        modal.querySelector('#deleteImportPresetBtn').addEventListener('click', deleteSelectedImportPreset);
+        modal.querySelector('#confirmStatementImportBtn').addEventListener('click', confirmStatementImport);
+        modal.querySelector('.close-modal').addEventListener('click', () => {
+            pendingStatement = null;
+            modal.close();
+        });
+    }
+
+    function deleteBucket(bucketId, section) {
+        if (section === 'expenses') {
+            state.expenses = state.expenses.filter(b => b.id !== bucketId);
+        } else if (section === 'savings') {
+            state.savings = state.savings.filter(b => b.id !== bucketId);
+        } else if (section === 'debt') {
+            state.debt = state.debt.filter(b => b.id !== bucketId);
+        }
+        deleteBucketTransactions(bucketId);
+        
+        // Update bucket counter
+        if (window.updateBucketCounter) {
+            window.updateBucketCounter();
+        }
+        
+        renderBuckets();
+        updateDerivedValues();
+        saveToCloud();
+    }
+
+    // Expose bucket count for UI
+    window.getBucketCountForUI = function() {
+        return (state.expenses?.length || 0) + (state.savings?.length || 0) + (state.debt?.length || 0);
+    };
+    
+    // Get next color for new bucket based on existing bucket count
+    function getNextBucketColor() {
+        const currentCount = window.getBucketCountForUI();
+        return DEFAULT_BUCKET_COLORS[currentCount % DEFAULT_BUCKET_COLORS.length];
+    }
+    
+    function showUpgradePrompt() {
+        if (confirm('Free plan allows up to 5 buckets. Upgrade to Plus for unlimited buckets?')) {
+            // Navigate to account page for upgrade
+            const event = new Event('click');
+            document.getElementById('navAccount')?.dispatchEvent(event);
         }
     }
 
@@ -1514,12 +4621,15 @@ const DEFAULT_BUCKET_COLORS = [
             name: '',
             include: true,
             color: getNextBucketColor(),
+            accountId: null,
             bankAccount: '',
             type: section === 'expenses' ? 'expense' : section === 'savings' ? 'saving' : 'debt',
             orderIndex: 0,
             notes: '',
             overspendThresholdPct: 80,
-            spentThisPeriodCents: 0
+            spentThisPeriodCents: 0,
+            rolloverPolicy: 'reset',
+            carryOverCents: 0
         };
         
         // Add type-specific defaults
@@ -1665,19 +4775,160 @@ const DEFAULT_BUCKET_COLORS = [
         Object.keys(expandedStates).forEach(bucketId => {
             const card = document.querySelector(`[data-bucket-id="${bucketId}"]`);
             if (card && expandedStates[bucketId]) {
-                const toggleBtn = card.querySelector('.bucket-toggle');
-                const content = card.querySelector('.bucket-content');
-                const toggleIcon = card.querySelector('.toggle-icon');
-                const headerTotal = card.querySelector('.bucket-header-total');
-                
-                if (toggleBtn && content) {
-                    content.style.display = 'block';
-                    if (toggleIcon) toggleIcon.innerHTML = '<i class="fas fa-chevron-down"></i>';
-                    toggleBtn.setAttribute('aria-expanded', 'true');
-                    if (headerTotal) headerTotal.style.display = 'none';
-                }
+                expandBucketCard(card);
+            }
+        });
+    }
+
+    function expandBucketCard(card) {
+        const toggleBtn = card.querySelector('.bucket-toggle');
+        const content = card.querySelector('.bucket-content');
+        const toggleIcon = card.querySelector('.toggle-icon');
+        const headerTotal = card.querySelector('.bucket-header-total');
+        
+        if (toggleBtn && content) {
+            content.style.display = 'block';
+            if (toggleIcon) toggleIcon.innerHTML = '<i class="fas fa-chevron-down"></i>';
+            toggleBtn.setAttribute('aria-expanded', 'true');
+            if (headerTotal) headerTotal.style.display = 'none';
+        }
+    }
+
+    // Swap one card for a freshly rendered one, keeping it open if it was
+    function replaceBucketCard(bucket, section) {
+        const oldCard = document.querySelector(`.bucket-card[data-bucket-id="${bucket.id}"]`);
+        if (!oldCard) return null;
+        
+        const expanded = oldCard.querySelector('.bucket-toggle')?.getAttribute('aria-expanded') === 'true';
+        const card = createBucketElement(bucket, section);
+        oldCard.replaceWith(card);
+        if (expanded) expandBucketCard(card);
+        return card;
+    }
+
+    // Live sync: a snapshot listener on the open budget brings in edits made on
+    // other devices. Only what changed since the version this tab last synced is
+    // merged into state, so edits made in this tab meanwhile are kept.
+    async function watchCurrentBudget() {
+        stopWatchingBudget();
+        if (workingOffline || !currentUser || !currentBudgetId) return;
+        
+        const budgetId = currentBudgetId;
+        try {
+            const stop = await cloudStore.watchBudget(currentUser.uid, budgetId, receiveBudgetSnapshot, error => {
+                console.error('Live sync stopped:', error);
+            });
+            // Another budget was opened while the listener was starting
+            if (budgetId !== currentBudgetId) {
+                stop();
+                return;
             }
+            stopBudgetWatch = stop;
+        } catch (error) {
+            console.error('Failed to watch budget:', error);
+        }
+    }
+
+    function stopWatchingBudget() {
+        stopBudgetWatch?.();
+        stopBudgetWatch = null;
+        latestSnapshot = null;
+    }
+
+    function receiveBudgetSnapshot(snapshot) {
+        if (snapshot.budget.id !== currentBudgetId) return;
+        latestSnapshot = snapshot;
+        mergeLatestSnapshot();
+    }
+
+    async function mergeLatestSnapshot() {
+        const { budget, pending } = latestSnapshot || {};
+        // Pending snapshots and those marked with this tab's id are its own saves
+        if (!budget || pending || budget.updatedBy === tabId || budget.id !== currentBudgetId || !syncedBudget) return;
+        if ((budget.revision || 0) < syncedBudget.revision) return;
+        
+        // Unsent edits meet this version when their write is sent, and are merged field by field then
+        if (await hasUnsentWrite(budget.id)) return;
+        if (budget !== latestSnapshot?.budget) return;
+        
+        // Merged with edits made here since the last sync, including ones not saved yet
+        const local = currentBudgetData();
+        const merge = mergeBudgetVersions(syncedBudget.data, local, budget);
+        // Both changed the same field: this tab's save will conflict, and the user chooses then
+        if (merge.conflicts.length > 0) return;
+        
+        const changes = budgetChanges(local, merge.budget);
+        syncedBudget = budgetVersion(budget);
+        if (hasChanges(changes)) {
+            applyRemoteBudget(merge.budget, changes);
+        }
+    }
+
+    async function hasUnsentWrite(budgetId) {
+        try {
+            return (await pendingBudgetWrites()).some(write => write.budgetId === budgetId);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // In place, so open cards' inputs keep writing to the same bucket and item objects
+    function setBudgetState(budget) {
+        ['settings', 'expenses', 'savings', 'debt', 'netWorth'].forEach(field => {
+            state[field] = replaceInPlace(state[field], budget[field]);
         });
+        syncSpentFromLedger();
+        
+        if (budget.name && budget.name !== currentBudget?.name) {
+            currentBudget = { ...currentBudget, name: budget.name };
+            budgets = budgets.map(b => b.id === currentBudgetId ? { ...b, name: budget.name } : b);
+            renderBudgetSwitcher();
+        }
+    }
+
+    // Longer than the debounce on bucket and item inputs
+    const CARD_EDIT_SETTLE_MS = 400;
+
+    // A card being typed in is left as it is, and redrawn once focus moves out
+    // of it and its inputs' last edits have reached state
+    function refreshBucketCard(bucketId, section) {
+        const card = document.querySelector(`.bucket-card[data-bucket-id="${bucketId}"]`);
+        if (card?.contains(document.activeElement)) {
+            card.addEventListener('focusout', function leave(event) {
+                if (card.contains(event.relatedTarget)) return;
+                card.removeEventListener('focusout', leave);
+                setTimeout(() => refreshBucketCard(bucketId, section), CARD_EDIT_SETTLE_MS);
+            });
+            return;
+        }
+        
+        const bucket = state[section].find(b => b.id === bucketId);
+        const replaced = bucket && replaceBucketCard(bucket, section);
+        replaced?.classList.add('remote-change');
+    }
+
+    function applyRemoteBudget(remote, changes) {
+        console.log('🔄 Budget changed on another device');
+        const { budget, reorder } = applyRemoteChanges(currentBudgetData(), remote, changes);
+        setBudgetState(budget);
+        
+        // Settings such as the pay frequency or currency show on every card
+        if (changes.settings.length > 0) {
+            updateUI();
+        } else if (reorder) {
+            renderBuckets();
+            updateDerivedValues();
+        } else {
+            changes.buckets.forEach(({ section, id }) => refreshBucketCard(id, section));
+            updateDerivedValues();
+        }
+        
+        if (changes.netWorth && !document.getElementById('netWorthView')?.hidden) {
+            renderNetWorthView();
+        }
+        
+        localStore.saveBudgetCopy(currentUser.uid, { id: currentBudgetId, revision: syncedBudget.revision, ...currentBudgetData() })
+            .catch(error => console.error('Failed to save budget on this device:', error));
     }
 
     // Cloud integration functions (keeping existing structure)
@@ -1686,16 +4937,263 @@ const DEFAULT_BUCKET_COLORS = [
             console.warn('No user or budget ID available for cloud save');
             return;
         }
-
+
+        // Keep the single income figure current for anything that still reads it
+        state.settings.incomeAmount = getTotalIncome();
+        const data = currentBudgetData();
+        const base = syncedBudget;
+        if (!base) {
+            // openBudget sets it; a save without it would skip the revision check
+            console.error('Budget was not opened with a synced version; save skipped');
+            return;
+        }
+        
+        // Saved on this device first, so the edit survives a reload if Firestore can't be reached
+        try {
+            await localStore.saveBudgetCopy(currentUser.uid, { id: currentBudgetId, revision: base.revision, ...data });
+            await localStore.queueBudgetWrite(currentUser.uid, currentBudgetId, data, { base });
+        } catch (error) {
+            // No IndexedDB (e.g. some private windows): write straight to Firestore
+            console.error('Failed to save budget on this device:', error);
+            await saveWithoutOutbox({ budgetId: currentBudgetId, data, base });
+            return;
+        }
+        
+        await flushOutbox();
+    }
+
+    async function saveWithoutOutbox(write) {
+        try {
+            const saved = await sendBudgetWrite(write);
+            if (write.budgetId === currentBudgetId) syncedBudget = budgetVersion(saved);
+        } catch (error) {
+            if (error.code !== cloudStore.BUDGET_CONFLICT) {
+                console.error('Failed to save to cloud:', error);
+                return;
+            }
+            // Merged and tried once more; a second conflict waits for the next save
+            const merged = await mergeConflictingWrite(write, error.budget);
+            try {
+                const saved = await sendBudgetWrite({ ...write, data: merged, base: budgetVersion(error.budget) });
+                if (write.budgetId === currentBudgetId) syncedBudget = budgetVersion(saved);
+            } catch (retryError) {
+                console.error('Failed to save to cloud:', retryError);
+            }
+        }
+    }
+
+    // Saved only if the budget is still at the revision the edits were made against
+    function sendBudgetWrite(write) {
+        return withTimeout(cloudStore.updateBudget(currentUser.uid, write.budgetId, write.data, {
+            expectedRevision: write.base?.revision,
+            writer: tabId
+        }), SYNC_TIMEOUT_MS, 'Firestore did not respond');
+    }
+
+    // Conflicts: a save found the budget changed elsewhere since its base. The
+    // two versions are merged field by field against that base, and the user only
+    // chooses where both changed the same field. Resolves to the merged budget.
+    async function mergeConflictingWrite(write, remote) {
+        const isOpen = write.budgetId === currentBudgetId;
+        // Writes queued before revisions existed have no base: this device's edits win, as they used to
+        const base = write.base?.data || budgetVersion(remote).data;
+        const local = isOpen ? currentBudgetData() : write.data;
+        
+        let merge = mergeBudgetVersions(base, local, remote);
+        if (merge.conflicts.length > 0) {
+            const choices = await chooseConflictVersions(merge.conflicts, remote.name || local.name);
+            merge = mergeBudgetVersions(base, isOpen ? currentBudgetData() : write.data, remote, choices);
+        }
+        
+        if (write.budgetId === currentBudgetId) {
+            syncedBudget = budgetVersion(remote);
+            setBudgetState(merge.budget);
+            updateUI();
+        }
+        return merge.budget;
+    }
+
+    async function resolveConflictingWrite(write, remote) {
+        const merged = await mergeConflictingWrite(write, remote);
+        const uid = currentUser.uid;
+        await localStore.saveBudgetCopy(uid, { id: write.budgetId, revision: remote.revision, ...merged });
+        await localStore.queueBudgetWrite(uid, write.budgetId, merged, { base: budgetVersion(remote), rebase: true });
+    }
+
+    function describeConflictValue(value, field) {
+        if (value === undefined) return 'Deleted';
+        if (value === null || value === '') return 'Empty';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'number') {
+            if (/Cents$/.test(field)) return formatCurrencyPrecise(value / 100);
+            return field === 'amount' ? formatCurrencyPrecise(value) : String(value);
+        }
+        if (typeof value === 'object') return value.name ? `"${value.name}", with changes` : 'Changed';
+        return String(value);
+    }
+
+    // Resolves to { [conflict key]: 'local' | 'remote' }; closing the dialog keeps what's selected
+    function chooseConflictVersions(conflicts, budgetName) {
+        const modal = document.getElementById('budgetConflictModal');
+        const list = document.getElementById('budgetConflictList');
+        const template = document.getElementById('budgetConflictTemplate');
+        document.getElementById('budgetConflictName').textContent = budgetName || 'This budget';
+        list.innerHTML = '';
+        
+        conflicts.forEach((conflict, index) => {
+            const row = template.content.cloneNode(true).querySelector('li');
+            row.querySelector('.conflict-label').textContent = conflict.label;
+            row.querySelector('.conflict-local').textContent = describeConflictValue(conflict.local, conflict.field);
+            row.querySelector('.conflict-remote').textContent = describeConflictValue(conflict.remote, conflict.field);
+            row.querySelectorAll('input[type="radio"]').forEach(input => {
+                input.name = `budgetConflict${index}`;
+            });
+            list.appendChild(row);
+        });
+        
+        return new Promise(resolve => {
+            modal.addEventListener('close', () => {
+                const choices = {};
+                conflicts.forEach((conflict, index) => {
+                    choices[conflict.key] = list.querySelector(`input[name="budgetConflict${index}"]:checked`)?.value || 'local';
+                });
+                resolve(choices);
+            }, { once: true });
+            modal.showModal();
+        });
+    }
+
+    function setupBudgetConflicts() {
+        const modal = document.getElementById('budgetConflictModal');
+        if (!modal) return;
+        
+        modal.querySelector('#budgetConflictKeepBtn').addEventListener('click', () => modal.close());
+        modal.querySelector('#budgetConflictAllTheirsBtn').addEventListener('click', () => {
+            modal.querySelectorAll('input[value="remote"]').forEach(input => {
+                input.checked = true;
+            });
+        });
+    }
+
+    // Offline sync: queued budget and ledger writes go to Firestore oldest first. A write
+    // that fails stays queued and is retried with backoff, or as soon as the
+    // browser is back online.
+    const SYNC_TIMEOUT_MS = 15000;
+
+    // Inbox, rules, bank accounts, imports and budget management write straight
+    // to Firestore, which never answers offline: refuse up front instead of hanging
+    function requireConnection() {
+        if (navigator.onLine && !workingOffline) return;
+        throw new Error('You\'re offline. Try again once you\'re back online; budget edits and transactions are still saved on this device.');
+    }
+    
+    function flushOutbox() {
+        if (!outboxFlush) {
+            outboxFlush = sendPendingWrites().finally(() => {
+                outboxFlush = null;
+            });
+        }
+        return outboxFlush;
+    }
+
+    async function sendPendingWrites() {
+        const uid = currentUser?.uid;
+        if (!uid) return;
+        clearTimeout(outboxRetryTimer);
+        
+        try {
+            while (navigator.onLine) {
+                const [write] = await localStore.listPendingWrites(uid);
+                if (!write) {
+                    syncError = null;
+                    syncAttempts = 0;
+                    break;
+                }
+                
+                try {
+                    if (write.type === 'updateBudget') {
+                        const saved = budgetVersion(await sendBudgetWrite(write));
+                        await localStore.completeWrite(write, saved);
+                        if (write.budgetId === currentBudgetId) syncedBudget = saved;
+                    } else {
+                        await sendLedgerWrite(write);
+                        await localStore.completeWrite(write);
+                    }
+                    syncError = null;
+                    syncAttempts = 0;
+                } catch (error) {
+                    if (error.code === cloudStore.BUDGET_CONFLICT) {
+                        await resolveConflictingWrite(write, error.budget);
+                        continue;
+                    }
+                    console.error('Failed to sync budget:', error);
+                    syncError = cloudStore.getErrorMessage(error);
+                    outboxRetryTimer = setTimeout(flushOutbox, retryDelayMs(syncAttempts++));
+                    break;
+                }
+                await updateSyncStatus();
+            }
+        } catch (error) {
+            console.error('Failed to read the outbox:', error);
+        }
+        
+        await updateSyncStatus();
+        // Other devices' edits held back while this tab's were unsent
+        mergeLatestSnapshot();
+    }
+
+    async function updateSyncStatus() {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator || !currentUser) return;
+        
+        let pending = 0;
+        try {
+            pending = (await localStore.listPendingWrites(currentUser.uid)).length;
+        } catch (error) {
+            // Without IndexedDB there is never anything queued
+        }
+        
+        const status = describeSyncStatus({ pending, online: navigator.onLine, error: syncError });
+        indicator.dataset.state = status.state;
+        indicator.textContent = status.label;
+        indicator.title = workingOffline && navigator.onLine
+            ? `${status.title} Showing the copy saved on this device.`
+            : status.title;
+        indicator.hidden = false;
+    }
+
+    function setupSyncStatus() {
+        window.addEventListener('online', async () => {
+            syncAttempts = 0;
+            await flushOutbox();
+            // Started without Firestore: load the ledger and everything else now it's reachable
+            if (workingOffline) {
+                await loadFromCloud();
+            }
+        });
+        window.addEventListener('offline', updateSyncStatus);
+        updateSyncStatus();
+    }
+
+    // The device copy when it has edits Firestore hasn't got, or when Firestore can't be reached
+    async function readBudgetForOpen(budgetId) {
+        let copy = null;
+        let pending = false;
+        try {
+            copy = await localStore.readBudgetCopy(currentUser.uid, budgetId);
+            pending = (await pendingBudgetWrites()).some(write => write.budgetId === budgetId);
+        } catch (error) {
+            console.error('Failed to read budget from this device:', error);
+        }
+        
+        if (copy && (pending || workingOffline)) {
+            return { ...budgets.find(b => b.id === budgetId), ...copy };
+        }
         try {
-            await cloudStore.updateBudget(currentUser.uid, currentBudgetId, {
-                settings: state.settings,
-                expenses: state.expenses,
-                savings: state.savings,
-                debt: state.debt
-            });
+            return await cloudStore.readBudget(currentUser.uid, budgetId);
         } catch (error) {
-            console.error('Failed to save to cloud:', error);
+            if (copy) return copy;
+            throw error;
         }
     }
 
@@ -1793,39 +5291,261 @@ const DEFAULT_BUCKET_COLORS = [
         ];
     }
 
+    // Budget switching: each budget keeps its own buckets, ledger, inbox and periods
+    function lastBudgetStorageKey() {
+        return `lastBudgetId:${currentUser.uid}`;
+    }
+
+    // Prefer the budget last opened on this device, then the one last opened anywhere
+    function pickInitialBudget() {
+        const preferredIds = [localStorage.getItem(lastBudgetStorageKey()), currentUser.lastBudgetId];
+        for (const budgetId of preferredIds) {
+            const budget = budgets.find(b => b.id === budgetId);
+            if (budget) return budget;
+        }
+        return budgets[0];
+    }
+
+    function rememberBudget(budgetId) {
+        localStorage.setItem(lastBudgetStorageKey(), budgetId);
+        if (currentUser.lastBudgetId === budgetId) return;
+        
+        currentUser.lastBudgetId = budgetId;
+        cloudStore.updateUserProfile(currentUser.uid, { lastBudgetId: budgetId }).catch(error => {
+            console.error('Failed to remember last budget:', error);
+        });
+    }
+
+    async function openBudget(budget) {
+        currentBudget = budget;
+        currentBudgetId = budget.id;
+        syncedBudget = budgetVersion(budget);
+        
+        state = {
+            settings: {
+                incomeAmount: 500,
+                incomeFrequency: 'Fortnightly',
+                currency: 'AUD',
+                ...(budget.settings || {})
+            },
+            expenses: budget.expenses || [],
+            savings: budget.savings || [],
+            debt: budget.debt || [],
+            netWorth: budget.netWorth || { assets: [], liabilities: [] }
+        };
+        transactions = [];
+        ledgerComplete = false;
+        inboxItems = [];
+        ruleSuggestion = null;
+        currentPeriod = null;
+        
+        // Run migration if needed
+        await migrateBucketsIfNeeded(currentBudgetId);
+        migrateIncomeSources();
+        
+        // Offline, the ledger comes from this device; rollover waits for Firestore
+        if (workingOffline) {
+            await loadTransactionsFromDevice();
+            syncSpentFromLedger();
+        } else {
+            await loadTransactions();
+            await migrateLegacySpentToLedger();
+            await runPeriodRollover();
+            
+            cacheTransactions();
+            localStore.saveBudgetCopy(currentUser.uid, { id: currentBudgetId, revision: syncedBudget.revision, ...currentBudgetData() })
+                .catch(error => console.error('Failed to save budget on this device:', error));
+        }
+        
+        rememberBudget(currentBudgetId);
+        renderBudgetSwitcher();
+        updateUI();
+        if (workingOffline) {
+            renderInbox();
+        } else {
+            await loadInbox();
+        }
+        updateSyncStatus();
+        watchCurrentBudget();
+    }
+
+    function renderBudgetSwitcher() {
+        const switcher = document.getElementById('budgetSwitcher');
+        const select = document.getElementById('budgetSelect');
+        if (!switcher || !select) return;
+        
+        switcher.style.display = currentUser ? '' : 'none';
+        select.innerHTML = '';
+        [...budgets]
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .forEach(budget => {
+                const option = document.createElement('option');
+                option.value = budget.id;
+                option.textContent = budget.name || 'Untitled budget';
+                select.appendChild(option);
+            });
+        select.value = currentBudgetId || '';
+        document.title = currentBudget?.name ? `${currentBudget.name} · Budget Buckets` : 'Budget Buckets';
+    }
+
+    async function switchBudget(budgetId) {
+        if (!budgetId || budgetId === currentBudgetId) return;
+        
+        try {
+            // Flush the budget being left before its state is replaced
+            await saveToCloud();
+            const budget = await readBudgetForOpen(budgetId);
+            budgets = budgets.map(b => (b.id === budgetId ? budget : b));
+            await openBudget(budget);
+        } catch (error) {
+            console.error('Failed to switch budget:', error);
+            alert(cloudStore.getErrorMessage(error));
+            renderBudgetSwitcher();
+        }
+    }
+
+    async function createNewBudget() {
+        const name = prompt('Name for the new budget (e.g. "Side business")');
+        if (!name?.trim()) return;
+        
+        try {
+            requireConnection();
+            await saveToCloud();
+            const budget = await cloudStore.createBudget(currentUser.uid, {
+                name: name.trim(),
+                settings: {
+                    incomeAmount: 0,
+                    incomeFrequency: state.settings.incomeFrequency,
+                    currency: state.settings.currency,
+                    periodStartDate: todayIso(),
+                    currentPeriodStart: null,
+                    incomeSources: []
+                },
+                expenses: [],
+                savings: [],
+                debt: []
+            });
+            budgets.push(budget);
+            await openBudget(budget);
+        } catch (error) {
+            console.error('Failed to create budget:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function renameCurrentBudget() {
+        const name = prompt('Rename budget', currentBudget?.name || '');
+        if (!name?.trim() || name.trim() === currentBudget?.name) return;
+        
+        try {
+            requireConnection();
+            currentBudget.name = await cloudStore.renameBudget(currentUser.uid, currentBudgetId, name);
+            budgets = budgets.map(b => (b.id === currentBudgetId ? { ...b, name: currentBudget.name } : b));
+            renderBudgetSwitcher();
+        } catch (error) {
+            console.error('Failed to rename budget:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function duplicateCurrentBudget() {
+        const name = prompt('Name for the copy', `${currentBudget?.name || 'Budget'} (copy)`);
+        if (!name?.trim()) return;
+        
+        try {
+            requireConnection();
+            await saveToCloud();
+            const copy = await cloudStore.duplicateBudget(currentUser.uid, currentBudgetId, name.trim());
+            budgets.push(copy);
+            await openBudget(copy);
+        } catch (error) {
+            console.error('Failed to duplicate budget:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    async function deleteCurrentBudget() {
+        if (budgets.length <= 1) {
+            alert('You need at least one budget. Create another budget before deleting this one.');
+            return;
+        }
+        if (!confirm(`Delete "${currentBudget.name}" with all of its transactions? This cannot be undone.`)) return;
+        
+        try {
+            requireConnection();
+            const deletedId = currentBudgetId;
+            stopWatchingBudget();
+            await cloudStore.deleteBudget(currentUser.uid, deletedId);
+            await localStore.deleteBudgetCopy(currentUser.uid, deletedId)
+                .catch(error => console.error('Failed to forget deleted budget on this device:', error));
+            budgets = budgets.filter(b => b.id !== deletedId);
+            
+            // Nothing left to save for the deleted budget, so open the next one directly
+            const next = await cloudStore.readBudget(currentUser.uid, budgets[0].id);
+            await openBudget(next);
+        } catch (error) {
+            console.error('Failed to delete budget:', error);
+            alert(cloudStore.getErrorMessage(error));
+        }
+    }
+
+    function setupBudgetSwitcher() {
+        const select = document.getElementById('budgetSelect');
+        const menuBtn = document.getElementById('budgetMenuBtn');
+        const menu = document.getElementById('budgetMenu');
+        if (!select || !menuBtn || !menu) return;
+        
+        select.addEventListener('change', () => switchBudget(select.value));
+        
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('show');
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) menu.classList.remove('show');
+        });
+        
+        const actions = {
+            create: createNewBudget,
+            rename: renameCurrentBudget,
+            duplicate: duplicateCurrentBudget,
+            delete: deleteCurrentBudget
+        };
+        menu.querySelectorAll('[data-budget-action]').forEach(item => {
+            item.addEventListener('click', () => {
+                menu.classList.remove('show');
+                actions[item.dataset.budgetAction]();
+            });
+        });
+    }
+
     async function loadFromCloud() {
         if (!currentUser) {
             console.warn('No user available for cloud load');
             return;
         }
 
+        let cloudBudgets;
+        try {
+            cloudBudgets = await withTimeout(cloudStore.listBudgets(currentUser.uid), SYNC_TIMEOUT_MS, 'Firestore did not respond');
+        } catch (error) {
+            console.error('Failed to load from cloud:', error);
+            await openFromDevice();
+            return;
+        }
+        
         try {
-            const budgets = await cloudStore.listBudgets(currentUser.uid);
+            workingOffline = false;
+            budgets = await withPendingEdits(cloudBudgets);
+            await loadRules();
+            await loadBankAccounts();
             
             if (budgets.length > 0) {
-                currentBudget = budgets[0];
-                currentBudgetId = currentBudget.id;
-                
-                if (currentBudget.settings) {
-                    state.settings = { ...state.settings, ...currentBudget.settings };
-                }
-                if (currentBudget.expenses) {
-                    state.expenses = currentBudget.expenses;
-                }
-                if (currentBudget.savings) {
-                    state.savings = currentBudget.savings;
-                }
-                if (currentBudget.debt) {
-                    state.debt = currentBudget.debt;
-                }
-                
-                // Run migration if needed
-                await migrateBucketsIfNeeded(currentBudgetId);
-                
-                updateUI();
+                await openBudget(pickInitialBudget());
             } else {
                 // New user - load templates
                 loadTemplatesForNewUser();
+                refreshCurrentPeriod();
                 
                 // Create a new budget
                 const newBudget = await cloudStore.createBudget(currentUser.uid, {
@@ -1835,22 +5555,131 @@ const DEFAULT_BUCKET_COLORS = [
                     savings: state.savings,
                     debt: state.debt
                 });
-                currentBudgetId = newBudget.id;
-                
-                updateUI();
+                budgets = [newBudget];
+                await openBudget(newBudget);
             }
         } catch (error) {
             console.error('Failed to load from cloud:', error);
         }
+        
+        // Anything edited offline before this load can go now
+        flushOutbox();
+    }
+
+    // Budgets with unsynced edits open from the copy on this device
+    async function withPendingEdits(cloudBudgets) {
+        try {
+            const pendingIds = (await pendingBudgetWrites()).map(write => write.budgetId);
+            if (pendingIds.length === 0) return cloudBudgets;
+            return withLocalChanges(cloudBudgets, await localStore.listBudgetCopies(currentUser.uid), pendingIds);
+        } catch (error) {
+            console.error('Failed to read budgets saved on this device:', error);
+            return cloudBudgets;
+        }
+    }
+
+    // Firestore is unreachable: open the copy saved on this device, if there is one
+    async function openFromDevice() {
+        let copies = [];
+        try {
+            copies = await localStore.listBudgetCopies(currentUser.uid);
+            bankAccounts = await localStore.readUserCopy(currentUser.uid, 'accounts') || [];
+        } catch (error) {
+            console.error('Failed to read budgets saved on this device:', error);
+        }
+        
+        if (copies.length === 0) {
+            alert('Can\'t reach the server and there is no copy of your budget on this device yet. Check your connection and reload.');
+            return;
+        }
+        
+        console.log('📴 Opening the budget saved on this device');
+        workingOffline = true;
+        budgets = copies;
+        rules = [];
+        await openBudget(pickInitialBudget());
+    }
+
+    function renderIncomeSources() {
+        const list = document.getElementById('incomeSourcesList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        (state.settings.incomeSources || []).forEach(addIncomeSourceToUI);
+    }
+
+    function addIncomeSourceToUI(source) {
+        const template = document.getElementById('incomeSourceTemplate');
+        const row = template.content.cloneNode(true).querySelector('.income-source-row');
+        row.dataset.sourceId = source.id;
+        
+        const nameInput = row.querySelector('.income-source-name');
+        const amountInput = row.querySelector('.income-source-amount');
+        const frequencySelect = row.querySelector('.income-source-frequency');
+        const payDateInput = row.querySelector('.income-source-pay-date');
+        const grossInput = row.querySelector('.income-source-gross');
+        
+        nameInput.value = source.name || '';
+        amountInput.value = source.amount || 0;
+        frequencySelect.value = source.frequency;
+        payDateInput.value = source.nextPayDate
+            ? nextOccurrence(source.nextPayDate, source.frequency, todayIso())
+            : '';
+        grossInput.checked = Boolean(source.isGross);
+        
+        const changed = () => {
+            updateDerivedValues();
+            saveToCloud();
+        };
+        
+        nameInput.addEventListener('input', debounce(() => {
+            source.name = nameInput.value;
+            saveToCloud();
+        }, 300));
+        
+        amountInput.addEventListener('input', debounce(() => {
+            source.amount = parseFloat(amountInput.value) || 0;
+            changed();
+        }, 300));
+        
+        frequencySelect.addEventListener('change', () => {
+            source.frequency = frequencySelect.value;
+            changed();
+        });
+        
+        payDateInput.addEventListener('change', () => {
+            source.nextPayDate = payDateInput.value || null;
+            saveToCloud();
+        });
+        
+        grossInput.addEventListener('change', () => {
+            source.isGross = grossInput.checked;
+            changed();
+        });
+        
+        row.querySelector('.delete-btn').addEventListener('click', () => {
+            if (!confirm(`Delete income source "${source.name || 'Unnamed'}"?`)) return;
+            state.settings.incomeSources = state.settings.incomeSources.filter(s => s.id !== source.id);
+            row.remove();
+            changed();
+        });
+        
+        document.getElementById('incomeSourcesList').appendChild(row);
     }
 
     function updateUI() {
         // Update settings UI
-        document.getElementById('incomeAmount').value = state.settings.incomeAmount;
+        renderIncomeSources();
         document.getElementById('incomeFrequency').value = state.settings.incomeFrequency;
         document.getElementById('currency').value = state.settings.currency;
         
+        refreshCurrentPeriod();
+        const periodStartInput = document.getElementById('periodStartDate');
+        if (periodStartInput) periodStartInput.value = state.settings.periodStartDate;
+        updatePeriodLabel();
+        
         renderBuckets();
+        renderInbox();
         updateDerivedValues();
     }
 
@@ -1895,21 +5724,35 @@ const DEFAULT_BUCKET_COLORS = [
         }
         
         // Settings
-        const incomeAmount = document.getElementById('incomeAmount');
+        const addIncomeSourceBtn = document.getElementById('addIncomeSourceBtn');
         const incomeFrequency = document.getElementById('incomeFrequency');
         const currency = document.getElementById('currency');
         
-        if (incomeAmount) {
-            incomeAmount.addEventListener('input', debounce(() => {
-                state.settings.incomeAmount = parseFloat(incomeAmount.value) || 0;
-                updateDerivedValues();
+        if (addIncomeSourceBtn) {
+            addIncomeSourceBtn.addEventListener('click', () => {
+                const source = createIncomeSource();
+                state.settings.incomeSources = [...(state.settings.incomeSources || []), source];
+                addIncomeSourceToUI(source);
                 saveToCloud();
-            }, 300));
+                document.querySelector(`.income-source-row[data-source-id="${source.id}"] .income-source-name`)?.focus();
+            });
         }
         
         if (incomeFrequency) {
             incomeFrequency.addEventListener('change', () => {
                 state.settings.incomeFrequency = incomeFrequency.value;
+                realignCurrentPeriod();
+                updateDerivedValues();
+                saveToCloud();
+            });
+        }
+        
+        const periodStartDate = document.getElementById('periodStartDate');
+        if (periodStartDate) {
+            periodStartDate.addEventListener('change', () => {
+                if (!periodStartDate.value) return;
+                state.settings.periodStartDate = periodStartDate.value;
+                realignCurrentPeriod();
                 updateDerivedValues();
                 saveToCloud();
             });
@@ -1960,22 +5803,7 @@ const DEFAULT_BUCKET_COLORS = [
         const resetBtn = document.getElementById('resetBtn');
         const loadDemoBtn = document.getElementById('loadDemoBtn');
         
-        exportBtn?.addEventListener('click', () => {
-            const data = {
-                settings: state.settings,
-                expenses: state.expenses,
-                savings: state.savings,
-                exportDate: new Date().toISOString()
-            };
-            
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `budget-buckets-${new Date().toISOString().slice(0, 10)}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
-        });
+        exportBtn?.addEventListener('click', exportBudgetFile);
         
         importBtn?.addEventListener('click', () => {
             importFile?.click();
@@ -1985,38 +5813,28 @@ const DEFAULT_BUCKET_COLORS = [
             const file = e.target.files[0];
             if (!file) return;
             
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    if (confirm('Import this data? This will replace your current budget.')) {
-                        if (data.settings) state.settings = data.settings;
-                        if (data.expenses) state.expenses = data.expenses;
-                        if (data.savings) state.savings = data.savings;
-                        
-                        updateUI();
-                        saveToCloud();
-                    }
-                } catch (error) {
-                    alert('Invalid file format');
-                }
-            };
-            reader.readAsText(file);
+            readBudgetFile(file);
             e.target.value = '';
         });
         
-        resetBtn?.addEventListener('click', () => {
+        setupBudgetImport();
+        setupSpreadsheetExport();
+        document.getElementById('printReportBtn')?.addEventListener('click', printBudgetReport);
+        
+        resetBtn?.addEventListener('click', async () => {
             if (confirm('Reset all data? This cannot be undone.')) {
                 state.settings = {
                     incomeAmount: 500,
                     incomeFrequency: 'Fortnightly',
                     currency: 'AUD'
                 };
+                state.settings.incomeSources = [createIncomeSource({ name: 'Pay', amount: 500 })];
                 state.expenses = [];
                 state.savings = [];
                 state.debt = [];
+                state.netWorth = { assets: [], liabilities: [] };
                 
+                await resetLedgerFromState();
                 updateUI();
                 saveToCloud();
             }
@@ -2027,9 +5845,286 @@ const DEFAULT_BUCKET_COLORS = [
         // Sample data button for screenshots
         const loadSampleBtn = document.getElementById('loadSampleBtn');
         loadSampleBtn?.addEventListener('click', loadSampleData);
+        
+        // Bank statement import (signed-in only; lines land in the cloud inbox)
+        setupStatementImport();
+        setupRules();
+        setupBankAccounts();
+    }
+
+    // Budget export and import
+    let pendingBudgetImport = null;
+    
+    function currentBudgetData() {
+        return {
+            name: currentBudget?.name || '',
+            settings: state.settings,
+            expenses: state.expenses,
+            savings: state.savings,
+            debt: state.debt || [],
+            netWorth: state.netWorth
+        };
+    }
+
+    // Downloads as e.g. budget-buckets-household-2025-08-20.json
+    function downloadBudgetFile(blob, extension) {
+        const slug = (currentBudget?.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `budget-buckets-${slug || 'budget'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function exportBudgetFile() {
+        const envelope = buildExport(currentBudgetData(), { appVersion: APP_VERSION });
+        downloadBudgetFile(new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' }), 'json');
+    }
+
+    // Formula converting a cell between frequencies, e.g. "G2*26/12" for fortnightly to monthly
+    function frequencyFormula(ref, from, to) {
+        const timesPerYear = frequency => Math.round(convertFrequency(1, frequency, 'Yearly'));
+        return from === to ? ref : `${ref}*${timesPerYear(from)}/${timesPerYear(to)}`;
+    }
+
+    // One row per item (or per bucket when it has none) with its amount per pay
+    // period, month and year, then a totals row. With formulas, editing an
+    // amount or the Included column updates the row and the totals.
+    function bucketSheet(name, buckets, withFormulas) {
+        const frequency = state.settings.incomeFrequency;
+        const rows = [[
+            'Bucket', 'Bank account', 'Item', 'Included', 'Amount', 'Frequency',
+            `Per ${frequencyUnit(frequency)}`, 'Monthly', 'Yearly'
+        ]];
+        const totals = [0, 0, 0];
+        const live = (value, formula) => withFormulas ? { value, formula } : value;
+        
+        const addRow = (bucket, itemName, included, amount, itemFrequency) => {
+            const ref = column => cellRef(column, rows.length);
+            const amounts = [included ? convertFrequency(amount, itemFrequency, frequency) : 0];
+            amounts.push(convertFrequency(amounts[0], frequency, 'Monthly'), convertFrequency(amounts[0], frequency, 'Yearly'));
+            amounts.forEach((value, i) => { totals[i] += value; });
+            
+            rows.push([
+                bucket.name || '', bucket.bankAccount || '', itemName, included ? 'Yes' : 'No', amount, itemFrequency,
+                live(amounts[0], `IF(${ref(3)}="Yes",${frequencyFormula(ref(4), itemFrequency, frequency)},0)`),
+                live(amounts[1], frequencyFormula(ref(6), frequency, 'Monthly')),
+                live(amounts[2], frequencyFormula(ref(6), frequency, 'Yearly'))
+            ]);
+        };
+        
+        buckets.forEach(bucket => {
+            if (bucket.type === 'saving' && bucket.goal) {
+                addRow(bucket, 'Contribution', bucket.include, (bucket.goal.contributionPerPeriodCents || 0) / 100, frequency);
+            } else if (bucket.items?.length) {
+                bucket.items.forEach(item => addRow(
+                    bucket,
+                    item.name || '',
+                    bucket.include && item.include,
+                    parseFloat(item.amount) || 0,
+                    ITEM_FREQUENCIES.includes(item.frequency) ? item.frequency : frequency
+                ));
+            } else {
+                addRow(bucket, '', bucket.include, 0, frequency);
+            }
+        });
+        
+        const lastRow = rows.length - 1;
+        const total = (value, column) => lastRow > 0
+            ? live(value, `SUM(${cellRef(column, 1)}:${cellRef(column, lastRow)})`)
+            : value;
+        rows.push(['Total', '', '', '', '', '', total(totals[0], 6), total(totals[1], 7), total(totals[2], 8)]);
+        return { name, rows };
+    }
+
+    function ledgerSheet(withFormulas) {
+        const bucketNames = {};
+        [...state.expenses, ...state.savings, ...(state.debt || [])].forEach(bucket => {
+            bucketNames[bucket.id] = bucket.name;
+        });
+        
+        const rows = [['Date', 'Bucket', 'Payee', 'Amount', 'Note']];
+        [...transactions]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(tx => rows.push([tx.date, bucketNames[tx.bucketId] || '', tx.payee, tx.amountCents / 100, tx.note || '']));
+        
+        const totalCents = transactions.reduce((sum, tx) => sum + tx.amountCents, 0);
+        const total = withFormulas
+            ? { value: totalCents / 100, formula: `SUM(${cellRef(3, 1)}:${cellRef(3, rows.length - 1)})` }
+            : totalCents / 100;
+        rows.push(['Total', '', '', total, '']);
+        return { name: 'Ledger', rows };
+    }
+
+    function exportSpreadsheet(kind, withFormulas) {
+        const sheets = [
+            bucketSheet('Expenses', state.expenses, withFormulas),
+            bucketSheet('Savings', state.savings, withFormulas),
+            bucketSheet('Debt', state.debt || [], withFormulas)
+        ];
+        if (transactions.length > 0) sheets.push(ledgerSheet(withFormulas));
+        
+        const blob = kind === 'xlsx'
+            ? new Blob([sheetsToXlsx(sheets)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+            : new Blob([sheetsToCsv(sheets)], { type: 'text/csv' });
+        downloadBudgetFile(blob, kind);
+    }
+
+    function setupSpreadsheetExport() {
+        const modal = document.getElementById('spreadsheetExportModal');
+        const button = document.getElementById('exportSpreadsheetBtn');
+        if (!modal || !button) return;
+        
+        const formulas = modal.querySelector('#spreadsheetFormulas');
+        const selectedKind = () => modal.querySelector('input[name="spreadsheetFormat"]:checked').value;
+        // CSV has no sheets to refer across, so it is always written as values
+        const updateFormulasOption = () => {
+            formulas.disabled = selectedKind() === 'csv';
+        };
+        
+        button.addEventListener('click', () => {
+            updateFormulasOption();
+            modal.showModal();
+        });
+        modal.querySelectorAll('input[name="spreadsheetFormat"]').forEach(radio => {
+            radio.addEventListener('change', updateFormulasOption);
+        });
+        modal.querySelector('#confirmSpreadsheetExportBtn').addEventListener('click', () => {
+            exportSpreadsheet(selectedKind(), formulas.checked && !formulas.disabled);
+            modal.close();
+        });
+        modal.querySelector('.close-modal').addEventListener('click', () => modal.close());
+    }
+
+    function readBudgetFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let contents;
+            try {
+                contents = readExport(JSON.parse(e.target.result));
+            } catch (error) {
+                alert(error instanceof SyntaxError ? 'Invalid file format' : error.message);
+                return;
+            }
+            
+            pendingBudgetImport = { ...contents, budget: cloudStore.validateBudgetData(contents.budget) };
+            openBudgetImportModal();
+        };
+        reader.readAsText(file);
+    }
+
+    function budgetImportMode() {
+        return document.querySelector('input[name="budgetImportMode"]:checked')?.value || 'merge';
+    }
+
+    function renderBudgetImportPreview() {
+        const { budget, schemaVersion, exportedAt } = pendingBudgetImport;
+        const mode = budgetImportMode();
+        const diff = diffBudgets(currentBudgetData(), budget);
+        
+        const source = [budget.name ? `"${budget.name}"` : 'A budget'];
+        const exportedOn = new Date(exportedAt);
+        if (exportedAt && !isNaN(exportedOn)) source.push(`exported ${format(exportedOn, 'd MMM yyyy')}`);
+        if (schemaVersion < 2) source.push('(older export without debt or net worth)');
+        document.getElementById('budgetImportSource').textContent = source.join(' ');
+        
+        const names = list => list.map(name => name || '(unnamed)').join(', ');
+        const labels = {
+            expenses: 'Expenses', savings: 'Savings', debt: 'Debt',
+            assets: 'Other assets', liabilities: 'Other liabilities'
+        };
+        const lines = [];
+        
+        if (mode === 'replace') {
+            lines.push(diff.settings.length
+                ? `Settings: ${diff.settings.length} setting${diff.settings.length === 1 ? '' : 's'} replaced`
+                : 'Settings: no changes');
+        } else {
+            lines.push('Settings: your current settings are kept');
+        }
+        
+        Object.entries(labels).forEach(([section, label]) => {
+            const changes = diff[section];
+            const parts = [];
+            if (changes.added.length) parts.push(`adds ${names(changes.added)}`);
+            if (changes.changed.length) parts.push(`updates ${names(changes.changed)}`);
+            if (changes.removed.length && mode === 'replace') parts.push(`removes ${names(changes.removed)}`);
+            if (changes.removed.length && mode === 'merge') parts.push(`keeps ${names(changes.removed)}`);
+            if (changes.unchanged) parts.push(`${changes.unchanged} unchanged`);
+            if (parts.length) lines.push(`${label}: ${parts.join('; ')}`);
+        });
+        
+        const list = document.getElementById('budgetImportChanges');
+        list.innerHTML = '';
+        lines.forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+        
+        document.getElementById('budgetImportWarning').style.display = mode === 'replace' ? '' : 'none';
+    }
+
+    function openBudgetImportModal() {
+        const modal = document.getElementById('budgetImportModal');
+        modal.querySelector('input[name="budgetImportMode"][value="merge"]').checked = true;
+        renderBudgetImportPreview();
+        modal.showModal();
+    }
+
+    async function applyBudgetImport() {
+        if (!pendingBudgetImport) return;
+        
+        const mode = budgetImportMode();
+        const incoming = mode === 'merge'
+            ? mergeBudgets(currentBudgetData(), pendingBudgetImport.budget)
+            : pendingBudgetImport.budget;
+        pendingBudgetImport = null;
+        
+        // Accounts from another login aren't in this registry; their cached names are matched up again
+        const withIds = entries => entries.map(entry => ({ ...entry, id: entry.id || generateId() }));
+        if (mode === 'replace') state.settings = incoming.settings;
+        BUDGET_SECTIONS.forEach(section => {
+            state[section] = withIds(incoming[section]).map(bucket => ({
+                ...bucket,
+                accountId: findBankAccount(bucket.accountId) ? bucket.accountId : null
+            }));
+        });
+        state.netWorth = {
+            assets: withIds(incoming.netWorth.assets),
+            liabilities: withIds(incoming.netWorth.liabilities)
+        };
+        migrateIncomeSources();
+        
+        if (mode === 'replace') {
+            await resetLedgerFromState();
+        } else {
+            await migrateLegacySpentToLedger();
+        }
+        await linkBankAccounts([...state.expenses, ...state.savings, ...state.debt]);
+        updateUI();
+        saveToCloud();
+    }
+
+    function setupBudgetImport() {
+        const modal = document.getElementById('budgetImportModal');
+        if (!modal) return;
+        
+        modal.querySelectorAll('input[name="budgetImportMode"]').forEach(radio => {
+            radio.addEventListener('change', renderBudgetImportPreview);
+        });
+        modal.querySelector('#confirmBudgetImportBtn').addEventListener('click', async () => {
+            modal.close();
+            await applyBudgetImport();
+        });
+        modal.querySelector('.close-modal').addEventListener('click', () => {
+            pendingBudgetImport = null;
+            modal.close();
+        });
     }
 
-    function loadDemoData() {
+    async function loadDemoData() {
         if (!confirm('Load demo data? This will replace your current budget.')) return;
         
         state.settings = {
@@ -2037,6 +6132,7 @@ const DEFAULT_BUCKET_COLORS = [
             incomeFrequency: 'Fortnightly',
             currency: 'AUD'
         };
+        state.settings.incomeSources = [createIncomeSource({ name: 'Salary', amount: 3200 })];
         
         state.expenses = [
             {
@@ -2117,11 +6213,13 @@ const DEFAULT_BUCKET_COLORS = [
             }
         ];
         
+        await resetLedgerFromState();
+        await linkBankAccounts([...state.expenses, ...state.savings, ...state.debt]);
         updateUI();
         saveToCloud();
     }
 
-    function loadSampleData() {
+    async function loadSampleData() {
         if (!confirm('Load realistic sample data for screenshots? This will replace your current budget.')) return;
         
         state.settings = {
@@ -2129,6 +6227,10 @@ const DEFAULT_BUCKET_COLORS = [
             incomeFrequency: 'Fortnightly', 
             currency: 'USD'
         };
+        state.settings.incomeSources = [
+            createIncomeSource({ name: 'Salary', amount: 4200 }),
+            createIncomeSource({ name: 'Freelance design', amount: 1300, frequency: 'Monthly' })
+        ];
         
         state.expenses = [
             {
@@ -2282,6 +6384,8 @@ const DEFAULT_BUCKET_COLORS = [
             }
         ];
         
+        await resetLedgerFromState();
+        await linkBankAccounts([...state.expenses, ...state.savings, ...state.debt]);
         updateUI();
         saveToCloud();
     }
@@ -2310,6 +6414,12 @@ const DEFAULT_BUCKET_COLORS = [
         if (loadSampleBtn) {
             loadSampleBtn.style.display = isLoggedIn ? '' : 'none';
         }
+        
+        // Statement import needs the cloud inbox
+        const importStatementBtn = document.getElementById('importStatementBtn');
+        if (importStatementBtn) {
+            importStatementBtn.style.display = isLoggedIn ? '' : 'none';
+        }
     }
 
     // Initialize user dropdown menu functionality
@@ -2364,6 +6474,12 @@ const DEFAULT_BUCKET_COLORS = [
         
         // Handle dropdown item clicks
         const accountItem = userDropdown.querySelector('[data-action="account"]');
+        const billsItem = userDropdown.querySelector('[data-action="bills"]');
+        const forecastItem = userDropdown.querySelector('[data-action="forecast"]');
+        const reportsItem = userDropdown.querySelector('[data-action="reports"]');
+        const netWorthItem = userDropdown.querySelector('[data-action="networth"]');
+        const rulesItem = userDropdown.querySelector('[data-action="rules"]');
+        const bankAccountsItem = userDropdown.querySelector('[data-action="bank-accounts"]');
         const signoutItem = userDropdown.querySelector('[data-action="signout"]');
         
         if (accountItem) {
@@ -2381,6 +6497,48 @@ const DEFAULT_BUCKET_COLORS = [
             });
         }
         
+        if (billsItem) {
+            billsItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                location.hash = '#bills';
+            });
+        }
+        
+        if (forecastItem) {
+            forecastItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                location.hash = '#forecast';
+            });
+        }
+        
+        if (reportsItem) {
+            reportsItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                location.hash = '#reports';
+            });
+        }
+        
+        if (netWorthItem) {
+            netWorthItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                location.hash = '#networth';
+            });
+        }
+        
+        if (rulesItem) {
+            rulesItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                openRulesModal();
+            });
+        }
+        
+        if (bankAccountsItem) {
+            bankAccountsItem.addEventListener('click', () => {
+                userDropdown.classList.remove('show');
+                openBankAccountsModal();
+            });
+        }
+        
         if (signoutItem) {
             signoutItem.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -2471,7 +6629,7 @@ const DEFAULT_BUCKET_COLORS = [
         // Bootstrap user on first sign-in
         if (currentUser) {
             try {
-                await bootstrapUser(currentUser.uid, currentUser.email);
+                await withTimeout(bootstrapUser(currentUser.uid, currentUser.email), SYNC_TIMEOUT_MS, 'Firestore did not respond');
             } catch (error) {
                 console.log('User bootstrap completed or failed:', error.message);
             }
@@ -2502,6 +6660,14 @@ const DEFAULT_BUCKET_COLORS = [
             }
         }
         
+        // A tab left open across a pay day should roll the period over when it is next viewed
+        document.addEventListener('visibilitychange', async () => {
+            if (document.hidden || !currentUser || workingOffline) return;
+            if (await runPeriodRollover()) {
+                updateUI();
+            }
+        });
+        
         // Update button visibility based on auth state
         updateButtonVisibility();
         
@@ -2515,6 +6681,15 @@ const DEFAULT_BUCKET_COLORS = [
 
         // Initialize user dropdown menu
         initializeUserDropdown();
+        setupBudgetSwitcher();
+        setupBillsView();
+        setupPaydayTransfers();
+        setupForecastView();
+        setupReportsView();
+        setupNetWorthView();
+        setupDebtPlanner();
+        setupSyncStatus();
+        setupBudgetConflicts();
         
         // Initialize Tippy.js tooltips
         initializeTooltips();
@@ -38,13 +38,22 @@ function validateString(value, fallback = '') {
     return String(value).trim();
 }
 
+function validateIsoDate(value) {
+    const str = validateString(value);
+    return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+}
+
+const ITEM_FREQUENCIES = ['Weekly', 'Fortnightly', 'Monthly', 'Quarterly', 'Yearly'];
+
 function validateBudgetItem(item) {
     if (!item || typeof item !== 'object') {
         return {
             id: generateId(),
             name: '',
             amount: 0,
-            include: false
+            include: false,
+            frequency: null,
+            nextDueDate: null
         };
     }
     
@@ -52,15 +61,120 @@ function validateBudgetItem(item) {
         id: validateString(item.id) || generateId(),
         name: validateString(item.name),
         amount: validateNumber(item.amount),
-        include: Boolean(item.include)
+        include: Boolean(item.include),
+        // null means the amount is per pay period (the income frequency)
+        frequency: ITEM_FREQUENCIES.includes(item.frequency) ? item.frequency : null,
+        nextDueDate: validateIsoDate(item.nextDueDate)
     });
 }
 
+function validateIncomeSource(source) {
+    if (!source || typeof source !== 'object') {
+        return {
+            id: generateId(),
+            name: '',
+            amount: 0,
+            frequency: 'Fortnightly',
+            nextPayDate: null,
+            isGross: false
+        };
+    }
+    
+    return scrubUndefined({
+        id: validateString(source.id) || generateId(),
+        name: validateString(source.name),
+        amount: validateNumber(source.amount),
+        frequency: ITEM_FREQUENCIES.includes(source.frequency) ? source.frequency : 'Fortnightly',
+        nextPayDate: validateIsoDate(source.nextPayDate),
+        // Entered before tax; still counted, but flagged in the totals
+        isGross: Boolean(source.isGross)
+    });
+}
+
+const DEBT_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+function validateDebtPlan(plan) {
+    const source = plan && typeof plan === 'object' ? plan : {};
+    return {
+        strategy: DEBT_STRATEGIES.includes(source.strategy) ? source.strategy : 'avalanche',
+        extraMonthlyCents: Math.round(validateNumber(source.extraMonthlyCents)),
+        // Debt bucket ids, first paid first
+        customOrder: Array.isArray(source.customOrder)
+            ? source.customOrder.slice(0, 50).map(id => validateString(id)).filter(Boolean)
+            : []
+    };
+}
+
+// One entry in a savings goal's old contribution log, kept until it moves into the ledger
+function validateContribution(entry) {
+    const source = entry && typeof entry === 'object' ? entry : {};
+    return {
+        id: validateString(source.id) || generateId(),
+        date: validateIsoDate(source.date),
+        // Signed: withdrawals are negative
+        amountCents: Math.round(parseFloat(source.amountCents)) || 0,
+        note: validateString(source.note).slice(0, 200)
+    };
+}
+
+const GOAL_MILESTONES = [25, 50, 75, 100];
+
+// One closed budget period on a tracked debt
+function validateDebtHistoryEntry(entry) {
+    const source = entry && typeof entry === 'object' ? entry : {};
+    return {
+        periodStart: validateIsoDate(source.periodStart),
+        paymentCents: Math.round(validateNumber(source.paymentCents)),
+        interestCents: Math.round(validateNumber(source.interestCents)),
+        // Signed: negative when the payments didn't cover the interest
+        principalCents: Math.round(parseFloat(source.principalCents)) || 0,
+        balanceCents: Math.round(validateNumber(source.balanceCents))
+    };
+}
+
+// An asset or liability outside the budget, counted towards net worth
+function validateHolding(holding) {
+    const source = holding && typeof holding === 'object' ? holding : {};
+    return {
+        id: validateString(source.id) || generateId(),
+        name: validateString(source.name).slice(0, 100),
+        valueCents: Math.round(validateNumber(source.valueCents))
+    };
+}
+
+function validateNetWorth(netWorth) {
+    const source = netWorth && typeof netWorth === 'object' ? netWorth : {};
+    const holdings = list => Array.isArray(list) ? list.slice(0, 50).map(validateHolding) : [];
+    return {
+        assets: holdings(source.assets),
+        liabilities: holdings(source.liabilities)
+    };
+}
+
+function validateAccountBalance(entry) {
+    const source = entry && typeof entry === 'object' ? entry : {};
+    return {
+        account: validateString(source.account),
+        // Signed: an overdrawn account is negative
+        balanceCents: Math.round(parseFloat(source.balanceCents)) || 0
+    };
+}
+
+// Payday transfers ticked off; only counts for the pay period it was saved in
+function validateTransferChecklist(checklist) {
+    const source = checklist && typeof checklist === 'object' ? checklist : {};
+    return {
+        periodStart: validateIsoDate(source.periodStart),
+        done: Array.isArray(source.done) ? source.done.slice(0, 50).map(account => validateString(account)) : []
+    };
+}
+
 function validateBucket(bucket) {
     if (!bucket || typeof bucket !== 'object') {
         return {
             id: generateId(),
             name: '',
+            accountId: null,
             bankAccount: '',
             include: false,
             color: '',
@@ -71,6 +185,9 @@ function validateBucket(bucket) {
     const validated = {
         id: validateString(bucket.id) || generateId(),
         name: validateString(bucket.name),
+        // Registry account the bucket is paid from
+        accountId: validateString(bucket.accountId) || null,
+        // Cached name of that account, kept for older clients
         bankAccount: validateString(bucket.bankAccount),
         include: Boolean(bucket.include),
         color: validateString(bucket.color),
@@ -79,6 +196,9 @@ function validateBucket(bucket) {
         notes: validateString(bucket.notes) || '',
         overspendThresholdPct: validateNumber(bucket.overspendThresholdPct) || 80,
         spentThisPeriodCents: validateNumber(bucket.spentThisPeriodCents) || 0,
+        rolloverPolicy: ['reset', 'surplus', 'deficit'].includes(bucket.rolloverPolicy) ? bucket.rolloverPolicy : 'reset',
+        // Signed: a carried deficit is negative
+        carryOverCents: Math.round(parseFloat(bucket.carryOverCents)) || 0,
         items: []
     };
 
@@ -87,8 +207,24 @@ function validateBucket(bucket) {
         validated.goal = {
             amountCents: validateNumber(bucket.goal.amountCents) || 0,
             targetDate: validateString(bucket.goal.targetDate) || null,
+            // Cached total of the opening balance and the bucket's ledger
             savedSoFarCents: validateNumber(bucket.goal.savedSoFarCents) || 0,
+            // Saved before the ledger started; older goals keep their saved amount
+            openingSavedCents: Number.isFinite(parseFloat(bucket.goal.openingSavedCents))
+                ? Math.round(validateNumber(bucket.goal.openingSavedCents))
+                : validateNumber(bucket.goal.savedSoFarCents) || 0,
+            // Legacy: contributions are ledger entries now, and this log moves there on open
+            contributions: Array.isArray(bucket.goal.contributions)
+                ? bucket.goal.contributions.slice(-500).map(validateContribution).filter(entry => entry.date && entry.amountCents)
+                : [],
+            milestones: Array.isArray(bucket.goal.milestones)
+                ? bucket.goal.milestones
+                    .map(milestone => ({ pct: Number(milestone?.pct), reachedOn: validateIsoDate(milestone?.reachedOn) }))
+                    .filter(milestone => GOAL_MILESTONES.includes(milestone.pct) && milestone.reachedOn)
+                : [],
             contributionPerPeriodCents: validateNumber(bucket.goal.contributionPerPeriodCents) || 0,
+            // Effective annual interest or expected return, compounded each budget period
+            ratePct: Math.min(validateNumber(bucket.goal.ratePct), 100),
             autoCalc: Boolean(bucket.goal.autoCalc)
         };
     }
@@ -97,7 +233,17 @@ function validateBucket(bucket) {
     if (bucket.debt && typeof bucket.debt === 'object') {
         validated.debt = {
             aprPct: validateNumber(bucket.debt.aprPct) || 0,
-            minPaymentCents: validateNumber(bucket.debt.minPaymentCents) || 0
+            minPaymentCents: validateNumber(bucket.debt.minPaymentCents) || 0,
+            // Balance tracking starts when an opening balance is entered; null keeps
+            // the balance as the sum of the bucket's items
+            openingBalanceCents: Number.isFinite(parseFloat(bucket.debt.openingBalanceCents))
+                ? Math.round(validateNumber(bucket.debt.openingBalanceCents))
+                : null,
+            openingDate: validateIsoDate(bucket.debt.openingDate),
+            // Ten years of weekly periods
+            history: Array.isArray(bucket.debt.history)
+                ? bucket.debt.history.slice(-520).map(validateDebtHistoryEntry).filter(entry => entry.periodStart)
+                : []
         };
     }
 
@@ -129,7 +275,8 @@ function validateBudgetData(data) {
             },
             expenses: [],
             savings: [],
-            debt: []
+            debt: [],
+            netWorth: validateNetWorth()
         };
     }
     
@@ -143,11 +290,24 @@ function validateBudgetData(data) {
             incomeFrequency: validFrequencies.includes(settings.incomeFrequency) 
                 ? settings.incomeFrequency 
                 : 'Fortnightly',
-            currency: validateString(settings.currency, 'AUD')
+            currency: validateString(settings.currency, 'AUD'),
+            periodStartDate: validateIsoDate(settings.periodStartDate),
+            currentPeriodStart: validateIsoDate(settings.currentPeriodStart),
+            incomeSources: Array.isArray(settings.incomeSources)
+                ? settings.incomeSources.slice(0, 20).map(validateIncomeSource)
+                : [],
+            debtPlan: validateDebtPlan(settings.debtPlan),
+            // Today's balance of the account pay lands in, for the cash-flow forecast (account '').
+            // Named accounts keep their balance in the account registry.
+            accountBalances: Array.isArray(settings.accountBalances)
+                ? settings.accountBalances.slice(0, 50).map(validateAccountBalance)
+                : [],
+            transferChecklist: validateTransferChecklist(settings.transferChecklist)
         },
         expenses: [],
         savings: [],
-        debt: []
+        debt: [],
+        netWorth: validateNetWorth(data.netWorth)
     };
 
     // Validate expenses array
@@ -293,7 +453,7 @@ async function updateUserProfile(uid, updates) {
         const userRef = firestoreHelpers.doc('users', uid);
         
         // Validate and sanitize updates
-        const allowedFields = ['displayName', 'defaultFrequency', 'currency'];
+        const allowedFields = ['displayName', 'defaultFrequency', 'currency', 'lastBudgetId'];
         const validUpdates = {};
         
         allowedFields.forEach(field => {
@@ -311,6 +471,9 @@ async function updateUserProfile(uid, updates) {
                     case 'currency':
                         validUpdates[field] = validateString(updates[field], 'AUD');
                         break;
+                    case 'lastBudgetId':
+                        validUpdates[field] = validateString(updates[field]) || null;
+                        break;
                 }
             }
         });
@@ -360,16 +523,7 @@ async function listBudgets(uid) {
         
         console.log(`📊 Found ${snapshot.docs.length} budgets`);
         
-        const budgets = snapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                ...data,
-                // Ensure timestamps are handled properly
-                createdAt: data.createdAt?.toDate?.() || data.createdAt,
-                updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
-            };
-        });
+        const budgets = snapshot.docs.map(budgetFromDoc);
         
         // Sort in memory if we couldn't do it in the query
         budgets.sort((a, b) => {
@@ -401,6 +555,7 @@ async function createBudget(uid, budgetData) {
         
         const budgetWithTimestamps = scrubUndefined({
             ...validated,
+            revision: 0,
             createdAt: now,
             updatedAt: now
         });
@@ -413,6 +568,7 @@ async function createBudget(uid, budgetData) {
         return {
             id: docRef.id,
             ...validated,
+            revision: 0,
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -422,6 +578,17 @@ async function createBudget(uid, budgetData) {
     }
 }
 
+function budgetFromDoc(budgetDoc) {
+    const data = budgetDoc.data();
+    return {
+        id: budgetDoc.id,
+        ...data,
+        // Ensure timestamps are handled properly
+        createdAt: data.createdAt?.toDate?.() || data.createdAt,
+        updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+    };
+}
+
 async function readBudget(uid, budgetId) {
     await validateUserAccess(uid);
     
@@ -439,14 +606,7 @@ async function readBudget(uid, budgetId) {
             throw new Error('Budget not found');
         }
         
-        const data = budgetDoc.data();
-        const budget = {
-            id: budgetDoc.id,
-            ...data,
-            // Ensure timestamps are handled properly
-            createdAt: data.createdAt?.toDate?.() || data.createdAt,
-            updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
-        };
+        const budget = budgetFromDoc(budgetDoc);
         
         console.log('✅ Budget retrieved successfully');
         return budget;
@@ -456,7 +616,21 @@ async function readBudget(uid, budgetId) {
     }
 }
 
-async function updateBudget(uid, budgetId, updates) {
+// Thrown by updateBudget when the budget's revision isn't the one expected;
+// error.budget is the version now saved
+const BUDGET_CONFLICT = 'budget/conflict';
+
+function budgetConflict(budget) {
+    const error = new Error('This budget was changed on another device');
+    error.code = BUDGET_CONFLICT;
+    error.budget = budget;
+    return error;
+}
+
+// Every save bumps the budget's revision. Pass expectedRevision (the revision
+// the edits were made against) to save only if nobody else has saved since;
+// writer is stored as updatedBy so a tab can recognise its own saves.
+async function updateBudget(uid, budgetId, updates, { expectedRevision, writer } = {}) {
     await validateUserAccess(uid);
     
     if (!budgetId || typeof budgetId !== 'string') {
@@ -475,19 +649,79 @@ async function updateBudget(uid, budgetId, updates) {
         
         const updateData = scrubUndefined({
             ...validated,
+            updatedBy: writer || null,
             updatedAt: firestoreHelpers.serverTimestamp()
         });
         
-        await firestoreHelpers.updateDoc(budgetRef, updateData);
+        const saved = await firestoreHelpers.runTransaction(async transaction => {
+            const budgetDoc = await transaction.get(budgetRef);
+            if (!budgetDoc.exists()) {
+                throw new Error('Budget not found');
+            }
+            
+            const revision = budgetDoc.data().revision || 0;
+            if (expectedRevision !== undefined && revision !== expectedRevision) {
+                throw budgetConflict(budgetFromDoc(budgetDoc));
+            }
+            
+            transaction.update(budgetRef, { ...updateData, revision: revision + 1 });
+            return { ...budgetFromDoc(budgetDoc), ...validated, updatedBy: writer || null, revision: revision + 1 };
+        });
         
         console.log('✅ Budget updated successfully');
-        return await readBudget(uid, budgetId);
+        // Exactly what was written, so it can serve as the base of the next merge
+        return { ...saved, updatedAt: new Date() };
     } catch (error) {
+        if (error.code === BUDGET_CONFLICT) {
+            console.warn('⚠️ Budget changed elsewhere since revision', expectedRevision);
+            throw error;
+        }
         console.error('❌ Error updating budget:', error);
         throw new Error(`Failed to update budget: ${getErrorMessage(error)}`);
     }
 }
 
+// Calls onChange with { budget, pending } on every change to the budget
+// document, starting with its current contents. pending is true while the
+// change is this tab's own write that the server hasn't confirmed yet.
+// Resolves to a function that stops listening.
+async function watchBudget(uid, budgetId, onChange, onError) {
+    await validateUserAccess(uid);
+    
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+    
+    console.log('👂 Watching budget:', budgetId, 'for user:', uid);
+    
+    const budgetRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId);
+    return firestoreHelpers.onSnapshot(budgetRef, budgetDoc => {
+        if (!budgetDoc.exists()) return;
+        
+        onChange({
+            budget: budgetFromDoc(budgetDoc),
+            pending: budgetDoc.metadata.hasPendingWrites
+        });
+    }, error => {
+        console.error('❌ Error watching budget:', error);
+        onError?.(new Error(`Failed to watch budget: ${getErrorMessage(error)}`));
+    });
+}
+
+// Subcollections stored under each budget document
+const BUDGET_SUBCOLLECTIONS = ['transactions', 'periods', 'inbox'];
+
+async function deleteCollectionDocs(collectionRef) {
+    const snapshot = await firestoreHelpers.getDocs(collectionRef);
+    
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 400) {
+        const batch = firestoreHelpers.writeBatch();
+        snapshot.docs.slice(i, i + 400).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+}
+
 async function deleteBudget(uid, budgetId) {
     await validateUserAccess(uid);
     
@@ -506,6 +740,11 @@ async function deleteBudget(uid, budgetId) {
             throw new Error('Budget not found');
         }
         
+        // Firestore keeps subcollections of a deleted document, so clear them first
+        for (const subcollection of BUDGET_SUBCOLLECTIONS) {
+            await deleteCollectionDocs(firestoreHelpers.collection('users', uid, 'budgets', budgetId, subcollection));
+        }
+        
         await firestoreHelpers.deleteDoc(budgetRef);
         
         console.log('✅ Budget deleted successfully');
@@ -515,81 +754,705 @@ async function deleteBudget(uid, budgetId) {
     }
 }
 
-// Auto-save functionality with improved error handling
-let autoSaveTimeout;
-let autoSaveInProgress = false;
-
-function scheduleAutoSave(uid, budgetId, budgetData, delay = 2000) {
-    if (!uid || !budgetId || !budgetData) {
-        console.warn('⚠️ Auto-save skipped: missing required parameters');
-        return;
+async function renameBudget(uid, budgetId, name) {
+    await validateUserAccess(uid);
+    
+    const trimmed = validateString(name).slice(0, 60);
+    if (!budgetId || !trimmed) {
+        throw new Error('Valid budget ID and name are required');
     }
     
-    clearTimeout(autoSaveTimeout);
-    autoSaveTimeout = setTimeout(async () => {
-        if (autoSaveInProgress) {
-            console.log('🔄 Auto-save already in progress, skipping');
-            return;
-        }
+    try {
+        console.log('✏️ Renaming budget:', budgetId);
         
-        autoSaveInProgress = true;
-        try {
-            console.log('💾 Auto-saving budget...');
-            await updateBudget(uid, budgetId, budgetData);
-            console.log('✅ Auto-save completed');
-        } catch (error) {
-            console.error('❌ Auto-save failed:', error);
-            // Fire custom event for UI to handle
-            window.dispatchEvent(new CustomEvent('autoSaveFailed', {
-                detail: { error: getErrorMessage(error) }
-            }));
-        } finally {
-            autoSaveInProgress = false;
-        }
-    }, delay);
+        // Only touch the name; updateBudget would rewrite the whole document
+        const budgetRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId);
+        await firestoreHelpers.updateDoc(budgetRef, {
+            name: trimmed,
+            revision: firestoreHelpers.increment(1),
+            updatedBy: null,
+            updatedAt: firestoreHelpers.serverTimestamp()
+        });
+        
+        console.log('✅ Budget renamed successfully');
+        return trimmed;
+    } catch (error) {
+        console.error('❌ Error renaming budget:', error);
+        throw new Error(`Failed to rename budget: ${getErrorMessage(error)}`);
+    }
 }
 
-// Batch operations for better performance
-async function batchUpdateBudget(uid, budgetId, operations) {
+async function duplicateBudget(uid, budgetId, name) {
     await validateUserAccess(uid);
     
     if (!budgetId || typeof budgetId !== 'string') {
         throw new Error('Valid budget ID is required');
     }
     
-    if (!Array.isArray(operations) || operations.length === 0) {
-        throw new Error('Operations array is required');
-    }
-    
     try {
-        console.log('📦 Starting batch update for budget:', budgetId);
+        console.log('📄 Duplicating budget:', budgetId);
         
-        const batch = firestoreHelpers.writeBatch();
-        const budgetRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId);
+        const source = await readBudget(uid, budgetId);
         
-        // Apply all operations to the batch
-        operations.forEach((operation, index) => {
-            if (!operation || typeof operation !== 'object') {
-                console.warn(`⚠️ Skipping invalid operation at index ${index}`);
-                return;
-            }
-            
-            const scrubbedOperation = scrubUndefined(operation);
-            batch.update(budgetRef, scrubbedOperation);
+        // Copy the plan only; the ledger, inbox and period history stay with the original
+        const resetBucket = bucket => ({ ...bucket, spentThisPeriodCents: 0, carryOverCents: 0 });
+        const copy = await createBudget(uid, {
+            ...source,
+            name: validateString(name) || `${source.name} (copy)`,
+            settings: { ...source.settings, currentPeriodStart: null },
+            expenses: (source.expenses || []).map(resetBucket),
+            savings: (source.savings || []).map(resetBucket),
+            debt: (source.debt || []).map(resetBucket)
         });
         
-        // Add timestamp
-        batch.update(budgetRef, {
+        console.log('✅ Budget duplicated with ID:', copy.id);
+        return copy;
+    } catch (error) {
+        console.error('❌ Error duplicating budget:', error);
+        throw new Error(`Failed to duplicate budget: ${getErrorMessage(error)}`);
+    }
+}
+
+// Transaction ledger functions (users/{uid}/budgets/{budgetId}/transactions)
+function validateTransaction(tx) {
+    if (!tx || typeof tx !== 'object') {
+        throw new Error('Transaction data is required');
+    }
+
+    const bucketId = validateString(tx.bucketId);
+    if (!bucketId) {
+        throw new Error('Transaction must belong to a bucket');
+    }
+
+    const date = validateIsoDate(tx.date);
+    if (!date) {
+        throw new Error('Transaction date must be in YYYY-MM-DD format');
+    }
+
+    // Amounts may be negative (refunds), so validateNumber's floor does not apply
+    const amountCents = Math.round(parseFloat(tx.amountCents));
+    if (!isFinite(amountCents)) {
+        throw new Error('Transaction amount must be a number');
+    }
+
+    return scrubUndefined({
+        bucketId,
+        itemId: validateString(tx.itemId) || null,
+        date,
+        payee: validateString(tx.payee).slice(0, 120),
+        amountCents,
+        note: validateString(tx.note).slice(0, 500),
+        externalId: validateString(tx.externalId).slice(0, 200) || null
+    });
+}
+
+function transactionFromDoc(doc) {
+    const data = doc.data();
+    const createdAt = data.createdAt?.toDate?.() || data.createdAt;
+    return {
+        id: doc.id,
+        ...data,
+        createdAt,
+        createdAtMs: createdAt ? new Date(createdAt).getTime() : 0,
+        updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+    };
+}
+
+async function listTransactions(uid, budgetId) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+
+    try {
+        console.log('📒 Listing transactions for budget:', budgetId);
+
+        const transactionsCollection = firestoreHelpers.collection('users', uid, 'budgets', budgetId, 'transactions');
+        const snapshot = await firestoreHelpers.getDocs(
+            firestoreHelpers.query(transactionsCollection, firestoreHelpers.orderBy('date', 'desc'))
+        );
+
+        console.log(`📊 Found ${snapshot.docs.length} transactions`);
+        return snapshot.docs.map(transactionFromDoc);
+    } catch (error) {
+        console.error('❌ Error listing transactions:', error);
+        throw new Error(`Failed to list transactions: ${getErrorMessage(error)}`);
+    }
+}
+
+async function addTransaction(uid, budgetId, tx) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+
+    try {
+        console.log('➕ Adding transaction to budget:', budgetId);
+
+        const validated = validateTransaction(tx);
+        const now = firestoreHelpers.serverTimestamp();
+        const data = { ...validated, createdAt: now, updatedAt: now };
+        
+        // An ID chosen on the device makes a retried write overwrite instead of duplicating
+        const transactionId = validateString(tx.id);
+        let docRef;
+        if (transactionId) {
+            docRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'transactions', transactionId);
+            await firestoreHelpers.setDoc(docRef, data);
+        } else {
+            const transactionsCollection = firestoreHelpers.collection('users', uid, 'budgets', budgetId, 'transactions');
+            docRef = await firestoreHelpers.addDoc(transactionsCollection, data);
+        }
+
+        console.log('✅ Transaction added with ID:', docRef.id);
+        return {
+            id: docRef.id,
+            ...validated,
+            createdAt: new Date(),
+            createdAtMs: Date.now(),
+            updatedAt: new Date()
+        };
+    } catch (error) {
+        console.error('❌ Error adding transaction:', error);
+        throw new Error(`Failed to add transaction: ${getErrorMessage(error)}`);
+    }
+}
+
+async function updateTransaction(uid, budgetId, transactionId, tx) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || !transactionId) {
+        throw new Error('Valid budget and transaction IDs are required');
+    }
+
+    try {
+        console.log('🔄 Updating transaction:', transactionId);
+
+        const validated = validateTransaction(tx);
+        const txRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'transactions', transactionId);
+        await firestoreHelpers.updateDoc(txRef, {
+            ...validated,
             updatedAt: firestoreHelpers.serverTimestamp()
         });
-        
+
+        console.log('✅ Transaction updated successfully');
+        return { id: transactionId, ...validated };
+    } catch (error) {
+        console.error('❌ Error updating transaction:', error);
+        throw new Error(`Failed to update transaction: ${getErrorMessage(error)}`);
+    }
+}
+
+async function deleteTransaction(uid, budgetId, transactionId) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || !transactionId) {
+        throw new Error('Valid budget and transaction IDs are required');
+    }
+
+    try {
+        console.log('🗑️ Deleting transaction:', transactionId);
+
+        const txRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'transactions', transactionId);
+        await firestoreHelpers.deleteDoc(txRef);
+
+        console.log('✅ Transaction deleted successfully');
+    } catch (error) {
+        console.error('❌ Error deleting transaction:', error);
+        throw new Error(`Failed to delete transaction: ${getErrorMessage(error)}`);
+    }
+}
+
+// Period snapshots (users/{uid}/budgets/{budgetId}/periods/{periodStart})
+async function savePeriodSnapshot(uid, budgetId, snapshot) {
+    await validateUserAccess(uid);
+
+    const start = validateIsoDate(snapshot?.start);
+    if (!budgetId || !start) {
+        throw new Error('Valid budget ID and period start are required');
+    }
+
+    try {
+        console.log('📸 Saving period snapshot:', start);
+
+        // Keyed by start date so re-closing a period overwrites instead of duplicating
+        const periodRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'periods', start);
+        await firestoreHelpers.setDoc(periodRef, scrubUndefined({
+            ...snapshot,
+            start,
+            closedAt: firestoreHelpers.serverTimestamp()
+        }));
+
+        console.log('✅ Period snapshot saved');
+    } catch (error) {
+        console.error('❌ Error saving period snapshot:', error);
+        throw new Error(`Failed to save period snapshot: ${getErrorMessage(error)}`);
+    }
+}
+
+async function listPeriodSnapshots(uid, budgetId, maxPeriods = 26) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+
+    try {
+        console.log('📚 Listing period snapshots for budget:', budgetId);
+
+        const periodsCollection = firestoreHelpers.collection('users', uid, 'budgets', budgetId, 'periods');
+        const snapshot = await firestoreHelpers.getDocs(firestoreHelpers.query(
+            periodsCollection,
+            firestoreHelpers.orderBy('start', 'desc'),
+            firestoreHelpers.limit(maxPeriods)
+        ));
+
+        console.log(`📊 Found ${snapshot.docs.length} period snapshots`);
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                ...data,
+                closedAt: data.closedAt?.toDate?.() || data.closedAt
+            };
+        });
+    } catch (error) {
+        console.error('❌ Error listing period snapshots:', error);
+        throw new Error(`Failed to list period snapshots: ${getErrorMessage(error)}`);
+    }
+}
+
+// Import inbox (users/{uid}/budgets/{budgetId}/inbox)
+// Imported statement lines wait here until they are assigned to a bucket.
+// Processed lines are kept, with their status, so re-imports can be deduplicated.
+const INBOX_STATUSES = ['pending', 'assigned', 'dismissed'];
+
+function validateInboxItem(item) {
+    const date = validateIsoDate(item?.date);
+    if (!date) {
+        throw new Error('Imported line date must be in YYYY-MM-DD format');
+    }
+
+    const amountCents = Math.round(parseFloat(item.amountCents));
+    if (!isFinite(amountCents)) {
+        throw new Error('Imported line amount must be a number');
+    }
+
+    const fingerprint = validateString(item.fingerprint);
+    if (!fingerprint) {
+        throw new Error('Imported line fingerprint is required');
+    }
+
+    return scrubUndefined({
+        date,
+        payee: validateString(item.payee).slice(0, 120),
+        amountCents,
+        account: validateString(item.account).slice(0, 60),
+        fingerprint: fingerprint.slice(0, 300),
+        externalId: validateString(item.externalId).slice(0, 200) || null,
+        source: validateString(item.source, 'csv'),
+        importBatchId: validateString(item.importBatchId),
+        status: INBOX_STATUSES.includes(item.status) ? item.status : 'pending'
+    });
+}
+
+async function listInboxItems(uid, budgetId) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+
+    try {
+        console.log('📥 Listing import inbox for budget:', budgetId);
+
+        const inboxCollection = firestoreHelpers.collection('users', uid, 'budgets', budgetId, 'inbox');
+        const snapshot = await firestoreHelpers.getDocs(
+            firestoreHelpers.query(inboxCollection, firestoreHelpers.orderBy('date', 'desc'))
+        );
+
+        console.log(`📊 Found ${snapshot.docs.length} imported lines`);
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                ...data,
+                importedAt: data.importedAt?.toDate?.() || data.importedAt
+            };
+        });
+    } catch (error) {
+        console.error('❌ Error listing import inbox:', error);
+        throw new Error(`Failed to list import inbox: ${getErrorMessage(error)}`);
+    }
+}
+
+async function addInboxItems(uid, budgetId, items) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || typeof budgetId !== 'string') {
+        throw new Error('Valid budget ID is required');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return [];
+    }
+
+    try {
+        console.log(`📥 Adding ${items.length} imported lines to budget:`, budgetId);
+
+        const validated = items.map(item => ({ id: generateId(), ...validateInboxItem(item) }));
+        const importedAt = firestoreHelpers.serverTimestamp();
+
+        // Firestore batches are capped at 500 writes
+        for (let i = 0; i < validated.length; i += 400) {
+            const batch = firestoreHelpers.writeBatch();
+            validated.slice(i, i + 400).forEach(({ id, ...data }) => {
+                const itemRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'inbox', id);
+                batch.set(itemRef, { ...data, importedAt });
+            });
+            await batch.commit();
+        }
+
+        console.log('✅ Imported lines added to inbox');
+        return validated.map(item => ({ ...item, importedAt: new Date() }));
+    } catch (error) {
+        console.error('❌ Error adding imported lines:', error);
+        throw new Error(`Failed to add imported lines: ${getErrorMessage(error)}`);
+    }
+}
+
+async function updateInboxItem(uid, budgetId, itemId, updates) {
+    await validateUserAccess(uid);
+
+    if (!budgetId || !itemId) {
+        throw new Error('Valid budget and inbox item IDs are required');
+    }
+
+    if (updates?.status && !INBOX_STATUSES.includes(updates.status)) {
+        throw new Error(`Inbox status must be one of: ${INBOX_STATUSES.join(', ')}`);
+    }
+
+    try {
+        console.log('🔄 Updating inbox item:', itemId);
+
+        const itemRef = firestoreHelpers.doc('users', uid, 'budgets', budgetId, 'inbox', itemId);
+        await firestoreHelpers.updateDoc(itemRef, scrubUndefined({
+            status: updates.status,
+            bucketId: updates.bucketId,
+            transactionId: updates.transactionId,
+            updatedAt: firestoreHelpers.serverTimestamp()
+        }));
+
+        console.log('✅ Inbox item updated');
+    } catch (error) {
+        console.error('❌ Error updating inbox item:', error);
+        throw new Error(`Failed to update inbox item: ${getErrorMessage(error)}`);
+    }
+}
+
+// Statement column mapping presets (users/{uid}/importPresets/{presetId})
+// Stored per user rather than per budget since a bank's export format is the same everywhere.
+function validateImportPreset(preset) {
+    const name = validateString(preset?.name).slice(0, 60);
+    if (!name) {
+        throw new Error('Preset name is required');
+    }
+
+    const mapping = preset.mapping || {};
+    const column = value => (Number.isInteger(value) && value >= 0 ? value : null);
+
+    return scrubUndefined({
+        name,
+        mapping: {
+            hasHeader: !!mapping.hasHeader,
+            dateFormat: mapping.dateFormat === 'MDY' ? 'MDY' : 'DMY',
+            dateColumn: column(mapping.dateColumn),
+            descriptionColumn: column(mapping.descriptionColumn),
+            amountMode: mapping.amountMode === 'split' ? 'split' : 'single',
+            amountColumn: column(mapping.amountColumn),
+            debitColumn: column(mapping.debitColumn),
+            creditColumn: column(mapping.creditColumn),
+            invertAmounts: !!mapping.invertAmounts,
+            account: validateString(mapping.account).slice(0, 60)
+        }
+    });
+}
+
+async function listImportPresets(uid) {
+    await validateUserAccess(uid);
+
+    try {
+        console.log('🗂️ Listing import presets for user:', uid);
+
+        const presetsCollection = firestoreHelpers.collection('users', uid, 'importPresets');
+        const snapshot = await firestoreHelpers.getDocs(
+            firestoreHelpers.query(presetsCollection, firestoreHelpers.orderBy('name'))
+        );
+
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('❌ Error listing import presets:', error);
+        throw new Error(`Failed to list import presets: ${getErrorMessage(error)}`);
+    }
+}
+
+async function saveImportPreset(uid, preset) {
+    await validateUserAccess(uid);
+
+    try {
+        const validated = validateImportPreset(preset);
+        const presetId = preset.id || generateId();
+        console.log('💾 Saving import preset:', validated.name);
+
+        const presetRef = firestoreHelpers.doc('users', uid, 'importPresets', presetId);
+        await firestoreHelpers.setDoc(presetRef, {
+            ...validated,
+            updatedAt: firestoreHelpers.serverTimestamp()
+        });
+
+        console.log('✅ Import preset saved');
+        return { id: presetId, ...validated };
+    } catch (error) {
+        console.error('❌ Error saving import preset:', error);
+        throw new Error(`Failed to save import preset: ${getErrorMessage(error)}`);
+    }
+}
+
+async function deleteImportPreset(uid, presetId) {
+    await validateUserAccess(uid);
+
+    if (!presetId) {
+        throw new Error('Valid preset ID is required');
+    }
+
+    try {
+        console.log('🗑️ Deleting import preset:', presetId);
+
+        await firestoreHelpers.deleteDoc(firestoreHelpers.doc('users', uid, 'importPresets', presetId));
+
+        console.log('✅ Import preset deleted');
+    } catch (error) {
+        console.error('❌ Error deleting import preset:', error);
+        throw new Error(`Failed to delete import preset: ${getErrorMessage(error)}`);
+    }
+}
+
+// Categorisation rules (users/{uid}/rules/{ruleId})
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('Rule data is required');
+    }
+
+    const bucketId = validateString(rule.bucketId);
+    if (!bucketId) {
+        throw new Error('Rule must assign to a bucket');
+    }
+
+    const payeeMatch = rule.payeeMatch === 'regex' ? 'regex' : 'contains';
+    const payeeValue = validateString(rule.payeeValue).slice(0, 200);
+    if (payeeMatch === 'regex' && payeeValue) {
+        try {
+            new RegExp(payeeValue, 'i');
+        } catch (error) {
+            throw new Error('Payee pattern is not a valid regular expression');
+        }
+    }
+
+    const optionalCents = value => (value === null || value === undefined || value === '' || !isFinite(value)
+        ? null
+        : Math.round(value));
+    const minAmountCents = optionalCents(rule.minAmountCents);
+    const maxAmountCents = optionalCents(rule.maxAmountCents);
+    if (minAmountCents !== null && maxAmountCents !== null && minAmountCents > maxAmountCents) {
+        throw new Error('Minimum amount cannot be more than the maximum');
+    }
+
+    const account = validateString(rule.account).slice(0, 60);
+    if (!payeeValue && minAmountCents === null && maxAmountCents === null && !account) {
+        throw new Error('Rule needs at least one condition');
+    }
+
+    return {
+        payeeMatch,
+        payeeValue,
+        minAmountCents,
+        maxAmountCents,
+        account,
+        bucketId,
+        itemId: validateString(rule.itemId) || null,
+        priority: Math.round(parseFloat(rule.priority)) || 0,
+        enabled: rule.enabled !== false
+    };
+}
+
+async function listRules(uid) {
+    await validateUserAccess(uid);
+
+    try {
+        console.log('🧭 Listing categorisation rules for user:', uid);
+
+        const rulesCollection = firestoreHelpers.collection('users', uid, 'rules');
+        const snapshot = await firestoreHelpers.getDocs(
+            firestoreHelpers.query(rulesCollection, firestoreHelpers.orderBy('priority'))
+        );
+
+        console.log(`📊 Found ${snapshot.docs.length} rules`);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('❌ Error listing rules:', error);
+        throw new Error(`Failed to list rules: ${getErrorMessage(error)}`);
+    }
+}
+
+async function saveRule(uid, rule) {
+    await validateUserAccess(uid);
+
+    try {
+        const validated = validateRule(rule);
+        const ruleId = rule.id || generateId();
+        console.log('💾 Saving rule:', ruleId);
+
+        const ruleRef = firestoreHelpers.doc('users', uid, 'rules', ruleId);
+        await firestoreHelpers.setDoc(ruleRef, {
+            ...validated,
+            updatedAt: firestoreHelpers.serverTimestamp()
+        });
+
+        console.log('✅ Rule saved');
+        return { id: ruleId, ...validated };
+    } catch (error) {
+        console.error('❌ Error saving rule:', error);
+        throw new Error(`Failed to save rule: ${getErrorMessage(error)}`);
+    }
+}
+
+async function saveRuleOrder(uid, ruleIds) {
+    await validateUserAccess(uid);
+
+    if (!Array.isArray(ruleIds)) {
+        throw new Error('Rule IDs array is required');
+    }
+
+    try {
+        console.log('🔢 Reordering rules');
+
+        const batch = firestoreHelpers.writeBatch();
+        ruleIds.forEach((ruleId, priority) => {
+            batch.update(firestoreHelpers.doc('users', uid, 'rules', ruleId), { priority });
+        });
         await batch.commit();
-        
-        console.log('✅ Batch update completed');
-        return await readBudget(uid, budgetId);
+
+        console.log('✅ Rule order saved');
+    } catch (error) {
+        console.error('❌ Error reordering rules:', error);
+        throw new Error(`Failed to reorder rules: ${getErrorMessage(error)}`);
+    }
+}
+
+async function deleteRule(uid, ruleId) {
+    await validateUserAccess(uid);
+
+    if (!ruleId) {
+        throw new Error('Valid rule ID is required');
+    }
+
+    try {
+        console.log('🗑️ Deleting rule:', ruleId);
+
+        await firestoreHelpers.deleteDoc(firestoreHelpers.doc('users', uid, 'rules', ruleId));
+
+        console.log('✅ Rule deleted');
+    } catch (error) {
+        console.error('❌ Error deleting rule:', error);
+        throw new Error(`Failed to delete rule: ${getErrorMessage(error)}`);
+    }
+}
+
+// Bank account registry (users/{uid}/accounts/{accountId})
+// Shared by every budget; buckets refer to an account by its id.
+const ACCOUNT_TYPES = ['everyday', 'savings', 'credit', 'offset', 'loan', 'other'];
+
+function validateAccount(account) {
+    if (!account || typeof account !== 'object') {
+        throw new Error('Account data is required');
+    }
+
+    const name = validateString(account.name).slice(0, 60);
+    if (!name) {
+        throw new Error('Account name is required');
+    }
+
+    const last4 = validateString(account.last4);
+    return {
+        name,
+        institution: validateString(account.institution).slice(0, 60),
+        type: ACCOUNT_TYPES.includes(account.type) ? account.type : 'everyday',
+        last4: /^\d{4}$/.test(last4) ? last4 : '',
+        color: validateString(account.color),
+        // Signed: an overdrawn account or a card balance is negative
+        balanceCents: Math.round(parseFloat(account.balanceCents)) || 0
+    };
+}
+
+async function listAccounts(uid) {
+    await validateUserAccess(uid);
+
+    try {
+        console.log('🏦 Listing bank accounts for user:', uid);
+
+        const accountsCollection = firestoreHelpers.collection('users', uid, 'accounts');
+        const snapshot = await firestoreHelpers.getDocs(
+            firestoreHelpers.query(accountsCollection, firestoreHelpers.orderBy('name'))
+        );
+
+        console.log(`📊 Found ${snapshot.docs.length} accounts`);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('❌ Error listing accounts:', error);
+        throw new Error(`Failed to list accounts: ${getErrorMessage(error)}`);
+    }
+}
+
+async function saveAccount(uid, account) {
+    await validateUserAccess(uid);
+
+    try {
+        const validated = validateAccount(account);
+        const accountId = account.id || generateId();
+        console.log('💾 Saving account:', accountId);
+
+        const accountRef = firestoreHelpers.doc('users', uid, 'accounts', accountId);
+        await firestoreHelpers.setDoc(accountRef, {
+            ...validated,
+            updatedAt: firestoreHelpers.serverTimestamp()
+        });
+
+        console.log('✅ Account saved');
+        return { id: accountId, ...validated };
+    } catch (error) {
+        console.error('❌ Error saving account:', error);
+        throw new Error(`Failed to save account: ${getErrorMessage(error)}`);
+    }
+}
+
+async function deleteAccount(uid, accountId) {
+    await validateUserAccess(uid);
+
+    if (!accountId) {
+        throw new Error('Valid account ID is required');
+    }
+
+    try {
+        console.log('🗑️ Deleting account:', accountId);
+
+        await firestoreHelpers.deleteDoc(firestoreHelpers.doc('users', uid, 'accounts', accountId));
+
+        console.log('✅ Account deleted');
     } catch (error) {
-        console.error('❌ Error in batch update:', error);
-        throw new Error(`Batch update failed: ${getErrorMessage(error)}`);
+        console.error('❌ Error deleting account:', error);
+        throw new Error(`Failed to delete account: ${getErrorMessage(error)}`);
     }
 }
 
@@ -733,12 +1596,44 @@ const cloudStore = {
     createBudget,
     readBudget,
     updateBudget,
+    watchBudget,
     deleteBudget,
-    batchUpdateBudget,
+    renameBudget,
+    duplicateBudget,
+    
+    // Transaction ledger functions
+    listTransactions,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    
+    // Period snapshot functions
+    savePeriodSnapshot,
+    listPeriodSnapshots,
+    
+    // Statement import functions
+    listInboxItems,
+    addInboxItems,
+    updateInboxItem,
+    listImportPresets,
+    saveImportPreset,
+    deleteImportPreset,
+    
+    // Categorisation rule functions
+    listRules,
+    saveRule,
+    saveRuleOrder,
+    deleteRule,
+    
+    // Bank account registry functions
+    listAccounts,
+    saveAccount,
+    deleteAccount,
     
     // Utility functions
-    scheduleAutoSave,
+    BUDGET_CONFLICT,
     validateBudgetData,
+    validateTransaction,
     generateId,
     getErrorMessage,
     isNetworkError,
@@ -767,12 +1662,44 @@ export {
     createBudget,
     readBudget,
     updateBudget,
+    watchBudget,
     deleteBudget,
-    batchUpdateBudget,
+    renameBudget,
+    duplicateBudget,
+    
+    // Transaction ledger functions
+    listTransactions,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    
+    // Period snapshot functions
+    savePeriodSnapshot,
+    listPeriodSnapshots,
+    
+    // Statement import functions
+    listInboxItems,
+    addInboxItems,
+    updateInboxItem,
+    listImportPresets,
+    saveImportPreset,
+    deleteImportPreset,
+    
+    // Categorisation rule functions
+    listRules,
+    saveRule,
+    saveRuleOrder,
+    deleteRule,
+    
+    // Bank account registry functions
+    listAccounts,
+    saveAccount,
+    deleteAccount,
     
     // Utility functions
-    scheduleAutoSave,
+    BUDGET_CONFLICT,
     validateBudgetData,
+    validateTransaction,
     generateId,
     getErrorMessage,
     isNetworkError,
@@ -0,0 +1,124 @@
+/**
+ * Bank account registry
+ * Buckets used to name their bank account in free text, so "ING Savings",
+ * "ing savings" and "ING - savings" were three different accounts. These
+ * helpers decide which spellings are the same account when they are moved
+ * onto account records.
+ */
+
+export const ACCOUNT_TYPES = ['everyday', 'savings', 'credit', 'offset', 'loan', 'other'];
+
+// Words that describe any account and don't tell two apart
+const GENERIC_WORDS = new Set(['account', 'acct', 'acc', 'a', 'c', 'the', 'my']);
+
+/**
+ * Comparable form of an account name: lower case, punctuation dropped,
+ * "&" read as "and" and generic words like "account" removed
+ * @param {string} name
+ * @returns {string}
+ */
+export function accountKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !GENERIC_WORDS.has(word))
+    .join(' ');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether two names refer to the same account. Beyond spacing, case and
+ * punctuation, a single typo is forgiven in longer names, but numbers must
+ * match exactly so "Saver 1" and "Saver 2" stay apart.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function accountsMatch(a, b) {
+  const keyA = accountKey(a);
+  const keyB = accountKey(b);
+  if (!keyA || !keyB) return false;
+  if (keyA === keyB) return true;
+
+  const digits = key => key.replace(/\D/g, '');
+  if (digits(keyA) !== digits(keyB)) return false;
+
+  const compactA = keyA.replace(/ /g, '');
+  const compactB = keyB.replace(/ /g, '');
+  if (compactA === compactB) return true;
+  return Math.min(compactA.length, compactB.length) >= 6 && editDistance(compactA, compactB) <= 1;
+}
+
+/**
+ * Best guess at an account's type from its name
+ * @param {string} name
+ * @returns {string} One of ACCOUNT_TYPES
+ */
+export function guessAccountType(name) {
+  const key = accountKey(name);
+  if (/\boffset\b/.test(key)) return 'offset';
+  if (/\b(credit|card|visa|mastercard|amex)\b/.test(key)) return 'credit';
+  if (/\b(loan|mortgage)\b/.test(key)) return 'loan';
+  if (/\b(saving|savings|saver|bonus|goal|high interest)\b/.test(key)) return 'savings';
+  return 'everyday';
+}
+
+/**
+ * Match free-text account names onto existing accounts, grouping the rest
+ * into the new accounts they describe. A new account takes its most used
+ * spelling.
+ * @param {string[]} names - One per bucket; repeats count towards the spelling
+ * @param {Array} accounts - Existing { id, name } records
+ * @returns {{matched: Object, toCreate: Array}} matched maps name -> account id;
+ *   toCreate is [{ name, aliases }] where aliases are every spelling it covers
+ */
+export function planAccountMigration(names, accounts) {
+  const matched = {};
+  const groups = [];
+
+  names.forEach(raw => {
+    const name = String(raw || '').trim();
+    if (!name || matched[raw]) return;
+
+    const existing = accounts.find(account => accountsMatch(account.name, name));
+    if (existing) {
+      matched[raw] = existing.id;
+      return;
+    }
+
+    let group = groups.find(candidate => candidate.spellings.some(spelling => accountsMatch(spelling.name, name)));
+    if (!group) {
+      group = { spellings: [], aliases: [] };
+      groups.push(group);
+    }
+    const spelling = group.spellings.find(candidate => candidate.name === name);
+    if (spelling) spelling.count++;
+    else group.spellings.push({ name, count: 1 });
+    if (!group.aliases.includes(raw)) group.aliases.push(raw);
+  });
+
+  return {
+    matched,
+    toCreate: groups.map(group => ({
+      name: group.spellings.reduce((best, spelling) => (spelling.count > best.count ? spelling : best)).name,
+      aliases: group.aliases
+    }))
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Bill schedule
+ * Bucket items with a next due date are bills. This module checks whether
+ * each bucket's per-period allocation covers the bills that fall due in it,
+ * and writes the schedule out as an iCalendar (RFC 5545) file.
+ */
+
+function carryAfter(policy, availableCents, dueCents) {
+  const balance = availableCents - dueCents;
+  switch (policy) {
+    case 'surplus': return Math.max(0, balance);
+    case 'deficit': return Math.min(0, balance);
+    default: return 0;
+  }
+}
+
+/**
+ * Flag whether each bill is covered by its bucket's allocation for the pay
+ * period it falls in. Unspent allocation carries forward according to the
+ * bucket's rollover policy, so a surplus bucket saves up for a yearly bill.
+ * Only the bills themselves are counted against the allocation.
+ * @param {Array} bills - { bucketId, date, amountCents, periodOffset } where
+ *   periodOffset 0 is the current pay period
+ * @param {Object} allocations - bucketId -> { plannedCents, carryOverCents, rolloverPolicy }
+ * @returns {Array} Bills in date order with availableCents, covered and shortfallCents
+ */
+export function assessBillCoverage(bills, allocations) {
+  const buckets = {};
+  const sorted = [...bills].sort((a, b) => a.date.localeCompare(b.date));
+
+  return sorted.map(bill => {
+    const allocation = allocations[bill.bucketId] || {};
+    const plannedCents = allocation.plannedCents || 0;
+
+    if (!buckets[bill.bucketId]) {
+      buckets[bill.bucketId] = {
+        periodOffset: 0,
+        availableCents: plannedCents + (allocation.carryOverCents || 0),
+        dueCents: 0
+      };
+    }
+    const bucket = buckets[bill.bucketId];
+
+    while (bucket.periodOffset < bill.periodOffset) {
+      bucket.availableCents = plannedCents + carryAfter(allocation.rolloverPolicy, bucket.availableCents, bucket.dueCents);
+      bucket.dueCents = 0;
+      bucket.periodOffset++;
+    }
+
+    bucket.dueCents += bill.amountCents;
+    const shortfallCents = Math.max(0, bucket.dueCents - bucket.availableCents);
+
+    return {
+      ...bill,
+      availableCents: bucket.availableCents,
+      covered: shortfallCents === 0,
+      shortfallCents
+    };
+  });
+}
+
+/**
+ * iCalendar recurrence rule for a frequency starting on a date. Late-month
+ * dates fall back to the month's last day, the same as the period engine.
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @param {string} startIso - First occurrence
+ * @returns {string} RRULE value, empty for an unknown frequency
+ */
+export function recurrenceRule(frequency, startIso) {
+  const [, month, day] = startIso.split('-').map(Number);
+  const lateDays = [];
+  for (let d = 28; d <= day; d++) lateDays.push(d);
+  const monthDay = day > 28 ? `;BYMONTHDAY=${lateDays.join(',')};BYSETPOS=-1` : '';
+
+  switch (frequency) {
+    case 'Weekly': return 'FREQ=WEEKLY';
+    case 'Fortnightly': return 'FREQ=WEEKLY;INTERVAL=2';
+    case 'Monthly': return `FREQ=MONTHLY${monthDay}`;
+    case 'Quarterly': return `FREQ=MONTHLY;INTERVAL=3${monthDay}`;
+    case 'Yearly': return month === 2 && day === 29 ? `FREQ=YEARLY;BYMONTH=2${monthDay}` : 'FREQ=YEARLY';
+    default: return '';
+  }
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, '');
+}
+
+function dayAfter(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Build an iCalendar file with one all-day, repeating event per bill
+ * @param {Array} events - { uid, date, frequency, summary, description }
+ * @param {Object} [options] - { name, now } where now is a Date for DTSTAMP
+ * @returns {string} .ics file contents with CRLF line endings
+ */
+export function buildIcsCalendar(events, options = {}) {
+  const stamp = (options.now || new Date()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Budget Buckets//Bills//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || 'Bills')}`
+  ];
+
+  events.forEach(event => {
+    const rule = recurrenceRule(event.frequency, event.date);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(dayAfter(event.date))}`
+    );
+    if (rule) lines.push(`RRULE:${rule}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
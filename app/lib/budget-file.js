@@ -0,0 +1,213 @@
+/**
+ * Budget export files
+ * A budget is exported as a versioned envelope around every section of the
+ * budget document. Files from before the envelope (schema version 1) held
+ * settings, expenses and savings at the top level and are still read.
+ * Importing either replaces the open budget or merges the file into it;
+ * buckets and holdings are paired by id, then by name within their section.
+ */
+
+export const EXPORT_FORMAT = 'budget-buckets';
+export const EXPORT_SCHEMA_VERSION = 2;
+
+export const BUDGET_SECTIONS = ['expenses', 'savings', 'debt'];
+
+const HOLDING_SECTIONS = ['assets', 'liabilities'];
+
+/**
+ * Wrap a budget for export
+ * @param {Object} budget - { name, settings, expenses, savings, debt, netWorth }
+ * @param {Object} [options] - { appVersion, exportedAt } where exportedAt is an ISO timestamp
+ * @returns {Object} Envelope ready for JSON.stringify
+ */
+export function buildExport(budget, options = {}) {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    appVersion: options.appVersion || '',
+    exportedAt: options.exportedAt || new Date().toISOString(),
+    budget: {
+      name: budget.name || '',
+      settings: budget.settings || {},
+      expenses: budget.expenses || [],
+      savings: budget.savings || [],
+      debt: budget.debt || [],
+      netWorth: budget.netWorth || { assets: [], liabilities: [] }
+    }
+  };
+}
+
+/**
+ * Read a parsed export file of any schema version
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} { schemaVersion, appVersion, exportedAt, budget } where
+ *   budget still needs validating before use
+ * @throws {Error} When the file isn't a budget export or is from a newer version
+ */
+export function readExport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This file is not a budget export.');
+  }
+
+  if (data.schemaVersion === undefined) {
+    const hasSections = data.settings || BUDGET_SECTIONS.some(section => Array.isArray(data[section]));
+    if (!hasSections) throw new Error('This file is not a budget export.');
+    return {
+      schemaVersion: 1,
+      appVersion: '',
+      exportedAt: data.exportDate || null,
+      budget: {
+        settings: data.settings,
+        expenses: data.expenses,
+        savings: data.savings,
+        debt: data.debt
+      }
+    };
+  }
+
+  if (data.format !== EXPORT_FORMAT || !data.budget || typeof data.budget !== 'object') {
+    throw new Error('This file is not a budget export.');
+  }
+  const schemaVersion = Number(data.schemaVersion);
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error('This export has an unknown schema version.');
+  }
+  if (schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error('This export was made by a newer version of Budget Buckets. Update the app and try again.');
+  }
+
+  return {
+    schemaVersion,
+    appVersion: data.appVersion || '',
+    exportedAt: data.exportedAt || null,
+    budget: data.budget
+  };
+}
+
+function nameKey(entry) {
+  return String(entry?.name || '').trim().toLowerCase();
+}
+
+/**
+ * Pair entries from the open budget with entries from a file: by id first,
+ * then by name among those left
+ * @param {Array} current - { id, name }
+ * @param {Array} incoming - { id, name }
+ * @returns {Object} { pairs: [{ current, incoming }], added: [], removed: [] }
+ */
+export function pairEntries(current, incoming) {
+  const unpaired = [...current];
+  const matches = new Map();
+  const claim = (entry, test) => {
+    const index = unpaired.findIndex(test);
+    if (index === -1) return;
+    matches.set(entry, unpaired[index]);
+    unpaired.splice(index, 1);
+  };
+
+  incoming.forEach(entry => {
+    if (entry.id) claim(entry, candidate => candidate.id === entry.id);
+  });
+  incoming.forEach(entry => {
+    if (!matches.has(entry) && nameKey(entry)) claim(entry, candidate => nameKey(candidate) === nameKey(entry));
+  });
+
+  return {
+    pairs: incoming.filter(entry => matches.has(entry)).map(entry => ({ current: matches.get(entry), incoming: entry })),
+    added: incoming.filter(entry => !matches.has(entry)),
+    removed: current.filter(entry => unpaired.includes(entry))
+  };
+}
+
+// Key order doesn't matter, and ids are ignored because paired entries keep the open budget's
+function sameEntry(a, b) {
+  const canonical = value => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .filter(key => key !== 'id' && value[key] !== undefined)
+        .sort()
+        .reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+    }
+    return value;
+  };
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+function diffEntries(current, incoming) {
+  const { pairs, added, removed } = pairEntries(current || [], incoming || []);
+  const changed = pairs.filter(pair => !sameEntry(pair.current, pair.incoming));
+  return {
+    added: added.map(entry => entry.name || ''),
+    changed: changed.map(pair => pair.incoming.name || ''),
+    removed: removed.map(entry => entry.name || ''),
+    unchanged: pairs.length - changed.length
+  };
+}
+
+/**
+ * What importing a file would change in the open budget
+ * @param {Object} current - The open budget
+ * @param {Object} incoming - The validated budget from the file
+ * @returns {Object} { settings: [changed keys], expenses, savings, debt,
+ *   assets, liabilities } where each section is { added, changed, removed,
+ *   unchanged } with bucket or holding names and unchanged a count
+ */
+export function diffBudgets(current, incoming) {
+  const currentSettings = current.settings || {};
+  const incomingSettings = incoming.settings || {};
+  const keys = new Set([...Object.keys(currentSettings), ...Object.keys(incomingSettings)]);
+  const diff = {
+    settings: [...keys].filter(key => !sameEntry(currentSettings[key], incomingSettings[key])).sort()
+  };
+
+  BUDGET_SECTIONS.forEach(section => {
+    diff[section] = diffEntries(current[section], incoming[section]);
+  });
+  HOLDING_SECTIONS.forEach(section => {
+    diff[section] = diffEntries(current.netWorth?.[section], incoming.netWorth?.[section]);
+  });
+  return diff;
+}
+
+function mergeEntries(current, incoming) {
+  const { pairs, added } = pairEntries(current || [], incoming || []);
+  // Paired entries keep their place in the open budget
+  const replacements = new Map(pairs.map(pair => [pair.current, {
+    ...pair.incoming,
+    id: pair.current.id,
+    ...(pair.current.orderIndex !== undefined ? { orderIndex: pair.current.orderIndex } : {})
+  }]));
+  const ids = new Set((current || []).map(entry => entry.id));
+  const lastOrder = (current || []).reduce((max, entry) => Math.max(max, entry.orderIndex ?? -1), -1);
+
+  return [
+    ...(current || []).map(entry => replacements.get(entry) || entry),
+    // New entries go after the open budget's, keeping their order from the file
+    ...added.map((entry, index) => ({
+      ...entry,
+      id: ids.has(entry.id) ? undefined : entry.id,
+      ...(entry.orderIndex !== undefined ? { orderIndex: lastOrder + 1 + index } : {})
+    }))
+  ];
+}
+
+/**
+ * Merge a file into the open budget. The open budget keeps its name and
+ * settings; buckets and holdings in the file replace their pair or are added,
+ * and anything only in the open budget stays.
+ * @param {Object} current - The open budget
+ * @param {Object} incoming - The validated budget from the file
+ * @returns {Object} New budget; added entries whose id is taken have id undefined
+ */
+export function mergeBudgets(current, incoming) {
+  const merged = { ...current };
+  BUDGET_SECTIONS.forEach(section => {
+    merged[section] = mergeEntries(current[section], incoming[section]);
+  });
+  merged.netWorth = {};
+  HOLDING_SECTIONS.forEach(section => {
+    merged.netWorth[section] = mergeEntries(current.netWorth?.[section], incoming.netWorth?.[section]);
+  });
+  return merged;
+}
@@ -0,0 +1,73 @@
+/**
+ * Cash-flow forecast
+ * Projects each bank account's balance through the coming pay periods from
+ * dated flows: pay landing, payday transfers into bucket accounts, bills on
+ * their due dates and everyday spending. Balances are followed day by day, so
+ * an account that dips below zero before the next payday is flagged even if
+ * it ends the period in credit.
+ */
+
+/**
+ * Forecast every account named in the flows or the opening balances
+ * @param {Array} periods - [{ start, end }] in date order, end exclusive
+ * @param {Array} flows - [{ date, account, amountCents }] where money in is positive
+ * @param {Object} [openingCents] - account -> balance before the first flow
+ * @returns {Array} One entry per account, the unnamed account last:
+ *   { account, openingCents, closingCents, lowestCents, lowestDate, negativePeriods,
+ *   periods: [{ start, end, inCents, outCents, closingCents, lowestCents, lowestDate, negative }] }
+ */
+export function forecastBalances(periods, flows, openingCents = {}) {
+  const accounts = new Set(Object.keys(openingCents));
+  flows.forEach(flow => accounts.add(flow.account || ''));
+
+  // Same day: money arrives before it leaves
+  const ordered = [...flows].sort((a, b) => a.date.localeCompare(b.date) || b.amountCents - a.amountCents);
+
+  return [...accounts]
+    .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+    .map(account => {
+      const accountFlows = ordered.filter(flow => (flow.account || '') === account);
+      const opening = Math.round(openingCents[account] || 0);
+      let balance = opening;
+
+      const rows = periods.map(period => {
+        const row = {
+          start: period.start,
+          end: period.end,
+          inCents: 0,
+          outCents: 0,
+          lowestCents: balance,
+          lowestDate: period.start
+        };
+
+        accountFlows
+          .filter(flow => flow.date >= period.start && flow.date < period.end)
+          .forEach(flow => {
+            if (flow.amountCents > 0) row.inCents += flow.amountCents;
+            else row.outCents -= flow.amountCents;
+            balance += flow.amountCents;
+            if (balance < row.lowestCents) {
+              row.lowestCents = balance;
+              row.lowestDate = flow.date;
+            }
+          });
+
+        row.closingCents = balance;
+        row.negative = row.lowestCents < 0;
+        return row;
+      });
+
+      const lowest = rows.reduce((min, row) => (row.lowestCents < min.lowestCents ? row : min),
+        { lowestCents: opening, lowestDate: periods[0]?.start || null });
+
+      return {
+        account,
+        openingCents: opening,
+        closingCents: balance,
+        lowestCents: lowest.lowestCents,
+        lowestDate: lowest.lowestDate,
+        negativePeriods: rows.filter(row => row.negative).length,
+        periods: rows
+      };
+    });
+}
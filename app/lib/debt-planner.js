@@ -0,0 +1,228 @@
+/**
+ * Debt payoff planner
+ * Simulates paying off every debt together, month by month. Each debt gets
+ * its minimum payment; the extra amount, plus the minimum of every debt
+ * already cleared, goes to the first open debt in the chosen order. Amounts
+ * are in cents and interest compounds monthly at the APR's effective rate.
+ *
+ * A single debt can also be tracked per budget period: an amortisation
+ * schedule from its opening balance, a history of what was actually paid,
+ * and how far the two have drifted apart.
+ */
+
+export const DEBT_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+const MAX_MONTHS = 600; // Fifty years; anything longer is treated as never
+
+const PERIODS_PER_YEAR = { Weekly: 52, Fortnightly: 26, Monthly: 12, Quarterly: 4, Yearly: 1 };
+
+// Balances within a dollar of the schedule count as on schedule
+const ON_SCHEDULE_CENTS = 100;
+
+/**
+ * Monthly rate equivalent to an effective annual percentage rate
+ * @param {number} aprPct
+ * @returns {number}
+ */
+export function monthlyRate(aprPct) {
+  return aprPct > 0 ? Math.pow(1 + aprPct / 100, 1 / 12) - 1 : 0;
+}
+
+/**
+ * Order debts for a strategy. Avalanche pays the highest rate first,
+ * snowball the smallest balance first, custom follows a list of ids.
+ * @param {Array} debts - { id, balanceCents, aprPct }
+ * @param {string} strategy - avalanche | snowball | custom
+ * @param {string[]} [customOrder] - Debt ids; unlisted debts go last
+ * @returns {Array} New sorted array
+ */
+export function orderDebts(debts, strategy, customOrder = []) {
+  const byRate = (a, b) => (b.aprPct || 0) - (a.aprPct || 0);
+  const byBalance = (a, b) => a.balanceCents - b.balanceCents;
+  const position = id => {
+    const index = customOrder.indexOf(id);
+    return index === -1 ? Infinity : index;
+  };
+
+  switch (strategy) {
+    case 'snowball': return [...debts].sort((a, b) => byBalance(a, b) || byRate(a, b));
+    case 'custom': return [...debts].sort((a, b) => position(a.id) - position(b.id));
+    case 'avalanche':
+    default: return [...debts].sort((a, b) => byRate(a, b) || byBalance(a, b));
+  }
+}
+
+/**
+ * Simulate paying off a set of debts
+ * @param {Array} debts - { id, name, balanceCents, aprPct, minPaymentCents } with monthly minimums
+ * @param {Object} [options] - { strategy, extraMonthlyCents, customOrder }
+ * @returns {Object} { feasible, months, totalInterestCents, totalPaidCents,
+ *   payoffs: [{ id, name, month }], schedule: [{ month, targetId, interestCents,
+ *   paidCents, freedCents, extraCents, balanceCents, paidOff: [] }] }
+ */
+export function simulatePayoff(debts, options = {}) {
+  const extraCents = Math.max(0, Math.round(options.extraMonthlyCents || 0));
+  const order = orderDebts(debts.filter(debt => debt.balanceCents > 0), options.strategy, options.customOrder);
+  const balances = {};
+  order.forEach(debt => { balances[debt.id] = debt.balanceCents; });
+
+  const budgetCents = order.reduce((sum, debt) => sum + (debt.minPaymentCents || 0), 0) + extraCents;
+  const payoffs = [];
+  const schedule = [];
+  let totalInterestCents = 0;
+  let totalPaidCents = 0;
+  let freedCents = 0;
+  let month = 0;
+
+  while (payoffs.length < order.length && month < MAX_MONTHS) {
+    month++;
+    const open = order.filter(debt => balances[debt.id] > 0);
+    let interestCents = 0;
+    open.forEach(debt => {
+      const interest = Math.round(balances[debt.id] * monthlyRate(debt.aprPct));
+      balances[debt.id] += interest;
+      interestCents += interest;
+    });
+
+    // Minimums first, then whatever is left down the order
+    let availableCents = budgetCents;
+    let paidCents = 0;
+    const pay = (debt, amount) => {
+      const payment = Math.min(amount, balances[debt.id], availableCents);
+      balances[debt.id] -= payment;
+      availableCents -= payment;
+      paidCents += payment;
+    };
+    open.forEach(debt => pay(debt, debt.minPaymentCents || 0));
+    open.forEach(debt => pay(debt, availableCents));
+
+    const paidOff = open.filter(debt => balances[debt.id] === 0);
+    paidOff.forEach(debt => payoffs.push({ id: debt.id, name: debt.name, month }));
+
+    schedule.push({
+      month,
+      targetId: open[0].id,
+      interestCents,
+      paidCents,
+      freedCents,
+      extraCents,
+      balanceCents: order.reduce((sum, debt) => sum + balances[debt.id], 0),
+      paidOff: paidOff.map(debt => debt.id)
+    });
+
+    totalInterestCents += interestCents;
+    totalPaidCents += paidCents;
+    freedCents += paidOff.reduce((sum, debt) => sum + (debt.minPaymentCents || 0), 0);
+  }
+
+  const feasible = payoffs.length === order.length;
+  return {
+    feasible,
+    months: feasible ? month : Infinity,
+    totalInterestCents,
+    totalPaidCents,
+    payoffs,
+    schedule
+  };
+}
+
+/**
+ * Run every strategy over the same debts
+ * @param {Array} debts
+ * @param {Object} [options] - { extraMonthlyCents, customOrder }
+ * @returns {Object} strategy -> simulatePayoff result
+ */
+export function compareStrategies(debts, options = {}) {
+  const results = {};
+  DEBT_STRATEGIES.forEach(strategy => {
+    results[strategy] = simulatePayoff(debts, { ...options, strategy });
+  });
+  return results;
+}
+
+/**
+ * Rate per budget period equivalent to an effective annual percentage rate
+ * @param {number} aprPct
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @returns {number}
+ */
+export function periodRate(aprPct, frequency) {
+  const periods = PERIODS_PER_YEAR[frequency] || 12;
+  return aprPct > 0 ? Math.pow(1 + aprPct / 100, 1 / periods) - 1 : 0;
+}
+
+/**
+ * Close one budget period on a debt: interest is charged on the opening
+ * balance, then the period's payments come off. Principal is negative when
+ * the payments didn't cover the interest.
+ * @param {number} balanceCents - Owing at the start of the period
+ * @param {number} aprPct
+ * @param {string} frequency - The budget period
+ * @param {number} paymentCents - Paid during the period
+ * @returns {Object} { paymentCents, interestCents, principalCents, balanceCents }
+ */
+export function recordDebtPeriod(balanceCents, aprPct, frequency, paymentCents) {
+  const interestCents = Math.round(balanceCents * periodRate(aprPct, frequency));
+  const payment = Math.max(0, Math.round(paymentCents || 0));
+  return {
+    paymentCents: payment,
+    interestCents,
+    principalCents: payment - interestCents,
+    balanceCents: Math.max(0, balanceCents + interestCents - payment)
+  };
+}
+
+/**
+ * Amortisation schedule for paying the same amount every budget period.
+ * The last payment is only what is left owing.
+ * @param {number} balanceCents - Opening balance
+ * @param {number} aprPct
+ * @param {number} paymentCents - Payment per budget period
+ * @param {string} frequency - The budget period
+ * @returns {Object} { feasible, rows: [{ period, paymentCents, interestCents,
+ *   principalCents, balanceCents }] } where period 1 is the first period
+ */
+export function amortisationSchedule(balanceCents, aprPct, paymentCents, frequency) {
+  const maxPeriods = Math.round(MAX_MONTHS * (PERIODS_PER_YEAR[frequency] || 12) / 12);
+  const rows = [];
+  let balance = Math.max(0, Math.round(balanceCents || 0));
+
+  while (balance > 0 && rows.length < maxPeriods) {
+    const interestCents = Math.round(balance * periodRate(aprPct, frequency));
+    // A payment that doesn't beat the interest never clears the debt
+    if (paymentCents <= interestCents) return { feasible: false, rows };
+
+    const row = recordDebtPeriod(balance, aprPct, frequency, Math.min(paymentCents, balance + interestCents));
+    rows.push({ period: rows.length + 1, ...row });
+    balance = row.balanceCents;
+  }
+
+  return { feasible: balance === 0, rows };
+}
+
+/**
+ * Compare a debt's payment history with its schedule
+ * @param {Array} rows - amortisationSchedule rows from the same opening balance
+ * @param {Array} history - Closed periods in order, each with balanceCents
+ * @returns {Object|null} { status: ahead | behind | on-schedule, periods,
+ *   scheduledBalanceCents, actualBalanceCents, differenceCents, periodsAhead }
+ *   where differenceCents is positive when ahead; null before the first period closes
+ */
+export function scheduleVariance(rows, history) {
+  if (!history.length) return null;
+
+  const periods = history.length;
+  const scheduledBalanceCents = periods <= rows.length ? rows[periods - 1].balanceCents : 0;
+  const actualBalanceCents = history[periods - 1].balanceCents;
+  const differenceCents = scheduledBalanceCents - actualBalanceCents;
+
+  // The period the schedule expected to reach the actual balance
+  const reached = rows.findIndex(row => row.balanceCents <= actualBalanceCents);
+  const periodsAhead = reached === -1 ? rows.length + 1 - periods : reached + 1 - periods;
+
+  let status = 'on-schedule';
+  if (differenceCents >= ON_SCHEDULE_CENTS) status = 'ahead';
+  else if (differenceCents <= -ON_SCHEDULE_CENTS) status = 'behind';
+
+  return { status, periods, scheduledBalanceCents, actualBalanceCents, differenceCents, periodsAhead };
+}
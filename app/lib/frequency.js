@@ -0,0 +1,84 @@
+/**
+ * Frequency conversion
+ * A budget is planned per period (its base frequency), while income sources
+ * and bucket items can recur on their own schedule (monthly rent income,
+ * quarterly water rates, yearly car registration). Everything is compared via
+ * a weekly figure.
+ */
+
+export const ITEM_FREQUENCIES = ['Weekly', 'Fortnightly', 'Monthly', 'Quarterly', 'Yearly'];
+
+/**
+ * Convert an amount between frequencies
+ * @param {number} amount
+ * @param {string} fromFreq - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @param {string} toFreq
+ * @returns {number} 0 for an unknown frequency
+ */
+export function convertFrequency(amount, fromFreq, toFreq) {
+  if (fromFreq === toFreq) return amount;
+
+  const weeklyAmount = (() => {
+    switch (fromFreq) {
+      case 'Weekly': return amount;
+      case 'Fortnightly': return amount / 2;
+      case 'Monthly': return amount * 12 / 52;
+      case 'Quarterly': return amount * 4 / 52;
+      case 'Yearly': return amount / 52;
+      default: return 0;
+    }
+  })();
+
+  switch (toFreq) {
+    case 'Weekly': return weeklyAmount;
+    case 'Fortnightly': return weeklyAmount * 2;
+    case 'Monthly': return weeklyAmount * 52 / 12;
+    case 'Quarterly': return weeklyAmount * 52 / 4;
+    case 'Yearly': return weeklyAmount * 52;
+    default: return 0;
+  }
+}
+
+/**
+ * How much of an item to set aside each pay period. Items without their own
+ * frequency are already in the pay frequency.
+ * @param {Object} item - { amount, frequency }
+ * @param {string} periodFrequency - The budget's income frequency
+ * @returns {number}
+ */
+export function itemAmountPerPeriod(item, periodFrequency) {
+  const amount = parseFloat(item.amount) || 0;
+  if (!ITEM_FREQUENCIES.includes(item.frequency)) return amount;
+  return convertFrequency(amount, item.frequency, periodFrequency);
+}
+
+/**
+ * Income per budget period from every income source
+ * @param {Array} sources - { amount, frequency, isGross }
+ * @param {string} periodFrequency - The budget's base period
+ * @returns {{total: number, gross: number}} gross is the part entered before tax
+ */
+export function incomePerPeriod(sources, periodFrequency) {
+  return (sources || []).reduce((totals, source) => {
+    const amount = convertFrequency(parseFloat(source.amount) || 0, source.frequency, periodFrequency);
+    totals.total += amount;
+    if (source.isGross) totals.gross += amount;
+    return totals;
+  }, { total: 0, gross: 0 });
+}
+
+/**
+ * Lower-case noun for a frequency, e.g. "Fortnightly" -> "fortnight"
+ * @param {string} frequency
+ * @returns {string}
+ */
+export function frequencyUnit(frequency) {
+  switch (frequency) {
+    case 'Weekly': return 'week';
+    case 'Fortnightly': return 'fortnight';
+    case 'Quarterly': return 'quarter';
+    case 'Yearly': return 'year';
+    case 'Monthly':
+    default: return 'month';
+  }
+}
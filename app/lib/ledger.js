@@ -0,0 +1,85 @@
+/**
+ * Transaction ledger helpers
+ * Pure functions for working with per-bucket transactions. The bucket's
+ * spent figure is always derived from these, never typed in by hand.
+ */
+
+/**
+ * Today's date as an ISO yyyy-mm-dd string (local time)
+ * @returns {string}
+ */
+export function todayIso() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Normalise raw form/import input into a transaction object
+ * @param {Object} input - Raw transaction fields
+ * @returns {Object} Transaction with amount in cents
+ */
+export function normalizeTransaction(input = {}) {
+  const amount = input.amountCents !== undefined
+    ? Math.round(Number(input.amountCents) || 0)
+    : Math.round((parseFloat(input.amount) || 0) * 100);
+
+  return {
+    id: input.id || null,
+    bucketId: input.bucketId || null,
+    itemId: input.itemId || null,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(input.date || '') ? input.date : todayIso(),
+    payee: String(input.payee || '').trim(),
+    amountCents: amount,
+    note: String(input.note || '').trim(),
+    externalId: input.externalId || null // Bank transaction ID (OFX FITID) when imported
+  };
+}
+
+/**
+ * Transactions belonging to a bucket, newest first
+ * @param {Array} transactions - All ledger transactions
+ * @param {string} bucketId - Bucket ID
+ * @returns {Array}
+ */
+export function transactionsForBucket(transactions, bucketId) {
+  return sortTransactions(transactions.filter(tx => tx.bucketId === bucketId));
+}
+
+/**
+ * Sort transactions by date (newest first), then by creation order
+ * @param {Array} transactions
+ * @returns {Array} New sorted array
+ */
+export function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return (b.createdAtMs || 0) - (a.createdAtMs || 0);
+  });
+}
+
+/**
+ * Total spent in a bucket. Refunds are entered as negative amounts.
+ * @param {Array} transactions - All ledger transactions
+ * @param {string} bucketId - Bucket ID
+ * @returns {number} Total in cents
+ */
+export function sumTransactionsCents(transactions, bucketId) {
+  return transactions
+    .filter(tx => tx.bucketId === bucketId)
+    .reduce((sum, tx) => sum + (tx.amountCents || 0), 0);
+}
+
+/**
+ * Spent totals for every bucket that has transactions
+ * @param {Array} transactions - All ledger transactions
+ * @returns {Object} Map of bucketId -> cents
+ */
+export function spentByBucket(transactions) {
+  return transactions.reduce((totals, tx) => {
+    if (!tx.bucketId) return totals;
+    totals[tx.bucketId] = (totals[tx.bucketId] || 0) + (tx.amountCents || 0);
+    return totals;
+  }, {});
+}
@@ -0,0 +1,277 @@
+/**
+ * Live sync
+ * Edits from another device arrive as snapshots of the budget document. Each
+ * snapshot is merged field by field with this tab's budget against the
+ * version last synced, so edits made here in the meantime are kept, even in
+ * the same bucket; only the buckets and settings that end up different are
+ * then copied into the tab.
+ *
+ * A save that finds the budget was changed elsewhere since this tab last
+ * synced is merged three ways instead: field by field against the version
+ * both sides started from, so only a field changed on both sides needs the
+ * user to choose.
+ */
+
+const BUCKET_SECTIONS = ['expenses', 'savings', 'debt'];
+const BUDGET_FIELDS = ['name', 'settings', ...BUCKET_SECTIONS, 'netWorth'];
+const FIELD_LABELS = {
+  name: 'Budget name',
+  settings: 'Settings',
+  expenses: 'Expenses',
+  savings: 'Savings',
+  debt: 'Debt',
+  netWorth: 'Net worth'
+};
+
+// Worked out again on each device, so never worth asking about
+const DERIVED_FIELDS = ['incomeAmount', 'spentThisPeriodCents', 'bankAccount'];
+
+/**
+ * Deep equality that ignores key order, since Firestore returns map fields
+ * sorted by key
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => sameValue(a[key], b[key]));
+}
+
+/**
+ * What changed between two snapshots of a budget document
+ * @param {Object} before - Budget data as last seen
+ * @param {Object} after - Budget data in the new snapshot
+ * @returns {Object} { buckets: [{ section, id }], removed: [{ section, id }],
+ *   settings: [key], name, netWorth } where buckets lists added and edited buckets
+ */
+export function budgetChanges(before = {}, after = {}) {
+  const changes = { buckets: [], removed: [], settings: [], name: false, netWorth: false };
+
+  BUCKET_SECTIONS.forEach(section => {
+    const previous = new Map((before[section] || []).map(bucket => [bucket.id, bucket]));
+    const current = after[section] || [];
+    current.forEach(bucket => {
+      if (!sameValue(previous.get(bucket.id), bucket)) {
+        changes.buckets.push({ section, id: bucket.id });
+      }
+    });
+    previous.forEach((bucket, id) => {
+      if (!current.some(b => b.id === id)) changes.removed.push({ section, id });
+    });
+  });
+
+  const settingsBefore = before.settings || {};
+  const settingsAfter = after.settings || {};
+  new Set([...Object.keys(settingsBefore), ...Object.keys(settingsAfter)]).forEach(key => {
+    if (!sameValue(settingsBefore[key], settingsAfter[key])) changes.settings.push(key);
+  });
+
+  changes.name = (before.name || '') !== (after.name || '');
+  changes.netWorth = !sameValue(before.netWorth, after.netWorth);
+  return changes;
+}
+
+/**
+ * @param {Object} changes - From budgetChanges
+ * @returns {boolean} True if anything changed
+ */
+export function hasChanges(changes) {
+  return changes.buckets.length > 0 || changes.removed.length > 0 || changes.settings.length > 0 ||
+    changes.name || changes.netWorth;
+}
+
+// Plain data, so later edits in this tab can't reach into the snapshot
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy another device's changes into this tab's budget
+ * @param {Object} local - { name, settings, expenses, savings, debt, netWorth } as in this tab
+ * @param {Object} remote - The snapshot the changes came from
+ * @param {Object} changes - From budgetChanges
+ * @returns {Object} { budget, reorder } where budget is the merged copy
+ *   (neither local nor remote is modified) and reorder is true when buckets
+ *   were added, removed or moved, so whole lists need rendering again rather
+ *   than single cards
+ */
+export function applyRemoteChanges(local, remote, changes) {
+  const budget = { ...local, settings: { ...local.settings } };
+  BUCKET_SECTIONS.forEach(section => {
+    budget[section] = [...(local[section] || [])];
+  });
+  let reorder = false;
+
+  changes.removed.forEach(({ section, id }) => {
+    // Gone from the snapshot, unless it moved to another section
+    if (changes.buckets.some(change => change.id === id)) return;
+    const before = budget[section].length;
+    budget[section] = budget[section].filter(bucket => bucket.id !== id);
+    if (budget[section].length !== before) reorder = true;
+  });
+
+  changes.buckets.forEach(({ section, id }) => {
+    const incoming = copy((remote[section] || []).find(bucket => bucket.id === id));
+    const index = budget[section].findIndex(bucket => bucket.id === id);
+    if (index >= 0) {
+      if ((budget[section][index].orderIndex || 0) !== (incoming.orderIndex || 0)) reorder = true;
+      budget[section][index] = incoming;
+      return;
+    }
+
+    BUCKET_SECTIONS.forEach(other => {
+      budget[other] = budget[other].filter(bucket => bucket.id !== id);
+    });
+    budget[section].push(incoming);
+    reorder = true;
+  });
+
+  changes.settings.forEach(key => {
+    if (remote.settings && key in remote.settings) {
+      budget.settings[key] = copy(remote.settings[key]);
+    } else {
+      delete budget.settings[key];
+    }
+  });
+  if (changes.name) budget.name = remote.name;
+  if (changes.netWorth) budget.netWorth = copy(remote.netWorth);
+
+  return { budget, reorder };
+}
+
+/**
+ * The merged parts of a budget document and its revision, copied so later
+ * edits can't change them
+ * @param {Object} budget - Budget document, e.g. from Firestore
+ * @returns {Object} { revision, data }
+ */
+export function budgetVersion(budget = {}) {
+  const data = {};
+  BUDGET_FIELDS.forEach(field => {
+    if (budget[field] !== undefined) data[field] = copy(budget[field]);
+  });
+  return { revision: budget.revision || 0, data };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Buckets, items, income sources and net worth entries all carry an id
+function isEntryList(value) {
+  return Array.isArray(value) && value.every(entry => isPlainObject(entry) && entry.id);
+}
+
+// "savedSoFarCents" -> "Saved so far"
+function fieldLabel(key) {
+  const words = key.replace(/Cents$/, '').replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function mergeValue(base, local, remote, at, conflicts, choices) {
+  if (sameValue(local, remote)) return copy(local);
+  if (sameValue(base, local)) return copy(remote);
+  if (sameValue(base, remote)) return copy(local);
+
+  const field = at.path[at.path.length - 1];
+  if (DERIVED_FIELDS.includes(field)) return copy(local);
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const start = isPlainObject(base) ? base : {};
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+      // A list is named by its entries: "Rent › Water", not "Rent › Items › Water"
+      const list = isEntryList(local[key]) || isEntryList(remote[key]);
+      const next = { path: [...at.path, key], labels: list ? at.labels : [...at.labels, fieldLabel(key)] };
+      const value = mergeValue(start[key], local[key], remote[key], next, conflicts, choices);
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+
+  if (isEntryList(local) && isEntryList(remote)) {
+    return mergeEntries(isEntryList(base) ? base : [], local, remote, at, conflicts, choices);
+  }
+
+  const key = at.path.join('/');
+  if (!choices[key]) {
+    conflicts.push({ key, field, label: at.labels.join(' › '), local: copy(local), remote: copy(remote) });
+  }
+  return copy(choices[key] === 'remote' ? remote : local);
+}
+
+// Matched by id; this device's order, with entries only the other device has at the end
+function mergeEntries(base, local, remote, at, conflicts, choices) {
+  const byId = list => new Map(list.map(entry => [entry.id, entry]));
+  const [baseById, localById, remoteById] = [base, local, remote].map(byId);
+  const ids = [...localById.keys(), ...[...remoteById.keys()].filter(id => !localById.has(id))];
+
+  return ids.reduce((merged, id) => {
+    const entry = localById.get(id) || remoteById.get(id);
+    const next = { path: [...at.path, id], labels: [...at.labels, entry.name || 'Untitled'] };
+    const value = mergeValue(baseById.get(id), localById.get(id), remoteById.get(id), next, conflicts, choices);
+    if (value !== undefined) merged.push(value);
+    return merged;
+  }, []);
+}
+
+/**
+ * Three-way merge of two edited versions of a budget. Changes made on only
+ * one side are kept; a field changed to different values on both sides (or an
+ * entry edited on one side and deleted on the other) is a conflict.
+ * @param {Object} base - The version both sides started from
+ * @param {Object} local - This device's version
+ * @param {Object} remote - The version saved elsewhere
+ * @param {Object} [choices] - { [conflict key]: 'local' | 'remote' }
+ * @returns {Object} { budget, conflicts: [{ key, field, label, local, remote }] }
+ *   where budget has this device's value for any conflict without a choice,
+ *   and local or remote is undefined for a deleted entry
+ */
+export function mergeBudgetVersions(base, local, remote, choices = {}) {
+  const conflicts = [];
+  const budget = {};
+  BUDGET_FIELDS.forEach(field => {
+    const at = { path: [field], labels: [FIELD_LABELS[field]] };
+    const value = mergeValue(base?.[field], local[field], remote[field], at, conflicts, choices);
+    if (value !== undefined) budget[field] = value;
+  });
+  return { budget, conflicts };
+}
+
+function assignInPlace(target, source) {
+  Object.keys(target).forEach(key => {
+    if (!(key in source)) delete target[key];
+  });
+  Object.keys(source).forEach(key => {
+    target[key] = replaceInPlace(target[key], source[key]);
+  });
+  return target;
+}
+
+/**
+ * Update a value to equal another while keeping its objects and arrays, and
+ * the objects of entries still in a list (matched by id). Bucket cards hold
+ * the bucket and item objects they were rendered with, so their inputs keep
+ * writing to state after a merge.
+ * @param {*} current - e.g. state.expenses
+ * @param {*} next - The value it should now have
+ * @returns {*} current updated to match next, or next if they can't be reconciled
+ */
+export function replaceInPlace(current, next) {
+  if (current === next) return current;
+  if (isEntryList(current) && isEntryList(next)) {
+    const byId = new Map(current.map(entry => [entry.id, entry]));
+    const entries = next.map(entry => byId.has(entry.id) ? assignInPlace(byId.get(entry.id), entry) : entry);
+    current.splice(0, current.length, ...entries);
+    return current;
+  }
+  if (isPlainObject(current) && isPlainObject(next)) return assignInPlace(current, next);
+  return next;
+}
@@ -0,0 +1,70 @@
+/**
+ * Net worth
+ * Savings and debt bucket balances, plus assets and liabilities entered by
+ * hand that sit outside the budget (a house, super, a car loan). A summary
+ * is saved with each closed pay period so net worth can be charted over time.
+ */
+
+function totalCents(entries) {
+  return (entries || []).reduce((sum, entry) => sum + Math.round(entry.valueCents || 0), 0);
+}
+
+/**
+ * Total up everything owned and owed
+ * @param {Object} holdings - { savings, debts, assets, liabilities }, each a
+ *   list of { valueCents }
+ * @returns {Object} { savingsCents, debtCents, otherAssetsCents,
+ *   otherLiabilitiesCents, assetsCents, liabilitiesCents, netWorthCents }
+ */
+export function netWorthSummary(holdings = {}) {
+  const savingsCents = totalCents(holdings.savings);
+  const debtCents = totalCents(holdings.debts);
+  const otherAssetsCents = totalCents(holdings.assets);
+  const otherLiabilitiesCents = totalCents(holdings.liabilities);
+  const assetsCents = savingsCents + otherAssetsCents;
+  const liabilitiesCents = debtCents + otherLiabilitiesCents;
+
+  return {
+    savingsCents,
+    debtCents,
+    otherAssetsCents,
+    otherLiabilitiesCents,
+    assetsCents,
+    liabilitiesCents,
+    netWorthCents: assetsCents - liabilitiesCents
+  };
+}
+
+/**
+ * Net worth over time from period snapshots. Each point is dated on the day
+ * its period closed; periods closed before tracking began have no summary and
+ * are skipped.
+ * @param {Array} snapshots - Period snapshots in any order
+ * @returns {Array} Oldest first: [{ date, assetsCents, liabilitiesCents, netWorthCents }]
+ */
+export function netWorthHistory(snapshots) {
+  return [...snapshots]
+    .filter(snapshot => snapshot.netWorth && Number.isFinite(snapshot.netWorth.netWorthCents))
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(snapshot => ({
+      date: snapshot.end || snapshot.start,
+      assetsCents: snapshot.netWorth.assetsCents || 0,
+      liabilitiesCents: snapshot.netWorth.liabilitiesCents || 0,
+      netWorthCents: snapshot.netWorth.netWorthCents
+    }));
+}
+
+/**
+ * How net worth has moved since the last snapshot and since the first
+ * @param {Array} history - netWorthHistory points
+ * @param {number} currentCents - Net worth now
+ * @returns {Object|null} { sincePreviousCents, sinceFirstCents, firstDate }; null without history
+ */
+export function netWorthChange(history, currentCents) {
+  if (!history.length) return null;
+  return {
+    sincePreviousCents: currentCents - history[history.length - 1].netWorthCents,
+    sinceFirstCents: currentCents - history[0].netWorthCents,
+    firstDate: history[0].date
+  };
+}
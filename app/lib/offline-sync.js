@@ -0,0 +1,90 @@
+/**
+ * Offline sync
+ * Budget edits and ledger entries are saved on the device first and queued in
+ * an outbox until Firestore accepts them. These helpers decide what the sync
+ * indicator says, how long to wait before retrying, and which copy of a budget
+ * or ledger is newest.
+ */
+
+const MAX_RETRY_MS = 60000;
+
+/**
+ * What the sync indicator shows
+ * @param {Object} status - { pending, online, error } where pending counts
+ *   queued writes and error is the last failure's message
+ * @returns {Object} { state: synced | pending | offline | error, label, title }
+ */
+export function describeSyncStatus({ pending = 0, online = true, error = null } = {}) {
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  if (!online) {
+    return {
+      state: 'offline',
+      label: pending ? `Offline · ${pending} pending` : 'Offline',
+      title: pending
+        ? `${changes} saved on this device. They sync when you're back online.`
+        : 'Changes are saved on this device until you\'re back online.'
+    };
+  }
+  if (pending && error) {
+    return { state: 'error', label: 'Sync error', title: `${changes} not synced yet: ${error}. Retrying…` };
+  }
+  if (pending) {
+    return { state: 'pending', label: `Pending ${pending}`, title: `Saving ${changes} to the cloud…` };
+  }
+  return { state: 'synced', label: 'Synced', title: 'All changes are saved to the cloud.' };
+}
+
+/**
+ * Wait before retrying a failed write: 2s, 4s, 8s… up to a minute
+ * @param {number} attempt - Failures so far, from 0
+ * @returns {number} Milliseconds
+ */
+export function retryDelayMs(attempt) {
+  return Math.min(MAX_RETRY_MS, 2000 * Math.pow(2, Math.max(0, attempt)));
+}
+
+/**
+ * Reject if a promise hasn't settled in time. Firestore writes without a
+ * connection wait indefinitely for the server.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} [message]
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, message = 'Timed out') {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Budgets to show: Firestore's, except where this device has edits that
+ * haven't synced yet
+ * @param {Array} cloudBudgets - { id, ... }
+ * @param {Array} localCopies - Budgets saved on this device
+ * @param {Array<string>} pendingIds - Budgets with a queued write
+ * @returns {Array}
+ */
+export function withLocalChanges(cloudBudgets, localCopies, pendingIds) {
+  const pending = new Set(pendingIds);
+  return cloudBudgets.map(budget => {
+    const copy = pending.has(budget.id) && localCopies.find(local => local.id === budget.id);
+    return copy ? { ...budget, ...copy } : budget;
+  });
+}
+
+/**
+ * The ledger as Firestore has it, plus entries recorded on this device that
+ * haven't synced yet: queued additions added, queued deletions removed
+ * @param {Array} transactions - { id, ... } from Firestore
+ * @param {Array} writes - Queued { type: addTransaction | deleteTransaction, data } for the budget
+ * @returns {Array}
+ */
+export function withLedgerWrites(transactions, writes) {
+  const queued = new Set(writes.map(write => write.data.id));
+  const added = writes.filter(write => write.type === 'addTransaction').map(write => write.data);
+  return [...transactions.filter(tx => !queued.has(tx.id)), ...added];
+}
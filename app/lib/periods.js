@@ -0,0 +1,222 @@
+/**
+ * Budget period engine
+ * Pay periods are anchored on a user-chosen start date and repeat at the
+ * income frequency. Dates are ISO yyyy-mm-dd strings and all arithmetic is
+ * done in UTC so daylight saving never shifts a boundary.
+ */
+
+export const ROLLOVER_POLICIES = ['reset', 'surplus', 'deficit'];
+
+const MAX_ELAPSED_PERIODS = 520; // Ten years of weekly periods
+
+function parseIso(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function toIso(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(iso, days) {
+  return toIso(parseIso(iso) + days * 86400000);
+}
+
+function addMonthsClamped(iso, months) {
+  const [year, month, day] = iso.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toIso(target.getTime());
+}
+
+/**
+ * Start date of the nth period after the anchor (negative n goes backwards).
+ * Monthly and yearly periods are always measured from the anchor so a 31st
+ * anchor does not drift after a short month.
+ * @param {string} anchorIso - First day of any pay period
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @param {number} index - Period offset from the anchor
+ * @returns {string} ISO date
+ */
+export function periodStartAt(anchorIso, frequency, index) {
+  switch (frequency) {
+    case 'Weekly': return addDays(anchorIso, index * 7);
+    case 'Fortnightly': return addDays(anchorIso, index * 14);
+    case 'Quarterly': return addMonthsClamped(anchorIso, index * 3);
+    case 'Yearly': return addMonthsClamped(anchorIso, index * 12);
+    case 'Monthly':
+    default: return addMonthsClamped(anchorIso, index);
+  }
+}
+
+function periodAt(anchorIso, frequency, index) {
+  return {
+    index,
+    start: periodStartAt(anchorIso, frequency, index),
+    end: periodStartAt(anchorIso, frequency, index + 1) // exclusive
+  };
+}
+
+/**
+ * The pay period containing a date
+ * @param {string} anchorIso - First day of any pay period
+ * @param {string} frequency - Income frequency
+ * @param {string} dateIso - Date to locate
+ * @returns {{index: number, start: string, end: string}} end is exclusive
+ */
+export function getPeriodForDate(anchorIso, frequency, dateIso) {
+  const days = Math.floor((parseIso(dateIso) - parseIso(anchorIso)) / 86400000);
+  let index;
+  switch (frequency) {
+    case 'Weekly': index = Math.floor(days / 7); break;
+    case 'Fortnightly': index = Math.floor(days / 14); break;
+    case 'Quarterly': index = Math.floor(days / 92); break;
+    case 'Yearly': index = Math.floor(days / 366); break;
+    case 'Monthly':
+    default: index = Math.floor(days / 31); break;
+  }
+
+  // Month and year lengths vary, so walk from the estimate to the exact period
+  while (periodStartAt(anchorIso, frequency, index + 1) <= dateIso) index++;
+  while (periodStartAt(anchorIso, frequency, index) > dateIso) index--;
+
+  return periodAt(anchorIso, frequency, index);
+}
+
+/**
+ * Whether a date falls inside a period
+ * @param {string} dateIso
+ * @param {{start: string, end: string}} period
+ * @returns {boolean}
+ */
+export function isDateInPeriod(dateIso, period) {
+  return !!period && dateIso >= period.start && dateIso < period.end;
+}
+
+/**
+ * Next occurrence of a recurring date on or after a given day, e.g. the next
+ * time a quarterly bill falls due after its recorded due date has passed
+ * @param {string} dueIso - Any past or future due date in the series
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @param {string} fromIso - Earliest date to return
+ * @returns {string} ISO date
+ */
+export function nextOccurrence(dueIso, frequency, fromIso) {
+  if (dueIso >= fromIso) return dueIso;
+  const period = getPeriodForDate(dueIso, frequency, fromIso);
+  return period.start === fromIso ? period.start : period.end;
+}
+
+/**
+ * Every occurrence of a recurring date in a date range
+ * @param {string} dueIso - Any past or future due date in the series
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @param {string} fromIso - First day of the range
+ * @param {string} untilIso - Day after the range (exclusive)
+ * @returns {string[]} ISO dates, earliest first
+ */
+export function occurrencesBetween(dueIso, frequency, fromIso, untilIso) {
+  const dates = [];
+  let index = dueIso >= fromIso ? 0 : getPeriodForDate(dueIso, frequency, fromIso).index;
+  let date = periodStartAt(dueIso, frequency, index);
+  if (date < fromIso) date = periodStartAt(dueIso, frequency, ++index);
+
+  while (date < untilIso && dates.length < MAX_ELAPSED_PERIODS) {
+    dates.push(date);
+    date = periodStartAt(dueIso, frequency, ++index);
+  }
+
+  return dates;
+}
+
+/**
+ * Periods that have ended since the last one the budget was opened in
+ * @param {string} anchorIso - First day of any pay period
+ * @param {string} frequency - Income frequency
+ * @param {string|null} lastStartIso - Start of the period last marked current
+ * @param {string} todayIso - Today's date
+ * @returns {Array} Periods to close, oldest first
+ */
+export function elapsedPeriods(anchorIso, frequency, lastStartIso, todayIso) {
+  if (!lastStartIso) return [];
+
+  const current = getPeriodForDate(anchorIso, frequency, todayIso);
+  const periods = [];
+  let period = getPeriodForDate(anchorIso, frequency, lastStartIso);
+
+  while (period.start < current.start && periods.length < MAX_ELAPSED_PERIODS) {
+    periods.push(period);
+    period = periodAt(anchorIso, frequency, period.index + 1);
+  }
+
+  return periods;
+}
+
+/**
+ * Amount carried into the next period under a rollover policy
+ * @param {string} policy - reset | surplus | deficit
+ * @param {number} availableCents - Planned amount plus anything carried in
+ * @param {number} spentCents - Spent during the period
+ * @returns {number} Signed cents (negative for a carried deficit)
+ */
+export function rolloverCarryCents(policy, availableCents, spentCents) {
+  const balance = availableCents - spentCents;
+  switch (policy) {
+    case 'surplus': return Math.max(0, balance);
+    case 'deficit': return Math.min(0, balance);
+    case 'reset':
+    default: return 0;
+  }
+}
+
+/**
+ * Snapshot a period's planned vs spent figures and work out carry-over
+ * @param {{start: string, end: string}} period - Period being closed
+ * @param {Array} buckets - Bucket summaries: { id, name, type, include,
+ *   plannedCents, carryOverCents, rolloverPolicy, overspendThresholdPct }
+ * @param {Array} transactions - Ledger transactions (any period)
+ * @param {Object} [extra] - Additional snapshot fields (frequency, income)
+ * @returns {{snapshot: Object, carryOver: Object}} carryOver maps bucketId -> cents
+ */
+export function closePeriod(period, buckets, transactions, extra = {}) {
+  const carryOver = {};
+  const spent = {};
+
+  transactions.forEach(tx => {
+    if (!isDateInPeriod(tx.date, period)) return;
+    spent[tx.bucketId] = (spent[tx.bucketId] || 0) + (tx.amountCents || 0);
+  });
+
+  const bucketSnapshots = buckets.map(bucket => {
+    const carryInCents = bucket.carryOverCents || 0;
+    const availableCents = (bucket.plannedCents || 0) + carryInCents;
+    const spentCents = spent[bucket.id] || 0;
+    const policy = ROLLOVER_POLICIES.includes(bucket.rolloverPolicy) ? bucket.rolloverPolicy : 'reset';
+    const carryOutCents = rolloverCarryCents(policy, availableCents, spentCents);
+    carryOver[bucket.id] = carryOutCents;
+
+    return {
+      bucketId: bucket.id,
+      name: bucket.name || '',
+      type: bucket.type || 'expense',
+      include: bucket.include !== false,
+      plannedCents: bucket.plannedCents || 0,
+      carryInCents,
+      spentCents,
+      carryOutCents,
+      rolloverPolicy: policy,
+      overspendThresholdPct: bucket.overspendThresholdPct || 80
+    };
+  });
+
+  return {
+    snapshot: {
+      ...extra,
+      start: period.start,
+      end: period.end,
+      buckets: bucketSnapshots
+    },
+    carryOver
+  };
+}
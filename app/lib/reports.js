@@ -0,0 +1,128 @@
+/**
+ * Period reports
+ * Trends across closed pay periods, read from the snapshots written when each
+ * period closes. Snapshots can arrive in any order; results are oldest first
+ * so charts read left to right. Amounts are in cents.
+ */
+
+function oldestFirst(snapshots) {
+  return [...(snapshots || [])].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function includedBuckets(snapshot) {
+  return (snapshot.buckets || []).filter(bucket => bucket.include !== false);
+}
+
+/**
+ * How much of a bucket's planned amount plus carry-over was spent
+ * @param {Object} bucket - Snapshot bucket: { plannedCents, carryInCents, spentCents }
+ * @returns {number|null} Percentage, or null when nothing was available
+ */
+export function usedPct(bucket) {
+  const availableCents = (bucket.plannedCents || 0) + (bucket.carryInCents || 0);
+  return availableCents > 0 ? (bucket.spentCents || 0) / availableCents * 100 : null;
+}
+
+/**
+ * Whether a bucket reached its overspend threshold in a period. Spending with
+ * nothing available always counts.
+ * @param {Object} bucket - Snapshot bucket
+ * @returns {boolean}
+ */
+export function isOverThreshold(bucket) {
+  const pct = usedPct(bucket);
+  if (pct === null) return (bucket.spentCents || 0) > 0;
+  return pct >= (bucket.overspendThresholdPct || 80);
+}
+
+/**
+ * Spending per bucket, one value per period
+ * @param {Array} snapshots - Period snapshots
+ * @returns {Object} { periods: [start], buckets: [{ bucketId, name, type,
+ *   values: [{ spentCents, availableCents, usedPct, over } | null] }] } where
+ *   null means the bucket wasn't in that period; names come from the latest period
+ */
+export function bucketSpendingSeries(snapshots) {
+  const ordered = oldestFirst(snapshots);
+  const buckets = new Map();
+
+  ordered.forEach((snapshot, index) => {
+    includedBuckets(snapshot).forEach(bucket => {
+      if (!buckets.has(bucket.bucketId)) {
+        buckets.set(bucket.bucketId, { bucketId: bucket.bucketId, values: ordered.map(() => null) });
+      }
+      const series = buckets.get(bucket.bucketId);
+      series.name = bucket.name;
+      series.type = bucket.type || 'expense';
+      series.values[index] = {
+        spentCents: bucket.spentCents || 0,
+        availableCents: (bucket.plannedCents || 0) + (bucket.carryInCents || 0),
+        usedPct: usedPct(bucket),
+        over: isOverThreshold(bucket)
+      };
+    });
+  });
+
+  return { periods: ordered.map(snapshot => snapshot.start), buckets: [...buckets.values()] };
+}
+
+/**
+ * Income against what was allocated to each kind of bucket, and the savings rate
+ * @param {Array} snapshots
+ * @returns {Array} { start, incomeCents, expensesCents, savingsCents, debtCents,
+ *   allocatedCents, unallocatedCents, savingsRatePct } where savingsRatePct is
+ *   null without income
+ */
+export function periodTotals(snapshots) {
+  return oldestFirst(snapshots).map(snapshot => {
+    const totals = { expense: 0, saving: 0, debt: 0 };
+    includedBuckets(snapshot).forEach(bucket => {
+      const type = bucket.type in totals ? bucket.type : 'expense';
+      totals[type] += bucket.plannedCents || 0;
+    });
+
+    const incomeCents = snapshot.incomeCents || 0;
+    const allocatedCents = totals.expense + totals.saving + totals.debt;
+    return {
+      start: snapshot.start,
+      incomeCents,
+      expensesCents: totals.expense,
+      savingsCents: totals.saving,
+      debtCents: totals.debt,
+      allocatedCents,
+      unallocatedCents: incomeCents - allocatedCents,
+      savingsRatePct: incomeCents > 0 ? totals.saving / incomeCents * 100 : null
+    };
+  });
+}
+
+/**
+ * Expense buckets that reached their overspend threshold in most of the
+ * periods they were in
+ * @param {Array} snapshots
+ * @param {Object} [options] - { minShare: 0.5, minPeriods: 2 }
+ * @returns {Array} { bucketId, name, overCount, periodCount, averageUsedPct },
+ *   most often over first
+ */
+export function persistentOverspenders(snapshots, options = {}) {
+  const minShare = options.minShare ?? 0.5;
+  const minPeriods = options.minPeriods ?? 2;
+
+  return bucketSpendingSeries(snapshots).buckets
+    .filter(series => series.type === 'expense')
+    .map(series => {
+      const values = series.values.filter(Boolean);
+      const percentages = values.map(value => value.usedPct).filter(pct => pct !== null);
+      return {
+        bucketId: series.bucketId,
+        name: series.name,
+        overCount: values.filter(value => value.over).length,
+        periodCount: values.length,
+        averageUsedPct: percentages.length
+          ? percentages.reduce((sum, pct) => sum + pct, 0) / percentages.length
+          : null
+      };
+    })
+    .filter(result => result.overCount >= minPeriods && result.overCount / result.periodCount >= minShare)
+    .sort((a, b) => b.overCount / b.periodCount - a.overCount / a.periodCount || b.overCount - a.overCount);
+}
@@ -0,0 +1,139 @@
+/**
+ * Categorisation rules
+ * Match imported statement lines to a bucket (and optionally an item) by
+ * payee, amount range and account. Rules are tried in priority order and the
+ * first match wins. Amounts follow the ledger convention: positive is spent.
+ */
+
+export const PAYEE_MATCH_TYPES = ['contains', 'regex'];
+
+/**
+ * Order rules for matching: lowest priority number first, then by creation order
+ * @param {Array} rules
+ * @returns {Array} New sorted array
+ */
+export function sortRules(rules) {
+  return [...rules].sort((a, b) =>
+    (a.priority ?? 0) - (b.priority ?? 0) || String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * Whether a regex pattern compiles
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function payeeMatches(rule, payee) {
+  const value = String(rule.payeeValue || '');
+  if (!value) return true;
+
+  if (rule.payeeMatch === 'regex') {
+    if (!isValidPattern(value)) return false;
+    return new RegExp(value, 'i').test(payee);
+  }
+  return payee.toLowerCase().includes(value.toLowerCase());
+}
+
+/**
+ * Whether a rule applies to a statement line. Empty conditions match anything,
+ * but a rule must have at least one condition to match at all.
+ * @param {Object} rule - { payeeMatch, payeeValue, minAmountCents, maxAmountCents, account }
+ * @param {Object} line - { payee, amountCents, account }
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, line) {
+  const hasMin = Number.isFinite(rule.minAmountCents);
+  const hasMax = Number.isFinite(rule.maxAmountCents);
+  if (!rule.payeeValue && !hasMin && !hasMax && !rule.account) return false;
+
+  if (!payeeMatches(rule, String(line.payee || ''))) return false;
+  if (hasMin && line.amountCents < rule.minAmountCents) return false;
+  if (hasMax && line.amountCents > rule.maxAmountCents) return false;
+  if (rule.account && String(line.account || '').trim().toLowerCase() !== rule.account.trim().toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * First enabled rule that matches a line and points at a bucket in this budget
+ * @param {Array} rules - Rules in any order
+ * @param {Object} line - Statement line
+ * @param {Set<string>} [bucketIds] - Buckets in the open budget; rules for others are skipped
+ * @returns {Object|null}
+ */
+export function findMatchingRule(rules, line, bucketIds) {
+  return sortRules(rules).find(rule =>
+    rule.enabled !== false &&
+    (!bucketIds || bucketIds.has(rule.bucketId)) &&
+    ruleMatches(rule, line)) || null;
+}
+
+/**
+ * Dry run: which rule would categorise each line
+ * @param {Array} rules
+ * @param {Array} lines - Uncategorised inbox lines
+ * @param {Set<string>} [bucketIds]
+ * @returns {Array<{line: Object, rule: Object|null}>}
+ */
+export function previewRules(rules, lines, bucketIds) {
+  return lines.map(line => ({ line, rule: findMatchingRule(rules, line, bucketIds) }));
+}
+
+/**
+ * The stable part of a bank description: leading words before card numbers,
+ * references and locations, e.g. "WOOLWORTHS 1234 SYDNEY" -> "WOOLWORTHS"
+ * @param {string} payee
+ * @returns {string}
+ */
+export function payeeKeyword(payee) {
+  const words = String(payee || '').trim().split(/\s+/).filter(Boolean);
+  const kept = [];
+  for (const word of words) {
+    if (/\d/.test(word) || kept.length === 3) break;
+    kept.push(word);
+  }
+  return (kept.length ? kept : words.slice(0, 1)).join(' ');
+}
+
+/**
+ * Suggest a rule from a manual assignment, unless a rule already covers it
+ * @param {Object} line - The assigned statement line
+ * @param {string} bucketId
+ * @param {string|null} itemId
+ * @param {Array} rules - Existing rules
+ * @returns {Object|null} Draft rule
+ */
+export function suggestRule(line, bucketId, itemId, rules) {
+  const keyword = payeeKeyword(line.payee);
+  if (!keyword) return null;
+
+  const existing = findMatchingRule(rules, line);
+  if (existing && existing.bucketId === bucketId) return null;
+
+  // Goes after every other rule, or just ahead of a rule that sent it to the wrong bucket
+  const lastPriority = rules.reduce((max, rule) => Math.max(max, rule.priority ?? 0), 0);
+  const priority = existing
+    ? (existing.priority ?? 0) - 1
+    : (rules.length ? lastPriority + 1 : 0);
+
+  return {
+    payeeMatch: 'contains',
+    payeeValue: keyword,
+    minAmountCents: null,
+    maxAmountCents: null,
+    account: '',
+    bucketId,
+    itemId: itemId || null,
+    priority,
+    enabled: true
+  };
+}
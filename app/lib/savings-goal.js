@@ -0,0 +1,130 @@
+/**
+ * Savings goals
+ * Projects a balance that earns interest and gets the same contribution at
+ * the end of every period. The rate is an effective annual rate, compounded
+ * each period. Savings buckets and the savings calculator page both use this,
+ * so they agree. Amounts can be dollars or cents as long as they match.
+ *
+ * A goal's saved amount comes from its savings bucket's ledger: an opening
+ * balance plus every contribution, less withdrawals. Entries are in cents.
+ */
+
+const PERIODS_PER_YEAR = { Weekly: 52, Fortnightly: 26, Monthly: 12, Quarterly: 4, Yearly: 1 };
+
+export const MILESTONE_PCTS = [25, 50, 75, 100];
+
+/**
+ * Growth per period equivalent to an effective annual rate
+ * @param {number} ratePct - Annual interest or expected return
+ * @param {string} frequency - Weekly | Fortnightly | Monthly | Quarterly | Yearly
+ * @returns {number}
+ */
+export function growthRate(ratePct, frequency) {
+  const periods = PERIODS_PER_YEAR[frequency] || 12;
+  return ratePct > 0 ? Math.pow(1 + ratePct / 100, 1 / periods) - 1 : 0;
+}
+
+/**
+ * Periods of contributions until the balance reaches the target
+ * @param {number} saved - Balance now
+ * @param {number} contribution - Added at the end of each period
+ * @param {number} ratePct - Annual rate
+ * @param {number} target
+ * @param {string} frequency
+ * @returns {number} 0 when already there, Infinity when never
+ */
+export function periodsToGoal(saved, contribution, ratePct, target, frequency) {
+  const r = growthRate(ratePct, frequency);
+  const P0 = isFinite(saved) ? saved : 0;
+  const c = isFinite(contribution) ? contribution : 0;
+  if (!isFinite(target) || target <= P0) return 0;
+
+  if (r <= 0) {
+    if (c <= 0) return Infinity;
+    return Math.ceil((target - P0) / c);
+  }
+  // Future value: P0(1+r)^n + c((1+r)^n - 1)/r = target, solved for n
+  if (c + r * P0 <= 0) return Infinity;
+  const n = Math.log((r * target + c) / (r * P0 + c)) / Math.log(1 + r);
+  // Rounding noise shouldn't add a period to an exact contributionForGoal amount
+  return Math.ceil(n - 1e-9);
+}
+
+/**
+ * Contribution per period that reaches the target in a number of periods
+ * @param {number} saved
+ * @param {number} target
+ * @param {number} ratePct
+ * @param {number} periods - At least 1
+ * @param {string} frequency
+ * @returns {number} 0 when interest alone gets there
+ */
+export function contributionForGoal(saved, target, ratePct, periods, frequency) {
+  const n = Math.max(1, Math.ceil(periods));
+  const r = growthRate(ratePct, frequency);
+  const grown = saved * Math.pow(1 + r, n);
+  if (grown >= target) return 0;
+  return r > 0
+    ? (target - grown) * r / (Math.pow(1 + r, n) - 1)
+    : (target - saved) / n;
+}
+
+/**
+ * Saved so far from the ledger
+ * @param {number} openingCents - Saved before the ledger started
+ * @param {Array} contributions - { amountCents } where withdrawals are negative
+ * @returns {number}
+ */
+export function savedFromLog(openingCents, contributions) {
+  return (contributions || []).reduce((sum, entry) => sum + (entry.amountCents || 0), openingCents || 0);
+}
+
+/**
+ * Balance at the end of each day with a contribution or withdrawal
+ * @param {number} openingCents
+ * @param {Array} contributions - { date, amountCents }
+ * @returns {Array<{date: string, balanceCents: number}>} In date order
+ */
+export function balanceHistory(openingCents, contributions) {
+  const points = [];
+  let balanceCents = openingCents || 0;
+
+  [...(contributions || [])]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(entry => {
+      balanceCents += entry.amountCents || 0;
+      const last = points[points.length - 1];
+      if (last && last.date === entry.date) {
+        last.balanceCents = balanceCents;
+      } else {
+        points.push({ date: entry.date, balanceCents });
+      }
+    });
+  return points;
+}
+
+/**
+ * Record the first day the balance reached each milestone. Recorded
+ * milestones keep their date even if a withdrawal later takes the balance
+ * back under them.
+ * @param {number} goalCents
+ * @param {number} openingCents
+ * @param {Array} contributions - { date, amountCents }
+ * @param {Array} recorded - { pct, reachedOn } already recorded
+ * @param {string} fallbackIso - Date for milestones the opening balance already met
+ * @returns {Array<{pct: number, reachedOn: string}>} Every milestone reached, lowest first
+ */
+export function recordMilestones(goalCents, openingCents, contributions, recorded, fallbackIso) {
+  if (!(goalCents > 0)) return [...(recorded || [])];
+
+  const history = balanceHistory(openingCents, contributions);
+  return MILESTONE_PCTS.map(pct => {
+    const existing = (recorded || []).find(milestone => milestone.pct === pct);
+    if (existing) return existing;
+
+    const thresholdCents = goalCents * pct / 100;
+    if ((openingCents || 0) >= thresholdCents) return { pct, reachedOn: fallbackIso };
+    const reached = history.find(point => point.balanceCents >= thresholdCents);
+    return reached ? { pct, reachedOn: reached.date } : null;
+  }).filter(Boolean);
+}
@@ -0,0 +1,245 @@
+/**
+ * Spreadsheet export
+ * Writes simple worksheets as CSV or as an Office Open XML workbook (.xlsx).
+ * A worksheet is { name, rows } where the first row is the header and each
+ * cell is a string, a number, null, or { value, formula } for a formula with
+ * its current result. Numbers are shown with two decimal places.
+ *
+ * The workbook is a zip archive written without compression, so no zip
+ * library is needed.
+ */
+
+/**
+ * A1-style reference for a zero-based column and row
+ * @param {number} column - 0 is column A
+ * @param {number} row - 0 is row 1
+ * @returns {string} e.g. cellRef(27, 4) -> "AB5"
+ */
+export function cellRef(column, row) {
+  let letters = '';
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return `${letters}${row + 1}`;
+}
+
+function cellValue(cell) {
+  return cell && typeof cell === 'object' ? cell.value : cell;
+}
+
+// Text a spreadsheet would run as a formula is kept as text
+function csvCell(cell) {
+  const value = cellValue(cell);
+  if (typeof value === 'number') return Number.isFinite(value) ? value.toFixed(2) : '';
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Worksheets as one CSV file: each sheet's name on a line of its own, then
+ * its rows, with a blank line between sheets. Formulas are written as their
+ * values.
+ * @param {Array} sheets - { name, rows }
+ * @returns {string} CSV with CRLF line endings
+ */
+export function sheetsToCsv(sheets) {
+  const lines = [];
+  sheets.forEach((sheet, index) => {
+    if (index > 0) lines.push('');
+    if (sheets.length > 1) lines.push(csvCell(sheet.name));
+    sheet.rows.forEach(row => lines.push(row.map(csvCell).join(',')));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters aren't allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Excel's limits: 31 characters, none of []:*?/\, and unique ignoring case
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base = String(sheet.name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+const STYLE_HEADER = 1;
+const STYLE_MONEY = 2;
+
+function worksheetXml(sheet) {
+  const rows = sheet.rows.map((row, rowIndex) => {
+    const cells = row.map((cell, column) => {
+      const ref = cellRef(column, rowIndex);
+      const value = cellValue(cell);
+      const formula = cell && typeof cell === 'object' && cell.formula;
+      if (formula) {
+        const cached = typeof value === 'number' && Number.isFinite(value) ? `<v>${value}</v>` : '';
+        return `<c r="${ref}" s="${STYLE_MONEY}"><f>${escapeXml(formula)}</f>${cached}</c>`;
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}" s="${rowIndex === 0 ? STYLE_HEADER : STYLE_MONEY}"><v>${value}</v></c>`;
+      }
+      if (value === null || value === undefined || value === '') return '';
+      const style = rowIndex === 0 ? ` s="${STYLE_HEADER}"` : '';
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const frozenHeader = '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `${frozenHeader}<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+function workbookFiles(sheets) {
+  const names = sheetNames(sheets);
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        names.map((name, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+        // Recalculate on open so formula results never go stale
+        '<calcPr fullCalcOnLoad="1"/></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        names.map((name, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      // Style 0 is the default, 1 bold for headers, 2 the built-in #,##0.00 format
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs></styleSheet>'
+    }
+  ];
+
+  sheets.forEach((sheet, i) => files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, text: worksheetXml(sheet) }));
+  return files;
+}
+
+function utf8Bytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | code >> 6, 0x80 | code & 0x3f);
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | code >> 12, 0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+    } else {
+      bytes.push(0xf0 | code >> 18, 0x80 | code >> 12 & 0x3f, 0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+    }
+  }
+  return bytes;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function uint16(value) {
+  return [value & 0xff, value >>> 8 & 0xff];
+}
+
+function uint32(value) {
+  return [value & 0xff, value >>> 8 & 0xff, value >>> 16 & 0xff, value >>> 24 & 0xff];
+}
+
+// Stored (uncompressed) zip archive; every entry is dated 1 January 1980
+function zipFiles(files) {
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+  const UTF8_NAMES = 0x0800;
+  const output = [];
+  const directory = [];
+
+  files.forEach(file => {
+    const name = utf8Bytes(file.name);
+    const data = utf8Bytes(file.text);
+    const crc = crc32(data);
+    const offset = output.length;
+    const common = [
+      ...uint16(20), ...uint16(UTF8_NAMES), ...uint16(0), ...uint16(0), ...uint16(DOS_DATE),
+      ...uint32(crc), ...uint32(data.length), ...uint32(data.length), ...uint16(name.length), ...uint16(0)
+    ];
+
+    output.push(...uint32(0x04034b50), ...common, ...name);
+    for (const byte of data) output.push(byte);
+    directory.push(
+      ...uint32(0x02014b50), ...uint16(20), ...common,
+      ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(offset), ...name
+    );
+  });
+
+  const directoryOffset = output.length;
+  output.push(...directory);
+  output.push(
+    ...uint32(0x06054b50), ...uint16(0), ...uint16(0), ...uint16(files.length), ...uint16(files.length),
+    ...uint32(directory.length), ...uint32(directoryOffset), ...uint16(0)
+  );
+  return Uint8Array.from(output);
+}
+
+/**
+ * Worksheets as an .xlsx workbook, one worksheet per sheet with a frozen header row
+ * @param {Array} sheets - { name, rows }
+ * @returns {Uint8Array} File contents
+ */
+export function sheetsToXlsx(sheets) {
+  return zipFiles(workbookFiles(sheets));
+}
@@ -0,0 +1,393 @@
+/**
+ * Bank statement import helpers
+ * Parses statement files into normalised lines for the import inbox.
+ * Line amounts follow the ledger convention: positive is money spent,
+ * negative is money received (refunds, income).
+ */
+
+/**
+ * Column mappings for common Australian bank CSV exports. These are starting
+ * points; the mapping step lets users adjust them if a bank changes its format.
+ */
+export const BUILTIN_PRESETS = [
+  {
+    id: 'builtin-commbank',
+    name: 'CommBank',
+    mapping: { hasHeader: false, dateFormat: 'DMY', dateColumn: 0, descriptionColumn: 2, amountMode: 'single', amountColumn: 1, invertAmounts: false }
+  },
+  {
+    id: 'builtin-anz',
+    name: 'ANZ',
+    mapping: { hasHeader: false, dateFormat: 'DMY', dateColumn: 0, descriptionColumn: 2, amountMode: 'single', amountColumn: 1, invertAmounts: false }
+  },
+  {
+    id: 'builtin-westpac',
+    name: 'Westpac',
+    mapping: { hasHeader: true, dateFormat: 'DMY', dateColumn: 1, descriptionColumn: 2, amountMode: 'split', debitColumn: 3, creditColumn: 4, invertAmounts: false }
+  },
+  {
+    id: 'builtin-nab',
+    name: 'NAB',
+    mapping: { hasHeader: true, dateFormat: 'DMY', dateColumn: 0, descriptionColumn: 5, amountMode: 'single', amountColumn: 1, invertAmounts: false }
+  },
+  {
+    id: 'builtin-ing',
+    name: 'ING',
+    mapping: { hasHeader: true, dateFormat: 'DMY', dateColumn: 0, descriptionColumn: 1, amountMode: 'split', creditColumn: 2, debitColumn: 3, invertAmounts: false }
+  }
+];
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Parse CSV text into rows of trimmed cells. Handles quoted cells, escaped
+ * quotes, embedded newlines and CRLF line endings; blank lines are dropped.
+ * @param {string} text - Raw file contents
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+function toIsoDate(year, month, day) {
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1) return null;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day > lastDay) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a statement date into ISO yyyy-mm-dd
+ * @param {string} value - e.g. 20/08/2025, 2025-08-20, 20 Aug 2025
+ * @param {string} dateFormat - DMY or MDY, for ambiguous numeric dates
+ * @returns {string|null}
+ */
+export function parseStatementDate(value, dateFormat = 'DMY') {
+  const str = String(value || '').trim();
+  let match = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+
+  match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  if (match) {
+    return dateFormat === 'MDY'
+      ? toIsoDate(+match[3], +match[1], +match[2])
+      : toIsoDate(+match[3], +match[2], +match[1]);
+  }
+
+  match = str.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})$/);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return toIsoDate(+match[3], MONTHS[match[2].toLowerCase()], +match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a statement amount into signed cents
+ * Understands $ signs, thousands separators, (parentheses) and DR/CR suffixes.
+ * @param {string} value
+ * @returns {number|null} Cents in the bank's sign convention, null if blank or invalid
+ */
+export function parseStatementAmount(value) {
+  let str = String(value ?? '').trim();
+  if (!str) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (/\s*DR$/i.test(str)) {
+    negative = !negative;
+    str = str.replace(/\s*DR$/i, '');
+  } else {
+    str = str.replace(/\s*CR$/i, '');
+  }
+
+  str = str.replace(/[^0-9.+-]/g, '');
+  if (str.startsWith('-')) {
+    negative = !negative;
+    str = str.slice(1);
+  } else if (str.startsWith('+')) {
+    str = str.slice(1);
+  }
+
+  const amount = parseFloat(str);
+  if (isNaN(amount)) return null;
+  const cents = Math.round(amount * 100);
+  return negative ? -cents : cents;
+}
+
+function normalizeDescription(description) {
+  return String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Give each line a stable fingerprint for duplicate detection. Identical lines
+ * in one statement (two coffees on the same day) get an occurrence suffix so
+ * both are kept, while the same pair in an overlapping statement still matches.
+ * Lines that already carry a bank transaction ID (OFX FITID) use that instead.
+ * @param {Array} lines - Statement lines
+ * @returns {Array} Lines with a fingerprint property
+ */
+export function fingerprintLines(lines) {
+  const seen = {};
+  return lines.map(line => {
+    if (line.externalId) {
+      return { ...line, fingerprint: `id:${line.externalId}` };
+    }
+    const key = `${line.date}|${line.amountCents}|${normalizeDescription(line.payee)}`;
+    seen[key] = (seen[key] || 0) + 1;
+    return { ...line, fingerprint: `${key}#${seen[key]}` };
+  });
+}
+
+/**
+ * Apply a column mapping to parsed CSV rows
+ * @param {Array<Array<string>>} rows - Output of parseCsv
+ * @param {Object} mapping - Column mapping (see BUILTIN_PRESETS)
+ * @returns {{lines: Array, errors: Array}} errors hold 1-based row numbers
+ */
+export function applyCsvMapping(rows, mapping) {
+  const lines = [];
+  const errors = [];
+  const firstDataRow = mapping.hasHeader ? 1 : 0;
+
+  rows.slice(firstDataRow).forEach((row, index) => {
+    const rowNumber = index + firstDataRow + 1;
+    const date = parseStatementDate(row[mapping.dateColumn], mapping.dateFormat);
+
+    let bankAmount;
+    if (mapping.amountMode === 'split') {
+      const debit = parseStatementAmount(row[mapping.debitColumn]);
+      const credit = parseStatementAmount(row[mapping.creditColumn]);
+      bankAmount = debit === null && credit === null
+        ? null
+        : Math.abs(credit || 0) - Math.abs(debit || 0);
+    } else {
+      bankAmount = parseStatementAmount(row[mapping.amountColumn]);
+    }
+
+    if (!date) {
+      errors.push({ row: rowNumber, reason: `Unrecognised date "${row[mapping.dateColumn] || ''}"` });
+      return;
+    }
+    if (bankAmount === null) {
+      errors.push({ row: rowNumber, reason: 'Missing amount' });
+      return;
+    }
+    if (mapping.invertAmounts) bankAmount = -bankAmount;
+
+    lines.push({
+      date,
+      payee: String(row[mapping.descriptionColumn] || '').replace(/\s+/g, ' ').trim(),
+      // Banks show money out as negative; the ledger records spending as positive
+      amountCents: -bankAmount,
+      account: mapping.account || ''
+    });
+  });
+
+  return { lines: fingerprintLines(lines), errors };
+}
+
+/**
+ * Flag lines whose fingerprint was already imported
+ * @param {Array} lines - Fingerprinted lines
+ * @param {Set<string>} existingFingerprints - Fingerprints already in the inbox
+ * @returns {Array} Lines with a duplicate flag
+ */
+export function markDuplicates(lines, existingFingerprints) {
+  return lines.map(line => ({ ...line, duplicate: existingFingerprints.has(line.fingerprint) }));
+}
+
+/**
+ * Work out which parser a statement file needs
+ * @param {string} fileName - Original file name
+ * @param {string} text - File contents
+ * @returns {string} ofx | qif | csv
+ */
+export function detectStatementFormat(fileName, text) {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  const head = String(text || '').slice(0, 500);
+
+  if (extension === 'ofx' || extension === 'qfx' || /OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (extension === 'qif' || /^\s*!Type:/i.test(head)) return 'qif';
+  return 'csv';
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// OFX 1.x is SGML and leaves leaf elements unclosed, so read up to the next tag or line end
+function ofxField(block, name) {
+  const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Parse an OFX or QFX (Quicken) statement, SGML or XML flavoured
+ * Each line keeps the bank's FITID as externalId, so its fingerprint stays the
+ * same however the statement dates or descriptions are trimmed next time.
+ * @param {string} text - File contents
+ * @returns {{lines: Array, errors: Array}} errors hold 1-based transaction numbers
+ */
+export function parseOfx(text) {
+  const input = String(text || '');
+  const lines = [];
+  const errors = [];
+
+  // Statements can hold several accounts; FITIDs are only unique within one
+  const statements = input.split(/<(?:STMTRS|CCSTMTRS)>/i).slice(1);
+  let transactionNumber = 0;
+
+  statements.forEach(statement => {
+    const accountId = ofxField(statement, 'ACCTID');
+    const blocks = statement.split(/<STMTTRN>/i).slice(1);
+
+    blocks.forEach(rawBlock => {
+      transactionNumber++;
+      const block = rawBlock.split(/<\/STMTTRN>/i)[0];
+      const posted = ofxField(block, 'DTPOSTED');
+      const date = posted.length >= 8
+        ? parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`)
+        : null;
+      const bankAmount = parseStatementAmount(ofxField(block, 'TRNAMT'));
+
+      if (!date) {
+        errors.push({ row: transactionNumber, reason: `Unrecognised date "${posted}"` });
+        return;
+      }
+      if (bankAmount === null) {
+        errors.push({ row: transactionNumber, reason: 'Missing amount' });
+        return;
+      }
+
+      const fitId = ofxField(block, 'FITID');
+      lines.push({
+        date,
+        payee: (ofxField(block, 'NAME') || ofxField(block, 'MEMO')).replace(/\s+/g, ' '),
+        amountCents: -bankAmount,
+        account: accountId,
+        externalId: fitId ? `${accountId}:${fitId}` : null
+      });
+    });
+  });
+
+  return { lines: fingerprintLines(lines), errors };
+}
+
+/**
+ * Guess whether numeric dates are day-first or month-first
+ * @param {Array<string>} values - Raw date strings
+ * @returns {string} DMY or MDY (DMY when nothing gives it away)
+ */
+export function guessDateFormat(values) {
+  for (const value of values) {
+    const match = String(value).trim().match(/^(\d{1,2})[-/.'](\d{1,2})/);
+    if (!match) continue;
+    if (+match[1] > 12) return 'DMY';
+    if (+match[2] > 12) return 'MDY';
+  }
+  return 'DMY';
+}
+
+/**
+ * Parse a QIF statement (Quicken, MoneyWiz and older finance tools)
+ * @param {string} text - File contents
+ * @param {string} [dateFormat] - DMY or MDY; guessed from the file when omitted
+ * @returns {{lines: Array, errors: Array, dateFormat: string}} errors hold 1-based record numbers
+ */
+export function parseQif(text, dateFormat) {
+  const records = [];
+  let record = {};
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) return;
+    if (line === '^') {
+      if (Object.keys(record).length > 0) records.push(record);
+      record = {};
+      return;
+    }
+    // First value wins; split lines (S, $, E) repeat codes and are ignored
+    const code = line[0];
+    if (!(code in record)) record[code] = line.slice(1).trim();
+  });
+  if (Object.keys(record).length > 0) records.push(record);
+
+  // Quicken writes two-digit years as 8/20'25 and pads the day and month with spaces (1/ 5'25)
+  const dates = records.map(r => String(r.D || '').replace(/\s+/g, '').replace(/'/, '/'));
+  const format = dateFormat || guessDateFormat(dates);
+  const lines = [];
+  const errors = [];
+
+  records.forEach((r, index) => {
+    const date = parseStatementDate(dates[index], format);
+    const bankAmount = parseStatementAmount(r.T ?? r.U);
+
+    if (!date) {
+      errors.push({ row: index + 1, reason: `Unrecognised date "${r.D || ''}"` });
+      return;
+    }
+    if (bankAmount === null) {
+      errors.push({ row: index + 1, reason: 'Missing amount' });
+      return;
+    }
+
+    lines.push({
+      date,
+      payee: String(r.P || r.M || '').replace(/\s+/g, ' '),
+      amountCents: -bankAmount,
+      account: ''
+    });
+  });
+
+  return { lines: fingerprintLines(lines), errors, dateFormat: format };
+}
@@ -0,0 +1,55 @@
+/**
+ * Payday transfers
+ * The Budget Buckets method moves every bucket's allocation into the bank
+ * account it is paid from as soon as pay lands. Buckets are grouped by
+ * account so there is one transfer to make per account, and the plan can be
+ * written out as CSV.
+ */
+
+/**
+ * Group bucket allocations into one transfer per bank account
+ * @param {Array} buckets - { id, name, account, amountCents }
+ * @returns {Array} [{ account, totalCents, buckets: [{ id, name, amountCents }] }],
+ *   largest transfer first. Buckets without an account are grouped under ''
+ *   and listed last: their money stays in the account pay lands in.
+ */
+export function groupTransfers(buckets) {
+  const groups = new Map();
+
+  buckets
+    .filter(bucket => bucket.amountCents > 0)
+    .forEach(bucket => {
+      const account = String(bucket.account || '').trim();
+      if (!groups.has(account)) groups.set(account, { account, totalCents: 0, buckets: [] });
+      const group = groups.get(account);
+      group.totalCents += bucket.amountCents;
+      group.buckets.push({ id: bucket.id, name: bucket.name, amountCents: bucket.amountCents });
+    });
+
+  return [...groups.values()].sort((a, b) =>
+    (a.account === '') - (b.account === '') || b.totalCents - a.totalCents || a.account.localeCompare(b.account));
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Transfer plan as CSV: a row per bucket, then the account's total
+ * @param {Array} groups - groupTransfers result
+ * @param {Object} [options] - { payAccountLabel } for the '' group
+ * @returns {string} CSV with CRLF line endings
+ */
+export function transfersCsv(groups, options = {}) {
+  const payAccountLabel = options.payAccountLabel || 'Pay account';
+  const rows = [['Account', 'Bucket', 'Amount']];
+
+  groups.forEach(group => {
+    const account = group.account || payAccountLabel;
+    group.buckets.forEach(bucket => rows.push([account, bucket.name, (bucket.amountCents / 100).toFixed(2)]));
+    rows.push([account, 'Total', (group.totalCents / 100).toFixed(2)]);
+  });
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,214 @@
+/**
+ * Local Storage Module for Budget Buckets
+ * Keeps a copy of each budget in IndexedDB, plus a durable outbox of budget
+ * writes that Firestore hasn't accepted yet. Edits made offline survive a
+ * reload, and the app can start from the device copy without a connection.
+ * Each budget's ledger is kept alongside (userData `ledger/{budgetId}`), so
+ * spent figures can still be worked out offline.
+ *
+ * The outbox holds at most one write per budget: every write is the whole
+ * budget document, so a newer one replaces any still waiting. Ledger entries
+ * are queued one record per transaction, to add or delete it. Each write keeps
+ * the saved version its edits were made against ({ revision, data }), which is
+ * what a conflicting save is merged against.
+ */
+
+const DB_NAME = 'budget-buckets';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('budgets', { keyPath: 'key' }).createIndex('uid', 'uid');
+            db.createObjectStore('outbox', { keyPath: 'key' }).createIndex('uid', 'uid');
+            // Per-user lists the budget needs to render, such as bank accounts
+            db.createObjectStore('userData', { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let the next call try again (e.g. after private browsing blocked it)
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+// Run one request in its own transaction and resolve once it has committed
+async function runRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName), transaction);
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function stripKeys(record) {
+    const { key, uid, ...rest } = record;
+    return rest;
+}
+
+// Budget copies
+async function saveBudgetCopy(uid, budget) {
+    if (!uid || !budget?.id) {
+        throw new Error('User and budget ID are required');
+    }
+
+    await runRequest('budgets', 'readwrite', store => store.put({
+        key: `${uid}/${budget.id}`,
+        uid,
+        id: budget.id,
+        name: budget.name || '',
+        revision: budget.revision || 0,
+        settings: budget.settings || {},
+        expenses: budget.expenses || [],
+        savings: budget.savings || [],
+        debt: budget.debt || [],
+        netWorth: budget.netWorth || { assets: [], liabilities: [] },
+        savedLocallyAt: new Date().toISOString()
+    }));
+}
+
+async function listBudgetCopies(uid) {
+    const records = await runRequest('budgets', 'readonly', store => store.index('uid').getAll(uid));
+    return (records || []).map(stripKeys);
+}
+
+async function readBudgetCopy(uid, budgetId) {
+    const record = await runRequest('budgets', 'readonly', store => store.get(`${uid}/${budgetId}`));
+    return record ? stripKeys(record) : null;
+}
+
+// Forget a deleted budget: its copy, its ledger and any writes still waiting for it
+async function deleteBudgetCopy(uid, budgetId) {
+    await runRequest('budgets', 'readwrite', store => store.delete(`${uid}/${budgetId}`));
+    await runRequest('userData', 'readwrite', store => store.delete(`${uid}/ledger/${budgetId}`));
+    await runRequest('outbox', 'readwrite', store => {
+        const request = store.index('uid').getAll(uid);
+        request.onsuccess = () => request.result
+            .filter(write => write.budgetId === budgetId)
+            .forEach(write => store.delete(write.key));
+        return request;
+    });
+}
+
+// Outbox
+// A write replacing one still waiting keeps that write's base, since the
+// edits in both were made against it. rebase replaces it after a merge.
+async function queueBudgetWrite(uid, budgetId, data, { base = null, rebase = false } = {}) {
+    if (!uid || !budgetId) {
+        throw new Error('User and budget ID are required');
+    }
+
+    const key = `${uid}/budget/${budgetId}`;
+    await runRequest('outbox', 'readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => store.put({
+            key,
+            uid,
+            type: 'updateBudget',
+            budgetId,
+            data,
+            base: (!rebase && request.result?.base) || base,
+            queuedAt: Date.now()
+        });
+        return request;
+    });
+}
+
+// type is addTransaction or deleteTransaction; deleting replaces an addition
+// still waiting, since removing a transaction Firestore never got is harmless
+async function queueTransactionWrite(uid, budgetId, type, transaction) {
+    if (!uid || !budgetId || !transaction?.id) {
+        throw new Error('User, budget and transaction ID are required');
+    }
+
+    await runRequest('outbox', 'readwrite', store => store.put({
+        key: `${uid}/transaction/${budgetId}/${transaction.id}`,
+        uid,
+        type,
+        budgetId,
+        data: transaction,
+        queuedAt: Date.now()
+    }));
+}
+
+// Oldest first
+async function listPendingWrites(uid) {
+    const records = await runRequest('outbox', 'readonly', store => store.index('uid').getAll(uid));
+    return (records || []).sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+// Remove a write once Firestore has it. A newer write that replaced it
+// meanwhile stays, now based on the version just saved.
+async function completeWrite(write, saved) {
+    await runRequest('outbox', 'readwrite', store => {
+        const request = store.get(write.key);
+        request.onsuccess = () => {
+            const current = request.result;
+            if (current?.queuedAt === write.queuedAt) {
+                store.delete(write.key);
+            } else if (current && saved) {
+                store.put({ ...current, base: saved });
+            }
+        };
+        return request;
+    });
+}
+
+// Other per-user data
+async function saveUserCopy(uid, name, value) {
+    await runRequest('userData', 'readwrite', store => store.put({ key: `${uid}/${name}`, value }));
+}
+
+async function readUserCopy(uid, name) {
+    const record = await runRequest('userData', 'readonly', store => store.get(`${uid}/${name}`));
+    return record ? record.value : null;
+}
+
+const localStore = {
+    // Budget copies
+    saveBudgetCopy,
+    listBudgetCopies,
+    readBudgetCopy,
+    deleteBudgetCopy,
+
+    // Outbox
+    queueBudgetWrite,
+    queueTransactionWrite,
+    listPendingWrites,
+    completeWrite,
+
+    // Other per-user data
+    saveUserCopy,
+    readUserCopy
+};
+
+export default localStore;
+export {
+    saveBudgetCopy,
+    listBudgetCopies,
+    readBudgetCopy,
+    deleteBudgetCopy,
+    queueBudgetWrite,
+    queueTransactionWrite,
+    listPendingWrites,
+    completeWrite,
+    saveUserCopy,
+    readUserCopy
+};
@@ -0,0 +1,62 @@
+/**
+ * Service worker registration for Budget Buckets
+ * Registers /sw.js and, on pages with an #updateBanner, offers to reload
+ * when a new build has been installed in the background.
+ */
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let updateAccepted = false;
+
+function offerUpdate(worker) {
+    const banner = document.getElementById('updateBanner');
+    if (!banner) return;
+
+    banner.hidden = false;
+    banner.querySelector('.update-reload').onclick = () => {
+        updateAccepted = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    banner.querySelector('.update-dismiss').onclick = () => {
+        banner.hidden = true;
+    };
+}
+
+async function registerServiceWorker() {
+    try {
+        const registration = await navigator.serviceWorker.register('/sw.js');
+
+        // A controller means this isn't the first install, so a waiting worker is an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+
+        // The app stays open for days on phones; look for a new build now and then
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
+}
+
+if ('serviceWorker' in navigator) {
+    // Only reload for an update the user asked for, not the first install claiming the page
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) {
+            window.location.reload();
+        }
+    });
+
+    if (document.readyState === 'complete') {
+        registerServiceWorker();
+    } else {
+        window.addEventListener('load', registerServiceWorker);
+    }
+}
@@ -1,4 +1,7 @@
 // Calculators page JavaScript
+// Same goal maths as savings buckets in the app
+import { periodsToGoal } from '/app/lib/savings-goal.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   const $ = s => document.querySelector(s);
   const $$ = s => [...document.querySelectorAll(s)];
@@ -217,23 +220,6 @@ document.addEventListener('DOMContentLoaded', () => {
     return amount;
   }
 
-  function monthsToGoal(P0, cMonthly, annualRate, target) {
-    const r = Math.pow(1 + (annualRate/100), 1/12) - 1;
-    if (!isFinite(P0)) P0 = 0;
-    if (!isFinite(cMonthly)) cMonthly = 0;
-    if (!isFinite(target)) target = 0;
-    if (target <= P0) return 0;
-    if (r <= 0) {
-      if (cMonthly <= 0) return Infinity;
-      return Math.ceil((target - P0) / cMonthly);
-    }
-    const numerator = cMonthly + r*P0;
-    const denom = cMonthly + r*P0 - r*target;
-    if (denom <= 0) return Infinity;
-    const n = Math.log(numerator/denom) / Math.log(1+r);
-    return Math.ceil(Math.max(0, n));
-  }
-
   const fmtMoney = (v, c) => {
     const locale = c === 'AUD' ? 'en-AU' : c === 'USD' ? 'en-US' : c === 'GBP' ? 'en-GB' : c === 'NZD' ? 'en-NZ' : 'en-AU';
     return new Intl.NumberFormat(locale, { style: 'currency', currency: c }).format(isFinite(v) ? v : 0);
@@ -246,7 +232,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const cMonthly = toMonthly(contrib, sc.freq.value);
     const rate = parseFloat(sc.rate.value || '0') || 0;
     const target = parseFloat(sc.target.value || '0') || 0;
-    const months = monthsToGoal(P0, cMonthly, rate, target);
+    const months = periodsToGoal(P0, cMonthly, rate, target, 'Monthly');
     
     sc.out.cm.textContent = fmtMoney(cMonthly, sc.curr.value);
     sc.out.months.textContent = months === Infinity ? '—' : String(months);
@@ -38,12 +38,15 @@ import {
   setDoc,
   updateDoc,
   deleteDoc,
+  onSnapshot,
   query,
   orderBy,
   limit,
   where,
   serverTimestamp,
+  increment,
   writeBatch,
+  runTransaction,
   enableMultiTabIndexedDbPersistence
 } from 'https://www.gstatic.com/firebasejs/10.12.4/firebase-firestore.js';
 
@@ -377,6 +380,7 @@ const authHelpers = {
         planSelected: userData.planSelected || false,
         subscriptionId: userData.subscriptionId,
         stripeCustomerId: userData.stripeCustomerId,
+        lastBudgetId: userData.lastBudgetId || null,
         createdAt: userData.createdAt,
         updatedAt: userData.updatedAt
       };
@@ -558,6 +562,9 @@ const firestoreHelpers = {
   // Get server timestamp
   serverTimestamp,
   
+  // Atomic counter update
+  increment,
+  
   // Create document reference
   doc: (path, ...pathSegments) => doc(db, path, ...pathSegments),
   
@@ -581,9 +588,15 @@ const firestoreHelpers = {
   updateDoc,
   deleteDoc,
   
+  // Real-time listeners
+  onSnapshot,
+  
   // Batch operations
   writeBatch: () => writeBatch(db),
   
+  // Transactions
+  runTransaction: (updateFunction) => runTransaction(db, updateFunction),
+  
   // Network control
   enableNetwork: () => enableNetwork(db),
   disableNetwork: () => disableNetwork(db)
@@ -8,6 +8,7 @@ const path = require('path');
 const compression = require('compression');
 const helmet = require('helmet');
 const fs = require('fs');
+const crypto = require('crypto');
 const Stripe = require('stripe');
 const admin = require('firebase-admin');
 
@@ -93,6 +94,10 @@ app.use(helmet({
         // Stripe API
         "https://api.stripe.com",
         "https://r.stripe.com", // Optional Stripe radar
+        // CDN libraries cached by the service worker
+        "https://cdn.jsdelivr.net",
+        "https://unpkg.com",
+        "https://cdnjs.cloudflare.com",
         // dev tools / local testing
         "http://localhost:*", "ws://localhost:*"
       ],
@@ -121,6 +126,33 @@ app.use(compression());
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// Service worker: stamped with a hash of the files it caches, so any deploy
+// that changes them installs a new worker, and never cached by the browser
+function hashFiles(hash, dir) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const filepath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      hashFiles(hash, filepath);
+    } else {
+      hash.update(entry.name).update(fs.readFileSync(filepath));
+    }
+  }
+  return hash;
+}
+
+const serviceWorkerPath = path.join(__dirname, 'sw.js');
+const serviceWorkerBuild = ['app', 'auth', 'assets', 'views']
+  .reduce((hash, dir) => hashFiles(hash, path.join(__dirname, dir)), crypto.createHash('sha256'))
+  .update(fs.readFileSync(serviceWorkerPath))
+  .digest('hex')
+  .slice(0, 12);
+
+app.get('/sw.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(fs.readFileSync(serviceWorkerPath, 'utf8').replace('__BUILD_ID__', serviceWorkerBuild));
+});
+
 // Serve static assets with long cache
 app.use('/assets', express.static(path.join(__dirname, 'assets'), { maxAge: '1y' }));
 
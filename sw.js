@@ -0,0 +1,189 @@
+/**
+ * Service worker for Budget Buckets
+ * Precaches the app shell and the CDN modules it imports so the installed app
+ * opens without a connection, and serves the marketing pages
+ * stale-while-revalidate.
+ *
+ * server.js stamps BUILD_ID with a hash of the deployed files, so every deploy
+ * that changes them installs a new worker. The new worker waits until the
+ * page accepts the update prompt (app/sw-register.js) and then takes over.
+ */
+
+const BUILD_ID = '__BUILD_ID__';
+const SHELL_CACHE = `shell-${BUILD_ID}`;
+const PAGES_CACHE = 'pages-v1';
+const CDN_CACHE = 'cdn-v1';
+
+const APP_SHELL = [
+  '/app/index.html',
+  '/app/styles.css',
+  '/app/app.js',
+  '/app/app-init.js',
+  '/app/account.js',
+  '/app/cloud-store.js',
+  '/app/local-store.js',
+  '/app/sw-register.js',
+  '/app/lib/accounts.js',
+  '/app/lib/billing-client.js',
+  '/app/lib/bills.js',
+  '/app/lib/bucket-store.js',
+  '/app/lib/budget-file.js',
+  '/app/lib/cash-flow.js',
+  '/app/lib/debt-planner.js',
+  '/app/lib/frequency.js',
+  '/app/lib/ledger.js',
+  '/app/lib/live-sync.js',
+  '/app/lib/net-worth.js',
+  '/app/lib/offline-sync.js',
+  '/app/lib/periods.js',
+  '/app/lib/plan.js',
+  '/app/lib/reports.js',
+  '/app/lib/rules.js',
+  '/app/lib/savings-goal.js',
+  '/app/lib/spreadsheet.js',
+  '/app/lib/statement-import.js',
+  '/app/lib/transfers.js',
+  '/auth/firebase.js',
+  '/auth/guard.js',
+  '/budgetbuckets.webmanifest',
+  '/assets/img/budget-buckets-dollar.ico',
+  '/assets/img/apple-touch-icon-dollar.png',
+  '/assets/img/icon-dollar-192.png'
+];
+
+// Versioned URLs, so a cached copy never goes stale
+const CDN_MODULES = [
+  'https://cdn.jsdelivr.net/npm/sortablejs@1.15.2/modular/sortable.esm.js',
+  'https://cdn.jsdelivr.net/npm/date-fns@3.6.0/+esm',
+  'https://cdn.jsdelivr.net/npm/lodash.debounce@4.0.8/+esm',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.12.4/firebase-firestore.js',
+  'https://unpkg.com/@popperjs/core@2',
+  'https://unpkg.com/tippy.js@6',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js',
+  'https://cdn.jsdelivr.net/npm/autosize@6.0.1/dist/autosize.min.js',
+  'https://cdn.jsdelivr.net/npm/tinycolor2@1.6.0/dist/tinycolor-min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'www.gstatic.com', 'unpkg.com', 'cdnjs.cloudflare.com'];
+
+// Rendered by server.js from views/pages
+const MARKETING_PAGES = [
+  '/', '/home', '/pricing', '/pricing/', '/guide', '/guide/budget-buckets-method', '/method',
+  '/calculators', '/calculator', '/privacy', '/terms', '/support'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await Promise.all(APP_SHELL.map(async url => {
+      const response = await fetch(url, { cache: 'reload' });
+      if (!response.ok) throw new Error(`Failed to precache ${url}: ${response.status}`);
+      await shell.put(url, await unredirected(response));
+    }));
+
+    // A CDN hiccup shouldn't block the install; anything missed is cached on first use
+    const cdn = await caches.open(CDN_CACHE);
+    await Promise.all(CDN_MODULES.map(async url => {
+      if (await cdn.match(url)) return;
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (response.ok) await cdn.put(url, response);
+      } catch (error) {
+        console.warn(`Failed to precache ${url}:`, error);
+      }
+    }));
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, PAGES_CACHE, CDN_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Sent by the update prompt
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate' && isAppPage(url.pathname)) {
+      event.respondWith(appShell(request));
+    } else if (request.mode === 'navigate' && MARKETING_PAGES.includes(url.pathname)) {
+      event.respondWith(staleWhileRevalidate(event, PAGES_CACHE));
+    } else if (url.pathname.startsWith('/assets/')) {
+      event.respondWith(staleWhileRevalidate(event, PAGES_CACHE));
+    } else if (APP_SHELL.includes(url.pathname)) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+    // Everything else, including /api and /auth, goes to the network as usual
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, CDN_CACHE));
+  }
+});
+
+// Same rule as the server's SPA fallback: /app and anything under it without a file extension
+function isAppPage(pathname) {
+  return pathname === '/app' || pathname === '/app/index.html' ||
+    (pathname.startsWith('/app/') && !/\.[a-z0-9]+$/i.test(pathname));
+}
+
+async function appShell(request) {
+  const cached = await caches.match('/app/index.html', { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses come from classic <script> tags without CORS; they're still usable
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(async response => {
+    if (response.ok) {
+      await cache.put(event.request, await unredirected(response.clone()));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Pages can't be answered with a redirected response (Firebase Hosting's clean URLs redirect)
+async function unredirected(response) {
+  if (!response.redirected) return response;
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
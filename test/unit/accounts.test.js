@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the bank account registry
+ * Tests app/lib/accounts.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  accountKey,
+  accountsMatch,
+  guessAccountType,
+  planAccountMigration
+} = loadModule('app/lib/accounts.js');
+
+describe('Bank Accounts', () => {
+  describe('accountsMatch', () => {
+    test('ignores case, punctuation and generic words', () => {
+      expect(accountKey('ING - Savings Account')).toBe('ing savings');
+      expect(accountsMatch('ING Savings', 'ing savings')).toBe(true);
+      expect(accountsMatch('ING Savings', 'ING - savings')).toBe(true);
+      expect(accountsMatch('Bills & Rent', 'bills and rent acct')).toBe(true);
+    });
+
+    test('forgives one typo in a longer name', () => {
+      expect(accountsMatch('ING Savings', 'ING Savngs')).toBe(true);
+      expect(accountsMatch('INGSavings', 'ING Savings')).toBe(true);
+      expect(accountsMatch('Bills', 'Gills')).toBe(false);
+    });
+
+    test('keeps numbered accounts apart', () => {
+      expect(accountsMatch('Saver 1', 'Saver 2')).toBe(false);
+      expect(accountsMatch('Everyday 1234', 'Everyday 1243')).toBe(false);
+    });
+
+    test('never matches an empty name', () => {
+      expect(accountsMatch('', 'Account')).toBe(false);
+    });
+  });
+
+  test('guesses the account type from its name', () => {
+    expect(guessAccountType('ING Savings Maximiser')).toBe('savings');
+    expect(guessAccountType('Amex Platinum')).toBe('credit');
+    expect(guessAccountType('Home loan offset')).toBe('offset');
+    expect(guessAccountType('Car loan')).toBe('loan');
+    expect(guessAccountType('Main Checking')).toBe('everyday');
+  });
+
+  describe('planAccountMigration', () => {
+    test('links names to existing accounts', () => {
+      const plan = planAccountMigration(['ing savings'], [{ id: 'acc1', name: 'ING Savings' }]);
+      expect(plan).toEqual({ matched: { 'ing savings': 'acc1' }, toCreate: [] });
+    });
+
+    test('creates one account per distinct name, using the most common spelling', () => {
+      const plan = planAccountMigration(
+        ['ING - savings', 'ING Savings', 'ING Savings', 'Bills', ' ', 'ing savings'],
+        []
+      );
+      expect(plan.matched).toEqual({});
+      expect(plan.toCreate).toEqual([
+        { name: 'ING Savings', aliases: ['ING - savings', 'ING Savings', 'ing savings'] },
+        { name: 'Bills', aliases: ['Bills'] }
+      ]);
+    });
+  });
+});
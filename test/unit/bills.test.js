@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the bill schedule
+ * Tests app/lib/bills.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  assessBillCoverage,
+  recurrenceRule,
+  buildIcsCalendar
+} = loadModule('app/lib/bills.js');
+
+describe('Bill Schedule', () => {
+  describe('assessBillCoverage', () => {
+    test('flags bills the period allocation cannot cover', () => {
+      const bills = [
+        { bucketId: 'home', date: '2025-08-12', amountCents: 30000, periodOffset: 0 },
+        { bucketId: 'home', date: '2025-08-10', amountCents: 15000, periodOffset: 0 }
+      ];
+      const results = assessBillCoverage(bills, { home: { plannedCents: 40000 } });
+
+      expect(results.map(bill => bill.date)).toEqual(['2025-08-10', '2025-08-12']);
+      expect(results[0].covered).toBe(true);
+      expect(results[1]).toMatchObject({ covered: false, shortfallCents: 5000 });
+    });
+
+    test('counts the carry-over in the current period only', () => {
+      const bills = [
+        { bucketId: 'car', date: '2025-08-10', amountCents: 12000, periodOffset: 0 },
+        { bucketId: 'car', date: '2025-08-24', amountCents: 12000, periodOffset: 1 }
+      ];
+      const results = assessBillCoverage(bills, { car: { plannedCents: 10000, carryOverCents: 5000 } });
+      expect(results.map(bill => bill.covered)).toEqual([true, false]);
+    });
+
+    test('saves up for a lumpy bill in a surplus bucket', () => {
+      const rego = [{ bucketId: 'car', date: '2025-09-30', amountCents: 25000, periodOffset: 2 }];
+
+      const saving = assessBillCoverage(rego, { car: { plannedCents: 10000, rolloverPolicy: 'surplus' } });
+      expect(saving[0]).toMatchObject({ availableCents: 30000, covered: true });
+
+      const resetting = assessBillCoverage(rego, { car: { plannedCents: 10000, rolloverPolicy: 'reset' } });
+      expect(resetting[0]).toMatchObject({ availableCents: 10000, shortfallCents: 15000 });
+    });
+  });
+
+  describe('recurrenceRule', () => {
+    test('maps each frequency', () => {
+      expect(recurrenceRule('Fortnightly', '2025-08-01')).toBe('FREQ=WEEKLY;INTERVAL=2');
+      expect(recurrenceRule('Quarterly', '2025-08-15')).toBe('FREQ=MONTHLY;INTERVAL=3');
+      expect(recurrenceRule('Yearly', '2025-11-30')).toBe('FREQ=YEARLY');
+      expect(recurrenceRule('Daily', '2025-08-01')).toBe('');
+    });
+
+    test('falls back to the last day of short months', () => {
+      expect(recurrenceRule('Monthly', '2025-01-31')).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+      expect(recurrenceRule('Yearly', '2024-02-29')).toBe('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1');
+    });
+  });
+
+  describe('buildIcsCalendar', () => {
+    const now = new Date(Date.UTC(2025, 7, 1, 9, 30));
+    const ics = buildIcsCalendar([
+      { uid: 'rego@test', date: '2025-11-30', frequency: 'Yearly', summary: 'Car rego; NSW, $850', description: 'Transport bucket' }
+    ], { name: 'Home bills', now });
+
+    test('writes an all-day repeating event', () => {
+      expect(ics).toContain('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n');
+      expect(ics).toContain('DTSTAMP:20250801T093000Z\r\n');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20251130\r\nDTEND;VALUE=DATE:20251201\r\nRRULE:FREQ=YEARLY\r\n');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    test('escapes text values', () => {
+      expect(ics).toContain('SUMMARY:Car rego\\; NSW\\, $850\r\n');
+    });
+
+    test('folds long lines at 75 octets', () => {
+      const long = buildIcsCalendar([{ uid: 'x', date: '2025-08-01', frequency: 'Monthly', summary: 'é'.repeat(60) }], { now });
+      const lines = long.split('\r\n');
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(lines.some(line => line.startsWith(' é'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for budget export files
+ * Tests app/lib/budget-file.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  EXPORT_SCHEMA_VERSION,
+  buildExport,
+  readExport,
+  pairEntries,
+  diffBudgets,
+  mergeBudgets
+} = loadModule('app/lib/budget-file.js');
+
+describe('Budget Export Files', () => {
+  const budget = {
+    name: 'Household',
+    settings: { incomeAmount: 3200, currency: 'AUD' },
+    expenses: [
+      { id: 'rent', name: 'Rent', color: '#5ea8ff', orderIndex: 0, items: [] },
+      { id: 'food', name: 'Groceries', color: '#5eead4', orderIndex: 1, items: [] }
+    ],
+    savings: [{ id: 'emergency', name: 'Emergency', goal: { amountCents: 500000 }, items: [] }],
+    debt: [{ id: 'card', name: 'Credit card', debt: { aprPct: 19.99, balanceCents: 120000 }, items: [] }],
+    netWorth: { assets: [{ id: 'car', name: 'Car', valueCents: 900000 }], liabilities: [] }
+  };
+
+  describe('buildExport and readExport', () => {
+    test('round-trips every section including debt', () => {
+      const file = JSON.parse(JSON.stringify(buildExport(budget, { appVersion: '2.1.0', exportedAt: '2025-08-20T10:00:00.000Z' })));
+      const read = readExport(file);
+      expect(read.schemaVersion).toBe(EXPORT_SCHEMA_VERSION);
+      expect(read.appVersion).toBe('2.1.0');
+      expect(read.budget).toEqual(budget);
+    });
+
+    test('reads files from before the envelope', () => {
+      const read = readExport({ settings: budget.settings, expenses: budget.expenses, savings: [], exportDate: '2025-01-01T00:00:00.000Z' });
+      expect(read.schemaVersion).toBe(1);
+      expect(read.exportedAt).toBe('2025-01-01T00:00:00.000Z');
+      expect(read.budget.expenses).toHaveLength(2);
+    });
+
+    test('rejects other files and newer versions', () => {
+      expect(() => readExport([])).toThrow('not a budget export');
+      expect(() => readExport({ hello: 'world' })).toThrow('not a budget export');
+      expect(() => readExport({ format: 'budget-buckets', schemaVersion: EXPORT_SCHEMA_VERSION + 1, budget: {} }))
+        .toThrow('newer version');
+    });
+  });
+
+  describe('pairEntries', () => {
+    test('pairs by id, then by name case-insensitively', () => {
+      const { pairs, added, removed } = pairEntries(budget.expenses, [
+        { id: 'other', name: 'groceries ' },
+        { id: 'rent', name: 'Housing' },
+        { id: 'new', name: 'Pets' }
+      ]);
+      expect(pairs.map(pair => [pair.current.id, pair.incoming.id])).toEqual([['food', 'other'], ['rent', 'rent']]);
+      expect(added.map(entry => entry.id)).toEqual(['new']);
+      expect(removed).toEqual([]);
+    });
+  });
+
+  describe('diffBudgets', () => {
+    test('lists added, changed and removed buckets and changed settings', () => {
+      const incoming = {
+        ...budget,
+        settings: { ...budget.settings, incomeAmount: 3400 },
+        expenses: [{ ...budget.expenses[0], color: '#ef4444' }, { id: 'pets', name: 'Pets', items: [] }],
+        debt: []
+      };
+      const diff = diffBudgets(budget, incoming);
+      expect(diff.settings).toEqual(['incomeAmount']);
+      expect(diff.expenses).toEqual({ added: ['Pets'], changed: ['Rent'], removed: ['Groceries'], unchanged: 0 });
+      expect(diff.savings).toEqual({ added: [], changed: [], removed: [], unchanged: 1 });
+      expect(diff.debt.removed).toEqual(['Credit card']);
+      expect(diff.assets.unchanged).toBe(1);
+    });
+  });
+
+  describe('mergeBudgets', () => {
+    test('keeps settings, replaces pairs in place and appends new entries', () => {
+      const incoming = {
+        name: 'Imported',
+        settings: { incomeAmount: 1 },
+        expenses: [
+          { id: 'x1', name: 'Pets', orderIndex: 0, items: [] },
+          { id: 'x2', name: 'Rent', color: '#ef4444', orderIndex: 1, items: [] }
+        ],
+        savings: [],
+        debt: [],
+        netWorth: { assets: [], liabilities: [{ id: 'loan', name: 'Loan', valueCents: 100 }] }
+      };
+      const merged = mergeBudgets(budget, incoming);
+      expect(merged.name).toBe('Household');
+      expect(merged.settings).toBe(budget.settings);
+      expect(merged.expenses.map(b => [b.id, b.name, b.orderIndex])).toEqual([
+        ['rent', 'Rent', 0],
+        ['food', 'Groceries', 1],
+        ['x1', 'Pets', 2]
+      ]);
+      expect(merged.expenses[0].color).toBe('#ef4444');
+      expect(merged.savings).toEqual(budget.savings);
+      expect(merged.netWorth.liabilities).toHaveLength(1);
+      expect(merged.netWorth.assets).toEqual(budget.netWorth.assets);
+    });
+
+    test('clears ids that are already taken', () => {
+      const merged = mergeBudgets(budget, { expenses: [{ id: 'rent', name: 'Rent' }, { id: 'rent', name: 'Fuel' }] });
+      expect(merged.expenses.map(b => [b.id, b.name])).toEqual([['rent', 'Rent'], ['food', 'Groceries'], [undefined, 'Fuel']]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the cash-flow forecast
+ * Tests app/lib/cash-flow.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const { forecastBalances } = loadModule('app/lib/cash-flow.js');
+
+describe('Cash-flow Forecast', () => {
+  const periods = [
+    { start: '2025-09-04', end: '2025-09-18' },
+    { start: '2025-09-18', end: '2025-10-02' }
+  ];
+
+  test('carries each account balance from period to period', () => {
+    const [bills] = forecastBalances(periods, [
+      { date: '2025-09-04', account: 'Bills', amountCents: 50000 },
+      { date: '2025-09-10', account: 'Bills', amountCents: -30000 },
+      { date: '2025-09-18', account: 'Bills', amountCents: 50000 }
+    ], { Bills: 10000 });
+
+    expect(bills.periods.map(row => [row.inCents, row.outCents, row.closingCents]))
+      .toEqual([[50000, 30000, 30000], [50000, 0, 80000]]);
+    expect(bills.closingCents).toBe(80000);
+    expect(bills.negativePeriods).toBe(0);
+  });
+
+  test('flags a dip below zero even when payday restores the balance', () => {
+    const [bills] = forecastBalances(periods, [
+      { date: '2025-09-05', account: 'Bills', amountCents: -20000 },
+      { date: '2025-09-06', account: 'Bills', amountCents: 25000 }
+    ]);
+
+    expect(bills.periods[0]).toMatchObject({ closingCents: 5000, lowestCents: -20000, lowestDate: '2025-09-05', negative: true });
+    expect(bills.periods[1].negative).toBe(false);
+    expect(bills).toMatchObject({ negativePeriods: 1, lowestCents: -20000, lowestDate: '2025-09-05' });
+  });
+
+  test('credits money before debiting it on the same day', () => {
+    const [account] = forecastBalances(periods, [
+      { date: '2025-09-18', account: 'Bills', amountCents: -40000 },
+      { date: '2025-09-18', account: 'Bills', amountCents: 40000 }
+    ]);
+    expect(account.lowestCents).toBe(0);
+  });
+
+  test('lists named accounts alphabetically, the unnamed pay account last', () => {
+    const results = forecastBalances(periods, [
+      { date: '2025-09-04', account: '', amountCents: 100000 },
+      { date: '2025-09-04', account: 'Spending', amountCents: 100 }
+    ], { Bills: 0 });
+    expect(results.map(result => result.account)).toEqual(['Bills', 'Spending', '']);
+  });
+
+  test('ignores flows outside the forecast', () => {
+    const [account] = forecastBalances(periods, [{ date: '2025-10-02', account: 'Bills', amountCents: -100 }]);
+    expect(account.closingCents).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the debt payoff planner
+ * Tests app/lib/debt-planner.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  monthlyRate,
+  orderDebts,
+  simulatePayoff,
+  compareStrategies,
+  periodRate,
+  recordDebtPeriod,
+  amortisationSchedule,
+  scheduleVariance
+} = loadModule('app/lib/debt-planner.js');
+
+describe('Debt Payoff Planner', () => {
+  const debts = [
+    { id: 'card', name: 'Credit card', balanceCents: 500000, aprPct: 20, minPaymentCents: 15000 },
+    { id: 'car', name: 'Car loan', balanceCents: 1200000, aprPct: 8, minPaymentCents: 30000 },
+    { id: 'store', name: 'Store card', balanceCents: 80000, aprPct: 25, minPaymentCents: 5000 },
+    { id: 'friend', name: 'Family loan', balanceCents: 100000, aprPct: 0, minPaymentCents: 5000 }
+  ];
+
+  describe('orderDebts', () => {
+    test('avalanche pays the highest rate first', () => {
+      expect(orderDebts(debts, 'avalanche').map(d => d.id)).toEqual(['store', 'card', 'car', 'friend']);
+    });
+
+    test('snowball pays the smallest balance first', () => {
+      expect(orderDebts(debts, 'snowball').map(d => d.id)).toEqual(['store', 'friend', 'card', 'car']);
+    });
+
+    test('custom follows the given ids and puts the rest last', () => {
+      expect(orderDebts(debts, 'custom', ['car', 'friend']).map(d => d.id)).toEqual(['car', 'friend', 'card', 'store']);
+    });
+  });
+
+  describe('monthlyRate', () => {
+    test('compounds back to the annual rate', () => {
+      expect(Math.pow(1 + monthlyRate(12), 12)).toBeCloseTo(1.12);
+      expect(monthlyRate(0)).toBe(0);
+    });
+  });
+
+  describe('simulatePayoff', () => {
+    test('pays off a single interest-free debt', () => {
+      const result = simulatePayoff([{ id: 'a', balanceCents: 30000, aprPct: 0, minPaymentCents: 10000 }]);
+      expect(result).toMatchObject({ feasible: true, months: 3, totalInterestCents: 0, totalPaidCents: 30000 });
+    });
+
+    test('rolls freed-up minimums into the next debt', () => {
+      const result = simulatePayoff([
+        { id: 'small', name: 'Small', balanceCents: 10000, aprPct: 0, minPaymentCents: 5000 },
+        { id: 'big', name: 'Big', balanceCents: 40000, aprPct: 0, minPaymentCents: 5000 }
+      ], { strategy: 'snowball' });
+
+      expect(result.payoffs).toEqual([
+        { id: 'small', name: 'Small', month: 2 },
+        { id: 'big', name: 'Big', month: 5 }
+      ]);
+      expect(result.schedule[2]).toMatchObject({ targetId: 'big', freedCents: 5000, paidCents: 10000 });
+    });
+
+    test('puts the extra payment towards the first debt in the order', () => {
+      const result = simulatePayoff(debts, { strategy: 'avalanche', extraMonthlyCents: 20000 });
+      expect(result.feasible).toBe(true);
+      expect(result.payoffs[0].id).toBe('store');
+      expect(result.schedule[0].paidCents).toBe(15000 + 30000 + 5000 + 5000 + 20000);
+    });
+
+    test('reports a plan that never finishes', () => {
+      const result = simulatePayoff([{ id: 'a', balanceCents: 1000000, aprPct: 30, minPaymentCents: 1000 }]);
+      expect(result.feasible).toBe(false);
+      expect(result.months).toBe(Infinity);
+    });
+  });
+
+  describe('compareStrategies', () => {
+    test('avalanche never costs more interest than snowball', () => {
+      const results = compareStrategies(debts, { extraMonthlyCents: 20000 });
+      expect(results.avalanche.totalInterestCents).toBeLessThanOrEqual(results.snowball.totalInterestCents);
+      expect(Object.keys(results)).toEqual(['avalanche', 'snowball', 'custom']);
+    });
+  });
+
+  describe('amortisation', () => {
+    test('spreads the annual rate over the budget period', () => {
+      expect(Math.pow(1 + periodRate(10, 'Fortnightly'), 26)).toBeCloseTo(1.10);
+      expect(periodRate(12, 'Monthly')).toBeCloseTo(monthlyRate(12));
+    });
+
+    test('splits a payment into interest and principal', () => {
+      const row = recordDebtPeriod(100000, 12, 'Monthly', 5000);
+      expect(row.interestCents).toBe(949);
+      expect(row.principalCents).toBe(4051);
+      expect(row.balanceCents).toBe(95949);
+    });
+
+    test('records a shortfall as negative principal', () => {
+      const row = recordDebtPeriod(100000, 12, 'Monthly', 0);
+      expect(row.principalCents).toBe(-949);
+      expect(row.balanceCents).toBe(100949);
+    });
+
+    test('schedules payments until the balance is cleared', () => {
+      const { feasible, rows } = amortisationSchedule(100000, 0, 30000, 'Fortnightly');
+      expect(feasible).toBe(true);
+      expect(rows.map(row => row.paymentCents)).toEqual([30000, 30000, 30000, 10000]);
+      expect(rows[3]).toMatchObject({ period: 4, balanceCents: 0 });
+    });
+
+    test('reports a payment that never beats the interest', () => {
+      expect(amortisationSchedule(1000000, 30, 1000, 'Monthly')).toEqual({ feasible: false, rows: [] });
+    });
+  });
+
+  describe('scheduleVariance', () => {
+    const { rows } = amortisationSchedule(100000, 0, 10000, 'Monthly');
+
+    test('waits for the first closed period', () => {
+      expect(scheduleVariance(rows, [])).toBeNull();
+    });
+
+    test('is ahead after paying extra', () => {
+      const variance = scheduleVariance(rows, [{ balanceCents: 90000 }, { balanceCents: 70000 }]);
+      expect(variance).toMatchObject({ status: 'ahead', differenceCents: 10000, periodsAhead: 1 });
+    });
+
+    test('is behind after a missed payment', () => {
+      const variance = scheduleVariance(rows, [{ balanceCents: 100000 }, { balanceCents: 90000 }]);
+      expect(variance).toMatchObject({ status: 'behind', differenceCents: -10000, periodsAhead: -1 });
+    });
+
+    test('ignores rounding differences', () => {
+      expect(scheduleVariance(rows, [{ balanceCents: 90050 }]).status).toBe('on-schedule');
+    });
+  });
+});
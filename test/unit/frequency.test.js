@@ -0,0 +1,72 @@
+/**
+ * Unit tests for frequency conversion
+ * Tests app/lib/frequency.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  convertFrequency,
+  itemAmountPerPeriod,
+  incomePerPeriod,
+  frequencyUnit
+} = loadModule('app/lib/frequency.js');
+
+describe('Frequency Conversion', () => {
+  describe('convertFrequency', () => {
+    test('converts via a weekly figure', () => {
+      expect(convertFrequency(100, 'Weekly', 'Fortnightly')).toBe(200);
+      expect(convertFrequency(5200, 'Yearly', 'Weekly')).toBe(100);
+      expect(convertFrequency(1200, 'Monthly', 'Yearly')).toBeCloseTo(14400);
+    });
+
+    test('supports quarterly amounts', () => {
+      expect(convertFrequency(260, 'Quarterly', 'Fortnightly')).toBeCloseTo(40);
+      expect(convertFrequency(300, 'Quarterly', 'Yearly')).toBeCloseTo(1200);
+      expect(convertFrequency(100, 'Monthly', 'Quarterly')).toBeCloseTo(300);
+    });
+
+    test('returns 0 for unknown frequencies', () => {
+      expect(convertFrequency(100, 'Daily', 'Weekly')).toBe(0);
+    });
+  });
+
+  describe('itemAmountPerPeriod', () => {
+    test('spreads yearly and quarterly items over the pay period', () => {
+      expect(itemAmountPerPeriod({ amount: 780, frequency: 'Yearly' }, 'Fortnightly')).toBeCloseTo(30);
+      expect(itemAmountPerPeriod({ amount: 260, frequency: 'Quarterly' }, 'Weekly')).toBeCloseTo(20);
+    });
+
+    test('treats items without a frequency as per pay period', () => {
+      expect(itemAmountPerPeriod({ amount: 45 }, 'Fortnightly')).toBe(45);
+      expect(itemAmountPerPeriod({ amount: '12.5', frequency: null }, 'Monthly')).toBe(12.5);
+    });
+  });
+
+  describe('incomePerPeriod', () => {
+    const sources = [
+      { name: 'Salary', amount: 2600, frequency: 'Fortnightly' },
+      { name: 'Rental', amount: 1300, frequency: 'Monthly', isGross: true }
+    ];
+
+    test('normalises every source to the base period', () => {
+      expect(incomePerPeriod(sources, 'Fortnightly').total).toBeCloseTo(3200);
+      expect(incomePerPeriod(sources, 'Monthly').total).toBeCloseTo(2600 * 26 / 12 + 1300);
+    });
+
+    test('reports the gross share separately', () => {
+      expect(incomePerPeriod(sources, 'Fortnightly').gross).toBeCloseTo(600);
+    });
+
+    test('handles a budget with no sources', () => {
+      expect(incomePerPeriod(undefined, 'Weekly')).toEqual({ total: 0, gross: 0 });
+    });
+  });
+
+  describe('frequencyUnit', () => {
+    test('names the period', () => {
+      expect(frequencyUnit('Fortnightly')).toBe('fortnight');
+      expect(frequencyUnit('Quarterly')).toBe('quarter');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the transaction ledger helpers
+ * Tests app/lib/ledger.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  normalizeTransaction,
+  transactionsForBucket,
+  sumTransactionsCents,
+  spentByBucket
+} = loadModule('app/lib/ledger.js');
+
+describe('Transaction Ledger', () => {
+  const transactions = [
+    { id: 't1', bucketId: 'groceries', date: '2025-08-01', amountCents: 8450 },
+    { id: 't2', bucketId: 'groceries', date: '2025-08-08', amountCents: 9120 },
+    { id: 't3', bucketId: 'groceries', date: '2025-08-09', amountCents: -1200 },
+    { id: 't4', bucketId: 'transport', date: '2025-08-03', amountCents: 6000 }
+  ];
+
+  describe('normalizeTransaction', () => {
+    test('converts dollar amounts to cents', () => {
+      const tx = normalizeTransaction({ bucketId: 'b1', amount: '12.34', date: '2025-08-20' });
+      expect(tx.amountCents).toBe(1234);
+      expect(tx.date).toBe('2025-08-20');
+    });
+
+    test('keeps explicit cents and trims text fields', () => {
+      const tx = normalizeTransaction({ amountCents: 500, payee: '  Coles ', note: ' milk ' });
+      expect(tx.amountCents).toBe(500);
+      expect(tx.payee).toBe('Coles');
+      expect(tx.note).toBe('milk');
+    });
+
+    test('falls back to today for missing or malformed dates', () => {
+      const tx = normalizeTransaction({ amount: 1, date: '20/08/2025' });
+      expect(tx.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(tx.date).not.toBe('20/08/2025');
+    });
+
+    test('treats empty item links as null', () => {
+      expect(normalizeTransaction({ itemId: '' }).itemId).toBeNull();
+    });
+  });
+
+  describe('sumTransactionsCents', () => {
+    test('sums a single bucket and nets refunds', () => {
+      expect(sumTransactionsCents(transactions, 'groceries')).toBe(16370);
+    });
+
+    test('returns zero for buckets without transactions', () => {
+      expect(sumTransactionsCents(transactions, 'missing')).toBe(0);
+    });
+  });
+
+  describe('spentByBucket', () => {
+    test('totals every bucket in one pass', () => {
+      expect(spentByBucket(transactions)).toEqual({ groceries: 16370, transport: 6000 });
+    });
+  });
+
+  describe('transactionsForBucket', () => {
+    test('returns only the bucket transactions, newest first', () => {
+      const ids = transactionsForBucket(transactions, 'groceries').map(tx => tx.id);
+      expect(ids).toEqual(['t3', 't2', 't1']);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for live sync
+ * Tests app/lib/live-sync.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  sameValue,
+  budgetChanges,
+  hasChanges,
+  applyRemoteChanges,
+  budgetVersion,
+  mergeBudgetVersions,
+  replaceInPlace
+} = loadModule('app/lib/live-sync.js');
+
+describe('Live Sync', () => {
+  const rent = { id: 'b1', name: 'Rent', orderIndex: 0, items: [{ id: 'i1', name: 'Rent', amount: 900 }] };
+  const food = { id: 'b2', name: 'Food', orderIndex: 1, items: [] };
+  const holiday = { id: 's1', name: 'Holiday', type: 'saving', orderIndex: 0 };
+  const base = {
+    name: 'Home',
+    settings: { currency: 'AUD', incomeFrequency: 'Fortnightly' },
+    expenses: [rent, food],
+    savings: [holiday],
+    debt: [],
+    netWorth: { assets: [], liabilities: [] }
+  };
+
+  describe('sameValue', () => {
+    test('ignores key order and undefined fields', () => {
+      expect(sameValue({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1, d: undefined })).toBe(true);
+      expect(sameValue({ a: [1, 2] }, { a: [2, 1] })).toBe(false);
+      expect(sameValue([], {})).toBe(false);
+    });
+  });
+
+  describe('budgetChanges', () => {
+    test('finds nothing between identical snapshots', () => {
+      expect(hasChanges(budgetChanges(base, JSON.parse(JSON.stringify(base))))).toBe(false);
+    });
+
+    test('lists edited, added and removed buckets and changed settings', () => {
+      const remote = {
+        ...base,
+        name: 'Our home',
+        settings: { currency: 'AUD', incomeFrequency: 'Weekly' },
+        expenses: [{ ...rent, name: 'Mortgage' }, { id: 'b3', name: 'Car', orderIndex: 2 }],
+        savings: [holiday]
+      };
+      const changes = budgetChanges(base, remote);
+      expect(changes.buckets).toEqual([{ section: 'expenses', id: 'b1' }, { section: 'expenses', id: 'b3' }]);
+      expect(changes.removed).toEqual([{ section: 'expenses', id: 'b2' }]);
+      expect(changes.settings).toEqual(['incomeFrequency']);
+      expect(changes.name).toBe(true);
+      expect(changes.netWorth).toBe(false);
+    });
+  });
+
+  describe('applyRemoteChanges', () => {
+    test('takes the edited bucket and keeps local edits to the others', () => {
+      const local = { ...base, expenses: [rent, { ...food, name: 'Groceries' }] };
+      const remote = { ...base, expenses: [{ ...rent, items: [] }, food] };
+      const { budget, reorder } = applyRemoteChanges(local, remote, budgetChanges(base, remote));
+      expect(budget.expenses.map(b => b.name)).toEqual(['Rent', 'Groceries']);
+      expect(budget.expenses[0].items).toEqual([]);
+      expect(reorder).toBe(false);
+      expect(local.expenses[0]).toBe(rent);
+    });
+
+    test('adds, removes and reorders whole buckets', () => {
+      const remote = {
+        ...base,
+        expenses: [{ ...food, orderIndex: 0 }, { id: 'b3', name: 'Car', orderIndex: 1 }],
+        savings: []
+      };
+      const { budget, reorder } = applyRemoteChanges(base, remote, budgetChanges(base, remote));
+      expect(budget.expenses.map(b => b.id)).toEqual(['b2', 'b3']);
+      expect(budget.savings).toEqual([]);
+      expect(reorder).toBe(true);
+    });
+
+    test('moves a bucket between sections once', () => {
+      const remote = { ...base, expenses: [rent], debt: [{ ...food, type: 'debt' }] };
+      const { budget } = applyRemoteChanges(base, remote, budgetChanges(base, remote));
+      expect(budget.expenses.map(b => b.id)).toEqual(['b1']);
+      expect(budget.debt.map(b => b.id)).toEqual(['b2']);
+    });
+
+    test('copies changed settings and drops removed ones', () => {
+      const local = { ...base, settings: { ...base.settings, periodStartDate: '2025-08-01' } };
+      const remote = { ...base, settings: { currency: 'NZD' } };
+      const { budget } = applyRemoteChanges(local, remote, budgetChanges(base, remote));
+      expect(budget.settings).toEqual({ currency: 'NZD', periodStartDate: '2025-08-01' });
+    });
+  });
+
+  describe('merging a snapshot into unsaved edits', () => {
+    test('keeps this tab\'s edit to one item when another device edits a different item in the same bucket', () => {
+      const bills = { id: 'b1', name: 'Bills', orderIndex: 0, items: [{ id: 'i1', name: 'Power', amount: 120 }, { id: 'i2', name: 'Water', amount: 60 }] };
+      const synced = { ...base, expenses: [bills, food] };
+      const local = { ...synced, expenses: [{ ...bills, items: [{ ...bills.items[0], amount: 135 }, bills.items[1]] }, food] };
+      const remote = { ...synced, expenses: [{ ...bills, items: [bills.items[0], { ...bills.items[1], name: 'Water & sewerage' }] }, food] };
+
+      const merge = mergeBudgetVersions(synced, local, remote);
+      expect(merge.conflicts).toEqual([]);
+      const changes = budgetChanges(local, merge.budget);
+      expect(changes.buckets).toEqual([{ section: 'expenses', id: 'b1' }]);
+
+      const { budget, reorder } = applyRemoteChanges(local, merge.budget, changes);
+      expect(budget.expenses[0].items).toEqual([
+        { id: 'i1', name: 'Power', amount: 135 },
+        { id: 'i2', name: 'Water & sewerage', amount: 60 }
+      ]);
+      expect(reorder).toBe(false);
+    });
+  });
+
+  describe('replaceInPlace', () => {
+    test('updates buckets and items without replacing their objects', () => {
+      const item = { id: 'i1', name: 'Rent', amount: 900, note: 'old' };
+      const bucket = { id: 'b1', name: 'Rent', items: [item] };
+      const expenses = [bucket];
+      const next = [
+        { id: 'b1', name: 'Housing', items: [{ id: 'i1', name: 'Rent', amount: 950 }, { id: 'i2', name: 'Strata', amount: 80 }] },
+        { id: 'b2', name: 'Food', items: [] }
+      ];
+
+      const result = replaceInPlace(expenses, next);
+      expect(result).toBe(expenses);
+      expect(result[0]).toBe(bucket);
+      expect(bucket.items[0]).toBe(item);
+      expect(result).toEqual(next);
+      expect(replaceInPlace(expenses, [])).toEqual([]);
+      expect(replaceInPlace(5, { a: 1 })).toEqual({ a: 1 });
+    });
+  });
+
+  describe('budgetVersion', () => {
+    test('copies the merged fields and the revision', () => {
+      const version = budgetVersion({ ...base, id: 'x', revision: 4, updatedAt: new Date() });
+      expect(version.revision).toBe(4);
+      expect(Object.keys(version.data)).toEqual(['name', 'settings', 'expenses', 'savings', 'debt', 'netWorth']);
+      expect(version.data.expenses[0]).not.toBe(rent);
+      expect(budgetVersion({}).revision).toBe(0);
+    });
+  });
+
+  describe('mergeBudgetVersions', () => {
+    test('combines edits to different fields without conflicts', () => {
+      const local = {
+        ...base,
+        expenses: [{ ...rent, items: [{ ...rent.items[0], amount: 950 }] }, food]
+      };
+      const remote = {
+        ...base,
+        expenses: [
+          { ...rent, name: 'Mortgage', items: [...rent.items, { id: 'i2', name: 'Strata', amount: 80 }] }
+        ],
+        savings: [{ ...holiday, name: 'Japan' }]
+      };
+      const { budget, conflicts } = mergeBudgetVersions(base, local, remote);
+      expect(conflicts).toEqual([]);
+      expect(budget.expenses).toEqual([{
+        ...rent,
+        name: 'Mortgage',
+        items: [{ id: 'i1', name: 'Rent', amount: 950 }, { id: 'i2', name: 'Strata', amount: 80 }]
+      }]);
+      expect(budget.savings[0].name).toBe('Japan');
+    });
+
+    test('reports the same field changed on both sides and applies choices', () => {
+      const local = { ...base, expenses: [{ ...rent, items: [{ ...rent.items[0], amount: 950 }] }, food] };
+      const remote = { ...base, name: 'Ours', expenses: [{ ...rent, items: [{ ...rent.items[0], amount: 920 }] }, food] };
+      const { budget, conflicts } = mergeBudgetVersions(base, local, remote);
+      expect(conflicts).toEqual([{
+        key: 'expenses/b1/items/i1/amount',
+        field: 'amount',
+        label: 'Expenses › Rent › Rent › Amount',
+        local: 950,
+        remote: 920
+      }]);
+      expect(budget.expenses[0].items[0].amount).toBe(950);
+      expect(budget.name).toBe('Ours');
+
+      const resolved = mergeBudgetVersions(base, local, remote, { 'expenses/b1/items/i1/amount': 'remote' });
+      expect(resolved.conflicts).toEqual([]);
+      expect(resolved.budget.expenses[0].items[0].amount).toBe(920);
+    });
+
+    test('asks before dropping an entry the other side edited', () => {
+      const local = { ...base, expenses: [rent] };
+      const remote = { ...base, expenses: [rent, { ...food, name: 'Groceries' }] };
+      const { budget, conflicts } = mergeBudgetVersions(base, local, remote);
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ key: 'expenses/b2', label: 'Expenses › Groceries', local: undefined });
+      expect(budget.expenses.map(b => b.id)).toEqual(['b1']);
+      expect(mergeBudgetVersions(base, local, remote, { 'expenses/b2': 'remote' }).budget.expenses).toHaveLength(2);
+    });
+
+    test('keeps this device\'s derived figures without asking', () => {
+      const local = { ...base, settings: { ...base.settings, incomeAmount: 1000 }, expenses: [{ ...rent, spentThisPeriodCents: 500 }, food] };
+      const remote = { ...base, settings: { ...base.settings, incomeAmount: 1200 }, expenses: [{ ...rent, spentThisPeriodCents: 700 }, food] };
+      const { budget, conflicts } = mergeBudgetVersions(base, local, remote);
+      expect(conflicts).toEqual([]);
+      expect(budget.settings.incomeAmount).toBe(1000);
+      expect(budget.expenses[0].spentThisPeriodCents).toBe(500);
+    });
+  });
+});
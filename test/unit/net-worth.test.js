@@ -0,0 +1,65 @@
+/**
+ * Unit tests for net worth tracking
+ * Tests app/lib/net-worth.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  netWorthSummary,
+  netWorthHistory,
+  netWorthChange
+} = loadModule('app/lib/net-worth.js');
+
+describe('Net Worth', () => {
+  describe('netWorthSummary', () => {
+    test('adds savings to other assets and debts to other liabilities', () => {
+      const summary = netWorthSummary({
+        savings: [{ valueCents: 250000 }, { valueCents: 50000 }],
+        debts: [{ valueCents: 480000 }],
+        assets: [{ name: 'Car', valueCents: 1500000 }],
+        liabilities: [{ name: 'Car loan', valueCents: 900000 }]
+      });
+
+      expect(summary).toEqual({
+        savingsCents: 300000,
+        debtCents: 480000,
+        otherAssetsCents: 1500000,
+        otherLiabilitiesCents: 900000,
+        assetsCents: 1800000,
+        liabilitiesCents: 1380000,
+        netWorthCents: 420000
+      });
+    });
+
+    test('treats missing lists as empty and can go negative', () => {
+      expect(netWorthSummary().netWorthCents).toBe(0);
+      expect(netWorthSummary({ debts: [{ valueCents: 1000 }] }).netWorthCents).toBe(-1000);
+    });
+  });
+
+  describe('netWorthHistory', () => {
+    const snapshots = [
+      { start: '2025-08-21', end: '2025-09-04', netWorth: { assetsCents: 900, liabilitiesCents: 300, netWorthCents: 600 } },
+      { start: '2025-07-24', end: '2025-08-07', buckets: [] },
+      { start: '2025-08-07', end: '2025-08-21', netWorth: { assetsCents: 800, liabilitiesCents: 400, netWorthCents: 400 } }
+    ];
+
+    test('orders points oldest first, dated when each period closed', () => {
+      expect(netWorthHistory(snapshots)).toEqual([
+        { date: '2025-08-21', assetsCents: 800, liabilitiesCents: 400, netWorthCents: 400 },
+        { date: '2025-09-04', assetsCents: 900, liabilitiesCents: 300, netWorthCents: 600 }
+      ]);
+    });
+
+    test('measures change since the previous and the first snapshot', () => {
+      const history = netWorthHistory(snapshots);
+      expect(netWorthChange(history, 1000)).toEqual({
+        sincePreviousCents: 400,
+        sinceFirstCents: 600,
+        firstDate: '2025-08-21'
+      });
+      expect(netWorthChange([], 1000)).toBeNull();
+    });
+  });
+});
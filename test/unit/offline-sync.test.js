@@ -0,0 +1,77 @@
+/**
+ * Unit tests for offline sync
+ * Tests app/lib/offline-sync.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  describeSyncStatus,
+  retryDelayMs,
+  withTimeout,
+  withLocalChanges,
+  withLedgerWrites
+} = loadModule('app/lib/offline-sync.js');
+
+describe('Offline Sync', () => {
+  describe('describeSyncStatus', () => {
+    test('is synced with nothing queued', () => {
+      expect(describeSyncStatus({ pending: 0, online: true })).toMatchObject({ state: 'synced', label: 'Synced' });
+    });
+
+    test('counts queued writes', () => {
+      expect(describeSyncStatus({ pending: 3, online: true })).toMatchObject({ state: 'pending', label: 'Pending 3' });
+    });
+
+    test('reports the last error while writes are still queued', () => {
+      const status = describeSyncStatus({ pending: 1, online: true, error: 'Network error' });
+      expect(status.state).toBe('error');
+      expect(status.title).toContain('1 change not synced yet: Network error');
+    });
+
+    test('shows offline ahead of anything else', () => {
+      expect(describeSyncStatus({ pending: 2, online: false, error: 'x' })).toMatchObject({ state: 'offline', label: 'Offline · 2 pending' });
+      expect(describeSyncStatus({ online: false }).label).toBe('Offline');
+    });
+  });
+
+  describe('retryDelayMs', () => {
+    test('doubles up to a minute', () => {
+      expect([0, 1, 2, 5, 10].map(retryDelayMs)).toEqual([2000, 4000, 8000, 60000, 60000]);
+    });
+  });
+
+  describe('withTimeout', () => {
+    test('passes through a result in time', async () => {
+      await expect(withTimeout(Promise.resolve('ok'), 50)).resolves.toBe('ok');
+    });
+
+    test('rejects a promise that never settles', async () => {
+      await expect(withTimeout(new Promise(() => {}), 10, 'No response')).rejects.toThrow('No response');
+    });
+  });
+
+  describe('withLocalChanges', () => {
+    test('uses the device copy only for budgets with queued writes', () => {
+      const cloud = [{ id: 'a', name: 'Home', createdAt: 1 }, { id: 'b', name: 'Work' }];
+      const local = [{ id: 'a', name: 'Home (edited)' }, { id: 'b', name: 'Old work' }];
+      expect(withLocalChanges(cloud, local, ['a'])).toEqual([
+        { id: 'a', name: 'Home (edited)', createdAt: 1 },
+        { id: 'b', name: 'Work' }
+      ]);
+    });
+  });
+
+  describe('withLedgerWrites', () => {
+    test('adds queued entries and drops queued deletions', () => {
+      const cloud = [{ id: 't1', amountCents: 500 }, { id: 't2', amountCents: 700 }];
+      const writes = [
+        { type: 'deleteTransaction', data: { id: 't1' } },
+        { type: 'addTransaction', data: { id: 't3', amountCents: 900 } },
+        { type: 'deleteTransaction', data: { id: 't4' } }
+      ];
+      expect(withLedgerWrites(cloud, writes).map(tx => tx.id)).toEqual(['t2', 't3']);
+      expect(withLedgerWrites(cloud, [])).toEqual(cloud);
+    });
+  });
+});
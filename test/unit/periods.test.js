@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the budget period engine
+ * Tests app/lib/periods.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  periodStartAt,
+  getPeriodForDate,
+  isDateInPeriod,
+  nextOccurrence,
+  occurrencesBetween,
+  elapsedPeriods,
+  rolloverCarryCents,
+  closePeriod
+} = loadModule('app/lib/periods.js');
+
+describe('Period Engine', () => {
+  describe('getPeriodForDate', () => {
+    test('finds fortnightly periods from the anchor', () => {
+      const period = getPeriodForDate('2025-08-07', 'Fortnightly', '2025-08-25');
+      expect(period).toEqual({ index: 1, start: '2025-08-21', end: '2025-09-04' });
+    });
+
+    test('handles dates before the anchor', () => {
+      const period = getPeriodForDate('2025-08-07', 'Weekly', '2025-08-01');
+      expect(period.start).toBe('2025-07-31');
+      expect(period.end).toBe('2025-08-07');
+    });
+
+    test('clamps monthly periods without drifting', () => {
+      expect(periodStartAt('2025-01-31', 'Monthly', 1)).toBe('2025-02-28');
+      expect(periodStartAt('2025-01-31', 'Monthly', 2)).toBe('2025-03-31');
+      expect(getPeriodForDate('2025-01-31', 'Monthly', '2025-03-15').start).toBe('2025-02-28');
+    });
+
+    test('treats the end date as exclusive', () => {
+      const period = getPeriodForDate('2025-08-01', 'Monthly', '2025-08-31');
+      expect(isDateInPeriod('2025-08-31', period)).toBe(true);
+      expect(isDateInPeriod('2025-09-01', period)).toBe(false);
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    test('keeps a due date that is still ahead', () => {
+      expect(nextOccurrence('2025-09-15', 'Quarterly', '2025-08-07')).toBe('2025-09-15');
+    });
+
+    test('rolls a past due date forward', () => {
+      expect(nextOccurrence('2025-01-15', 'Quarterly', '2025-08-07')).toBe('2025-10-15');
+      expect(nextOccurrence('2024-03-01', 'Yearly', '2025-03-01')).toBe('2025-03-01');
+      expect(nextOccurrence('2025-01-31', 'Monthly', '2025-03-01')).toBe('2025-03-31');
+    });
+  });
+
+  describe('occurrencesBetween', () => {
+    test('lists every due date in the range', () => {
+      expect(occurrencesBetween('2025-07-05', 'Fortnightly', '2025-08-01', '2025-09-01'))
+        .toEqual(['2025-08-02', '2025-08-16', '2025-08-30']);
+    });
+
+    test('starts from a future due date', () => {
+      expect(occurrencesBetween('2025-10-15', 'Quarterly', '2025-08-01', '2026-05-01'))
+        .toEqual(['2025-10-15', '2026-01-15', '2026-04-15']);
+    });
+  });
+
+  describe('elapsedPeriods', () => {
+    test('returns nothing while the period is still open', () => {
+      expect(elapsedPeriods('2025-08-01', 'Weekly', '2025-08-01', '2025-08-05')).toEqual([]);
+    });
+
+    test('lists every period that ended since the last visit', () => {
+      const periods = elapsedPeriods('2025-08-01', 'Weekly', '2025-08-01', '2025-08-20');
+      expect(periods.map(p => p.start)).toEqual(['2025-08-01', '2025-08-08']);
+    });
+
+    test('returns nothing when no period has been recorded yet', () => {
+      expect(elapsedPeriods('2025-08-01', 'Weekly', null, '2025-09-01')).toEqual([]);
+    });
+  });
+
+  describe('rolloverCarryCents', () => {
+    test('carries only the surplus', () => {
+      expect(rolloverCarryCents('surplus', 10000, 7500)).toBe(2500);
+      expect(rolloverCarryCents('surplus', 10000, 12000)).toBe(0);
+    });
+
+    test('carries only the deficit', () => {
+      expect(rolloverCarryCents('deficit', 10000, 12000)).toBe(-2000);
+      expect(rolloverCarryCents('deficit', 10000, 7500)).toBe(0);
+    });
+
+    test('resets by default', () => {
+      expect(rolloverCarryCents('reset', 10000, 7500)).toBe(0);
+      expect(rolloverCarryCents(undefined, 10000, 7500)).toBe(0);
+    });
+  });
+
+  describe('closePeriod', () => {
+    const period = { start: '2025-08-01', end: '2025-08-15' };
+    const buckets = [
+      { id: 'food', name: 'Food', plannedCents: 40000, carryOverCents: 5000, rolloverPolicy: 'surplus' },
+      { id: 'fun', name: 'Fun', plannedCents: 10000, rolloverPolicy: 'deficit' }
+    ];
+    const transactions = [
+      { bucketId: 'food', date: '2025-08-03', amountCents: 30000 },
+      { bucketId: 'food', date: '2025-08-20', amountCents: 99999 }, // next period
+      { bucketId: 'fun', date: '2025-08-14', amountCents: 12500 }
+    ];
+
+    test('snapshots planned vs spent for the period only', () => {
+      const { snapshot } = closePeriod(period, buckets, transactions, { frequency: 'Fortnightly' });
+      expect(snapshot.start).toBe('2025-08-01');
+      expect(snapshot.frequency).toBe('Fortnightly');
+      expect(snapshot.buckets[0]).toMatchObject({ bucketId: 'food', plannedCents: 40000, carryInCents: 5000, spentCents: 30000 });
+    });
+
+    test('applies each bucket rollover policy', () => {
+      const { carryOver } = closePeriod(period, buckets, transactions);
+      expect(carryOver).toEqual({ food: 15000, fun: -2500 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for period reports
+ * Tests app/lib/reports.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  usedPct,
+  isOverThreshold,
+  bucketSpendingSeries,
+  periodTotals,
+  persistentOverspenders
+} = loadModule('app/lib/reports.js');
+
+describe('Period Reports', () => {
+  const bucket = (bucketId, type, plannedCents, spentCents, extra = {}) =>
+    ({ bucketId, name: bucketId, type, include: true, plannedCents, carryInCents: 0, spentCents, overspendThresholdPct: 80, ...extra });
+
+  // Newest first, as listPeriodSnapshots returns them
+  const snapshots = [
+    {
+      start: '2025-03-13',
+      incomeCents: 400000,
+      buckets: [bucket('food', 'expense', 60000, 59000), bucket('fun', 'expense', 20000, 5000), bucket('rainy', 'saving', 80000, 80000)]
+    },
+    {
+      start: '2025-02-27',
+      incomeCents: 400000,
+      buckets: [bucket('food', 'expense', 60000, 70000), bucket('fun', 'expense', 20000, 18000), bucket('rainy', 'saving', 60000, 60000)]
+    },
+    {
+      start: '2025-02-13',
+      incomeCents: 380000,
+      buckets: [bucket('food', 'expense', 60000, 30000), bucket('old', 'expense', 10000, 0, { include: false })]
+    }
+  ];
+
+  describe('usedPct and isOverThreshold', () => {
+    test('compare spending with the planned amount plus carry-over', () => {
+      expect(usedPct(bucket('a', 'expense', 40000, 30000, { carryInCents: 10000 }))).toBe(60);
+      expect(isOverThreshold(bucket('a', 'expense', 10000, 8000))).toBe(true);
+      expect(isOverThreshold(bucket('a', 'expense', 10000, 8000, { overspendThresholdPct: 90 }))).toBe(false);
+    });
+
+    test('count any spending with nothing available as over', () => {
+      expect(usedPct(bucket('a', 'expense', 0, 500))).toBeNull();
+      expect(isOverThreshold(bucket('a', 'expense', 0, 500))).toBe(true);
+      expect(isOverThreshold(bucket('a', 'expense', 0, 0))).toBe(false);
+    });
+  });
+
+  describe('bucketSpendingSeries', () => {
+    test('lines up each bucket by period, oldest first', () => {
+      const { periods, buckets } = bucketSpendingSeries(snapshots);
+      expect(periods).toEqual(['2025-02-13', '2025-02-27', '2025-03-13']);
+      expect(buckets.map(series => series.bucketId)).toEqual(['food', 'fun', 'rainy']);
+
+      const fun = buckets.find(series => series.bucketId === 'fun');
+      expect(fun.values[0]).toBeNull();
+      expect(fun.values[1]).toMatchObject({ spentCents: 18000, usedPct: 90, over: true });
+    });
+  });
+
+  describe('periodTotals', () => {
+    test('adds up what was allocated and the savings rate', () => {
+      const totals = periodTotals(snapshots);
+      expect(totals[2]).toMatchObject({
+        start: '2025-03-13',
+        expensesCents: 80000,
+        savingsCents: 80000,
+        allocatedCents: 160000,
+        unallocatedCents: 240000,
+        savingsRatePct: 20
+      });
+      expect(totals[0].allocatedCents).toBe(60000);
+    });
+
+    test('has no savings rate without income', () => {
+      expect(periodTotals([{ start: '2025-01-01', buckets: [] }])[0].savingsRatePct).toBeNull();
+    });
+  });
+
+  describe('persistentOverspenders', () => {
+    test('flags expense buckets over their threshold in most periods', () => {
+      const results = persistentOverspenders(snapshots);
+      expect(results.map(result => result.bucketId)).toEqual(['food']);
+      expect(results[0]).toMatchObject({ overCount: 2, periodCount: 3 });
+    });
+
+    test('needs more than one bad period by default', () => {
+      expect(persistentOverspenders(snapshots.slice(0, 1))).toEqual([]);
+      expect(persistentOverspenders(snapshots.slice(0, 1), { minPeriods: 1 }).map(r => r.bucketId)).toEqual(['food']);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for categorisation rules
+ * Tests app/lib/rules.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  ruleMatches,
+  findMatchingRule,
+  previewRules,
+  payeeKeyword,
+  suggestRule
+} = loadModule('app/lib/rules.js');
+
+describe('Categorisation Rules', () => {
+  const line = { payee: 'WOOLWORTHS 1234 SYDNEY AU', amountCents: 8450, account: 'Everyday' };
+
+  describe('ruleMatches', () => {
+    test('matches payee text case-insensitively', () => {
+      expect(ruleMatches({ payeeMatch: 'contains', payeeValue: 'woolworths' }, line)).toBe(true);
+      expect(ruleMatches({ payeeMatch: 'contains', payeeValue: 'coles' }, line)).toBe(false);
+    });
+
+    test('matches payee patterns and ignores invalid ones', () => {
+      expect(ruleMatches({ payeeMatch: 'regex', payeeValue: '^wool.*sydney' }, line)).toBe(true);
+      expect(ruleMatches({ payeeMatch: 'regex', payeeValue: '(' }, line)).toBe(false);
+    });
+
+    test('checks amount range and account', () => {
+      expect(ruleMatches({ minAmountCents: 5000, maxAmountCents: 10000 }, line)).toBe(true);
+      expect(ruleMatches({ maxAmountCents: 5000 }, line)).toBe(false);
+      expect(ruleMatches({ account: 'everyday ' }, line)).toBe(true);
+      expect(ruleMatches({ payeeValue: 'WOOL', account: 'Credit card' }, line)).toBe(false);
+    });
+
+    test('never matches a rule without conditions', () => {
+      expect(ruleMatches({ payeeValue: '', minAmountCents: null, account: '' }, line)).toBe(false);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    const rules = [
+      { id: 'general', priority: 2, payeeValue: 'WOOL', bucketId: 'groceries' },
+      { id: 'big-shop', priority: 1, payeeValue: 'WOOL', minAmountCents: 8000, bucketId: 'household' },
+      { id: 'off', priority: 0, payeeValue: 'WOOL', bucketId: 'fun', enabled: false }
+    ];
+
+    test('uses the highest priority enabled rule', () => {
+      expect(findMatchingRule(rules, line).id).toBe('big-shop');
+      expect(findMatchingRule(rules, { ...line, amountCents: 2000 }).id).toBe('general');
+    });
+
+    test('skips rules for buckets outside the budget', () => {
+      expect(findMatchingRule(rules, line, new Set(['groceries'])).id).toBe('general');
+    });
+  });
+
+  describe('previewRules', () => {
+    test('pairs each line with its rule without changing anything', () => {
+      const rules = [{ id: 'r1', priority: 0, payeeValue: 'COLES', bucketId: 'groceries' }];
+      const results = previewRules(rules, [line, { payee: 'COLES 99', amountCents: 100 }]);
+      expect(results.map(result => result.rule?.id ?? null)).toEqual([null, 'r1']);
+    });
+  });
+
+  describe('learning from manual assignments', () => {
+    test('keeps the leading words of a bank description', () => {
+      expect(payeeKeyword('WOOLWORTHS 1234 SYDNEY AU')).toBe('WOOLWORTHS');
+      expect(payeeKeyword('UBER EATS HELP.UBER.COM')).toBe('UBER EATS HELP.UBER.COM');
+      expect(payeeKeyword('7-ELEVEN 2134')).toBe('7-ELEVEN');
+    });
+
+    test('suggests a contains rule after existing rules', () => {
+      const draft = suggestRule(line, 'groceries', 'weekly', [{ id: 'r1', priority: 3, payeeValue: 'COLES', bucketId: 'groceries' }]);
+      expect(draft).toMatchObject({ payeeMatch: 'contains', payeeValue: 'WOOLWORTHS', bucketId: 'groceries', itemId: 'weekly', priority: 4 });
+    });
+
+    test('suggests nothing when a rule already does the job', () => {
+      const rules = [{ id: 'r1', priority: 0, payeeValue: 'WOOL', bucketId: 'groceries' }];
+      expect(suggestRule(line, 'groceries', null, rules)).toBeNull();
+    });
+
+    test('outranks a rule that picked the wrong bucket', () => {
+      const rules = [{ id: 'r1', priority: 2, payeeValue: 'WOOL', bucketId: 'fun' }];
+      expect(suggestRule(line, 'groceries', null, rules).priority).toBe(1);
+    });
+  });
+});
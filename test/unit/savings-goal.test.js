@@ -0,0 +1,100 @@
+/**
+ * Unit tests for savings goal projections
+ * Tests app/lib/savings-goal.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  growthRate,
+  periodsToGoal,
+  contributionForGoal,
+  savedFromLog,
+  balanceHistory,
+  recordMilestones
+} = loadModule('app/lib/savings-goal.js');
+
+describe('Savings Goals', () => {
+  describe('growthRate', () => {
+    test('compounds back to the annual rate', () => {
+      expect(Math.pow(1 + growthRate(5, 'Fortnightly'), 26)).toBeCloseTo(1.05);
+      expect(Math.pow(1 + growthRate(5, 'Monthly'), 12)).toBeCloseTo(1.05);
+      expect(growthRate(0, 'Weekly')).toBe(0);
+    });
+  });
+
+  describe('periodsToGoal', () => {
+    test('uses linear maths without interest', () => {
+      expect(periodsToGoal(1000, 500, 0, 10000, 'Fortnightly')).toBe(18);
+    });
+
+    test('gets there sooner with interest', () => {
+      const linear = periodsToGoal(0, 500, 0, 50000, 'Monthly');
+      const compounding = periodsToGoal(0, 500, 6, 50000, 'Monthly');
+      expect(linear).toBe(100);
+      expect(compounding).toBe(82);
+    });
+
+    test('is zero once the target is reached', () => {
+      expect(periodsToGoal(10000, 0, 0, 10000, 'Monthly')).toBe(0);
+    });
+
+    test('never gets there without contributions or interest', () => {
+      expect(periodsToGoal(1000, 0, 0, 10000, 'Monthly')).toBe(Infinity);
+    });
+  });
+
+  describe('contributionForGoal', () => {
+    test('splits the remainder evenly without interest', () => {
+      expect(contributionForGoal(1000, 10000, 0, 18, 'Fortnightly')).toBe(500);
+    });
+
+    test('needs less when the balance earns interest', () => {
+      const contribution = contributionForGoal(2000, 20000, 4.5, 52, 'Fortnightly');
+      expect(contribution).toBeLessThan(18000 / 52);
+      expect(periodsToGoal(2000, contribution, 4.5, 20000, 'Fortnightly')).toBe(52);
+    });
+
+    test('is zero when interest alone reaches the target', () => {
+      expect(contributionForGoal(9900, 10000, 5, 12, 'Monthly')).toBe(0);
+    });
+  });
+
+  describe('contribution log', () => {
+    const log = [
+      { date: '2025-03-14', amountCents: 30000 },
+      { date: '2025-02-28', amountCents: 20000 },
+      { date: '2025-03-14', amountCents: -5000 },
+      { date: '2025-04-11', amountCents: 40000 }
+    ];
+
+    test('adds contributions and takes off withdrawals', () => {
+      expect(savedFromLog(10000, log)).toBe(95000);
+      expect(savedFromLog(10000, [])).toBe(10000);
+    });
+
+    test('gives one balance per day in date order', () => {
+      expect(balanceHistory(10000, log)).toEqual([
+        { date: '2025-02-28', balanceCents: 30000 },
+        { date: '2025-03-14', balanceCents: 55000 },
+        { date: '2025-04-11', balanceCents: 95000 }
+      ]);
+    });
+
+    test('dates each milestone by the day it was reached', () => {
+      expect(recordMilestones(100000, 10000, log, [], '2025-05-01')).toEqual([
+        { pct: 25, reachedOn: '2025-02-28' },
+        { pct: 50, reachedOn: '2025-03-14' },
+        { pct: 75, reachedOn: '2025-04-11' }
+      ]);
+    });
+
+    test('keeps recorded milestones and dates ones the opening balance met', () => {
+      const recorded = [{ pct: 50, reachedOn: '2025-01-01' }];
+      expect(recordMilestones(100000, 30000, [], recorded, '2025-05-01')).toEqual([
+        { pct: 25, reachedOn: '2025-05-01' },
+        { pct: 50, reachedOn: '2025-01-01' }
+      ]);
+    });
+  });
+});
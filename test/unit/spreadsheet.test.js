@@ -0,0 +1,83 @@
+/**
+ * Unit tests for spreadsheet export
+ * Tests app/lib/spreadsheet.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  cellRef,
+  sheetsToCsv,
+  sheetsToXlsx
+} = loadModule('app/lib/spreadsheet.js');
+
+describe('Spreadsheet Export', () => {
+  const sheets = [
+    {
+      name: 'Expenses',
+      rows: [
+        ['Bucket', 'Item', 'Per fortnight'],
+        ['Housing', 'Rent, unit 4', 950],
+        ['Car', '=cmd', { value: 30.5, formula: 'C4*26/12' }],
+        ['Total', '', { value: 980.5, formula: 'SUM(C2:C3)' }]
+      ]
+    },
+    { name: 'Ledger: August', rows: [['Date', 'Payee'], ['2025-08-20', 'Café & Co <Sydney>']] }
+  ];
+
+  describe('cellRef', () => {
+    test('names columns past Z with two letters', () => {
+      expect(cellRef(0, 0)).toBe('A1');
+      expect(cellRef(25, 9)).toBe('Z10');
+      expect(cellRef(26, 1)).toBe('AA2');
+      expect(cellRef(701, 0)).toBe('ZZ1');
+    });
+  });
+
+  describe('sheetsToCsv', () => {
+    test('writes each sheet under its name with values instead of formulas', () => {
+      const csv = sheetsToCsv(sheets);
+      expect(csv.split('\r\n')).toEqual([
+        'Expenses',
+        'Bucket,Item,Per fortnight',
+        'Housing,"Rent, unit 4",950.00',
+        "Car,'=cmd,30.50",
+        'Total,,980.50',
+        '',
+        'Ledger: August',
+        'Date,Payee',
+        '2025-08-20,Café & Co <Sydney>',
+        ''
+      ]);
+    });
+
+    test('leaves out the sheet name for a single sheet', () => {
+      expect(sheetsToCsv([sheets[1]])).toBe('Date,Payee\r\n2025-08-20,Café & Co <Sydney>\r\n');
+    });
+  });
+
+  describe('sheetsToXlsx', () => {
+    const bytes = sheetsToXlsx(sheets);
+    const text = Buffer.from(bytes).toString('utf8');
+
+    test('writes a zip archive with a worksheet per sheet', () => {
+      expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+      expect(text).toContain('xl/workbook.xml');
+      expect(text).toContain('xl/worksheets/sheet2.xml');
+      // End of central directory lists every file
+      const end = bytes.length - 22;
+      expect(Array.from(bytes.slice(end, end + 4))).toEqual([0x50, 0x4b, 0x05, 0x06]);
+      expect(bytes[end + 10]).toBe(7);
+    });
+
+    test('keeps formulas with their current result', () => {
+      expect(text).toContain('<c r="C4" s="2"><f>SUM(C2:C3)</f><v>980.5</v></c>');
+      expect(text).toContain('<f>C4*26/12</f>');
+    });
+
+    test('escapes text and sheet names', () => {
+      expect(text).toContain('Café &amp; Co &lt;Sydney&gt;');
+      expect(text).toContain('<sheet name="Ledger  August" sheetId="2" r:id="rId2"/>');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for bank statement import
+ * Tests app/lib/statement-import.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const {
+  BUILTIN_PRESETS,
+  parseCsv,
+  parseStatementDate,
+  parseStatementAmount,
+  applyCsvMapping,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  markDuplicates
+} = loadModule('app/lib/statement-import.js');
+
+describe('Statement Import', () => {
+  describe('parseCsv', () => {
+    test('handles quoted cells, escaped quotes and CRLF', () => {
+      const rows = parseCsv('Date,Description\r\n"01/08/2025","WOOLWORTHS, ""METRO"""\r\n\r\n');
+      expect(rows).toEqual([
+        ['Date', 'Description'],
+        ['01/08/2025', 'WOOLWORTHS, "METRO"']
+      ]);
+    });
+
+    test('strips a byte order mark', () => {
+      expect(parseCsv('\uFEFFa,b')[0][0]).toBe('a');
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    test('reads day-first dates by default', () => {
+      expect(parseStatementDate('03/08/2025')).toBe('2025-08-03');
+      expect(parseStatementDate('3/8/25')).toBe('2025-08-03');
+    });
+
+    test('reads month-first dates when asked', () => {
+      expect(parseStatementDate('08/03/2025', 'MDY')).toBe('2025-08-03');
+    });
+
+    test('reads ISO and month-name dates', () => {
+      expect(parseStatementDate('2025-08-03')).toBe('2025-08-03');
+      expect(parseStatementDate('03 Aug 2025')).toBe('2025-08-03');
+    });
+
+    test('rejects impossible dates', () => {
+      expect(parseStatementDate('31/02/2025')).toBeNull();
+      expect(parseStatementDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseStatementAmount', () => {
+    test('parses signed and formatted amounts', () => {
+      expect(parseStatementAmount('-1,234.50')).toBe(-123450);
+      expect(parseStatementAmount('$45.00')).toBe(4500);
+      expect(parseStatementAmount('(12.30)')).toBe(-1230);
+    });
+
+    test('understands DR and CR suffixes', () => {
+      expect(parseStatementAmount('50.00 DR')).toBe(-5000);
+      expect(parseStatementAmount('50.00 CR')).toBe(5000);
+    });
+
+    test('returns null for blank cells', () => {
+      expect(parseStatementAmount('')).toBeNull();
+      expect(parseStatementAmount(undefined)).toBeNull();
+    });
+  });
+
+  describe('applyCsvMapping', () => {
+    const commbank = BUILTIN_PRESETS.find(p => p.name === 'CommBank').mapping;
+
+    test('converts bank signs to ledger spending', () => {
+      const rows = parseCsv('01/08/2025,-84.50,COLES 0123,1000.00\n02/08/2025,+2500.00,SALARY,3500.00');
+      const { lines, errors } = applyCsvMapping(rows, commbank);
+      expect(errors).toEqual([]);
+      expect(lines[0]).toMatchObject({ date: '2025-08-01', payee: 'COLES 0123', amountCents: 8450 });
+      expect(lines[1].amountCents).toBe(-250000);
+    });
+
+    test('supports separate debit and credit columns', () => {
+      const westpac = BUILTIN_PRESETS.find(p => p.name === 'Westpac').mapping;
+      const rows = parseCsv('Account,Date,Narrative,Debit,Credit\n123,05/08/2025,RENT,400.00,\n123,06/08/2025,REFUND,,20.00');
+      const { lines } = applyCsvMapping(rows, westpac);
+      expect(lines.map(line => line.amountCents)).toEqual([40000, -2000]);
+    });
+
+    test('reports rows it cannot read', () => {
+      const rows = parseCsv('Opening balance,,,\n01/08/2025,-5.00,COFFEE');
+      const { lines, errors } = applyCsvMapping(rows, commbank);
+      expect(lines).toHaveLength(1);
+      expect(errors[0].row).toBe(1);
+    });
+
+    test('keeps identical lines apart within one statement', () => {
+      const rows = parseCsv('01/08/2025,-5.00,COFFEE\n01/08/2025,-5.00,COFFEE');
+      const { lines } = applyCsvMapping(rows, commbank);
+      expect(lines[0].fingerprint).not.toBe(lines[1].fingerprint);
+    });
+  });
+
+  describe('detectStatementFormat', () => {
+    test('uses the extension or the file contents', () => {
+      expect(detectStatementFormat('statement.QFX', '')).toBe('ofx');
+      expect(detectStatementFormat('export.txt', 'OFXHEADER:100\nDATA:OFXSGML')).toBe('ofx');
+      expect(detectStatementFormat('export.txt', '!Type:Bank\n')).toBe('qif');
+      expect(detectStatementFormat('statement.csv', '01/08/2025,-5.00,COFFEE')).toBe('csv');
+    });
+  });
+
+  describe('parseOfx', () => {
+    const sgml = [
+      'OFXHEADER:100',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+      '<BANKACCTFROM><BANKID>062000<ACCTID>12345678</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250801120000[+10:AEST]<TRNAMT>-84.50<FITID>2025080101<NAME>WOOLWORTHS &amp; CO</STMTTRN>',
+      '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250802<TRNAMT>2500.00<FITID>2025080202<MEMO>SALARY</STMTTRN>',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+
+    test('reads unclosed SGML elements', () => {
+      const { lines, errors } = parseOfx(sgml);
+      expect(errors).toEqual([]);
+      expect(lines[0]).toMatchObject({ date: '2025-08-01', payee: 'WOOLWORTHS & CO', amountCents: 8450, account: '12345678' });
+      expect(lines[1]).toMatchObject({ payee: 'SALARY', amountCents: -250000 });
+    });
+
+    test('fingerprints by account and FITID', () => {
+      const { lines } = parseOfx(sgml);
+      expect(lines[0].externalId).toBe('12345678:2025080101');
+      expect(lines[0].fingerprint).toBe('id:12345678:2025080101');
+    });
+
+    test('reads XML flavoured files', () => {
+      const xml = '<OFX><CCSTMTRS><CCACCTFROM><ACCTID>9999</ACCTID></CCACCTFROM><BANKTRANLIST>' +
+        '<STMTTRN><DTPOSTED>20250805</DTPOSTED><TRNAMT>-12.00</TRNAMT><FITID>A1</FITID><NAME>NETFLIX</NAME></STMTTRN>' +
+        '</BANKTRANLIST></CCSTMTRS></OFX>';
+      const { lines } = parseOfx(xml);
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toMatchObject({ date: '2025-08-05', amountCents: 1200, externalId: '9999:A1' });
+    });
+  });
+
+  describe('parseQif', () => {
+    const qif = '!Type:Bank\nD08/20/2025\nT-45.00\nPCOLES\n^\nD8/21\'25\nT1,200.00\nPEMPLOYER\nMPay\n^\n';
+
+    test('guesses the date order and reads records', () => {
+      const { lines, errors, dateFormat } = parseQif(qif);
+      expect(dateFormat).toBe('MDY');
+      expect(errors).toEqual([]);
+      expect(lines[0]).toMatchObject({ date: '2025-08-20', payee: 'COLES', amountCents: 4500 });
+      expect(lines[1]).toMatchObject({ date: '2025-08-21', amountCents: -120000 });
+    });
+
+    test('honours an explicit date format', () => {
+      const { errors } = parseQif(qif, 'DMY');
+      expect(errors).toHaveLength(2);
+    });
+
+    test('reads dates padded with spaces', () => {
+      const { lines, errors } = parseQif('!Type:Bank\nD1/ 5\'25\nT-12.50\nPShop\n^\nD 1/12/25\nT-3.00\nPCafe\n^\n', 'MDY');
+      expect(errors).toEqual([]);
+      expect(lines.map(line => line.date)).toEqual(['2025-01-05', '2025-01-12']);
+    });
+  });
+
+  describe('markDuplicates', () => {
+    test('flags lines already imported from an overlapping statement', () => {
+      const mapping = BUILTIN_PRESETS[0].mapping;
+      const first = applyCsvMapping(parseCsv('01/08/2025,-5.00,COFFEE\n02/08/2025,-9.00,LUNCH'), mapping).lines;
+      const second = applyCsvMapping(parseCsv('02/08/2025,-9.00,LUNCH\n03/08/2025,-7.00,BUS'), mapping).lines;
+
+      const checked = markDuplicates(second, new Set(first.map(line => line.fingerprint)));
+      expect(checked.map(line => line.duplicate)).toEqual([true, false]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for payday transfers
+ * Tests app/lib/transfers.js
+ */
+
+const { loadModule } = require('../utils/load-module');
+
+const { groupTransfers, transfersCsv } = loadModule('app/lib/transfers.js');
+
+describe('Payday Transfers', () => {
+  const buckets = [
+    { id: 'rent', name: 'Rent', account: 'Bills', amountCents: 90000 },
+    { id: 'power', name: 'Power', account: ' Bills ', amountCents: 8000 },
+    { id: 'food', name: 'Groceries', account: '', amountCents: 30000 },
+    { id: 'sinking', name: 'Holidays', account: 'Savings', amountCents: 15000 },
+    { id: 'paused', name: 'Gym', account: 'Bills', amountCents: 0 }
+  ];
+
+  describe('groupTransfers', () => {
+    test('makes one transfer per account, largest first, pay account last', () => {
+      const groups = groupTransfers(buckets);
+      expect(groups.map(group => [group.account, group.totalCents])).toEqual([
+        ['Bills', 98000],
+        ['Savings', 15000],
+        ['', 30000]
+      ]);
+      expect(groups[0].buckets.map(bucket => bucket.id)).toEqual(['rent', 'power']);
+    });
+
+    test('returns nothing when nothing is allocated', () => {
+      expect(groupTransfers([{ id: 'a', name: 'A', account: 'Bills', amountCents: 0 }])).toEqual([]);
+    });
+  });
+
+  describe('transfersCsv', () => {
+    test('lists each bucket and the total for its account', () => {
+      const csv = transfersCsv(groupTransfers(buckets), { payAccountLabel: 'Everyday' });
+      expect(csv.split('\r\n')).toEqual([
+        'Account,Bucket,Amount',
+        'Bills,Rent,900.00',
+        'Bills,Power,80.00',
+        'Bills,Total,980.00',
+        'Savings,Holidays,150.00',
+        'Savings,Total,150.00',
+        'Everyday,Groceries,300.00',
+        'Everyday,Total,300.00',
+        ''
+      ]);
+    });
+
+    test('quotes cells containing commas or quotes', () => {
+      const csv = transfersCsv([{ account: 'Joint, ING', totalCents: 100, buckets: [{ name: 'The "fun" one', amountCents: 100 }] }]);
+      expect(csv).toContain('"Joint, ING","The ""fun"" one",1.00');
+    });
+  });
+});
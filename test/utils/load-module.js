@@ -0,0 +1,30 @@
+/**
+ * Load a dependency-free ES module from app/lib into a CommonJS test
+ * Jest runs without a transform, so `export` statements are rewritten and the
+ * exported names are returned from a function wrapper.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const loadModule = (relativePath) => {
+  const filePath = path.join(__dirname, '../..', relativePath);
+  const source = fs.readFileSync(filePath, 'utf8');
+
+  if (/^import\s/m.test(source)) {
+    throw new Error(`${relativePath} has imports and cannot be loaded with loadModule`);
+  }
+
+  const exportedNames = [];
+  const body = source.replace(
+    /^export\s+(async\s+function|function|const|let|class)\s+([A-Za-z_$][\w$]*)/gm,
+    (match, kind, name) => {
+      exportedNames.push(name);
+      return `${kind} ${name}`;
+    }
+  );
+
+  return new Function(`${body}\nreturn { ${exportedNames.join(', ')} };`)();
+};
+
+module.exports = { loadModule };